@@ -0,0 +1,177 @@
+/**
+ * 多次运行结果聚合
+ * 计算各得分和指标的统计值，并参照Lighthouse CI的做法选出中位数运行
+ */
+
+/**
+ * 计算百分位数（线性插值）
+ * @param {Array<number>} sorted - 升序排列的数值
+ * @param {number} p - 百分位 (0-100)
+ * @returns {number} 百分位数
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * 计算一组数值的统计值
+ * @param {Array<number>} values - 数值
+ * @returns {object|null} { min, median, p75, max, mean, stdDev, count }
+ */
+function summarize(values) {
+  const valid = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  if (valid.length === 0) return null;
+
+  const sorted = [...valid].sort((a, b) => a - b);
+  const mean = sorted.reduce((acc, v) => acc + v, 0) / sorted.length;
+  const variance = sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / sorted.length;
+
+  return {
+    min: sorted[0],
+    median: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    max: sorted[sorted.length - 1],
+    mean,
+    stdDev: Math.sqrt(variance),
+    count: sorted.length
+  };
+}
+
+/**
+ * 选出中位数运行：LCP和TBT都最接近各自中位数的那一次
+ * @param {Array<object>} lhrs - 每次运行的Lighthouse结果(lhr)
+ * @returns {number} 中位数运行的下标
+ */
+function selectMedianRun(lhrs) {
+  if (lhrs.length <= 2) return 0;
+
+  const getValue = (lhr, auditId) => {
+    const audit = lhr.audits[auditId];
+    return audit && typeof audit.numericValue === 'number' ? audit.numericValue : null;
+  };
+
+  const medianOf = auditId => {
+    const stats = summarize(lhrs.map(lhr => getValue(lhr, auditId)));
+    return stats ? stats.median : null;
+  };
+
+  const medianLcp = medianOf('largest-contentful-paint');
+  const medianTbt = medianOf('total-blocking-time');
+
+  // 按与中位数的相对距离计算，避免两个指标量级不同
+  const distance = (value, median) => {
+    if (value === null || median === null) return 0;
+    return median === 0 ? value : (value - median) / median;
+  };
+
+  let bestIndex = 0;
+  let bestDistance = Infinity;
+  lhrs.forEach((lhr, index) => {
+    const d = Math.hypot(
+      distance(getValue(lhr, 'largest-contentful-paint'), medianLcp),
+      distance(getValue(lhr, 'total-blocking-time'), medianTbt)
+    );
+    if (d < bestDistance) {
+      bestDistance = d;
+      bestIndex = index;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * 汇总多次运行的得分和指标
+ * 统计值中保留每次运行的原始数值(values)，供回归检测做秩和检验
+ * @param {Array<object>} lhrs - 每次运行的Lighthouse结果(lhr)
+ * @param {Array<string>} metricIds - 需要统计的指标审计ID
+ * @returns {object} { scores: { 类别: 统计值 }, metrics: { 指标: 统计值 } }
+ */
+function aggregateRuns(lhrs, metricIds) {
+  const stats = { scores: {}, metrics: {} };
+
+  const categories = new Set();
+  lhrs.forEach(lhr => Object.keys(lhr.categories).forEach(key => categories.add(key)));
+  categories.forEach(category => {
+    const values = lhrs.map(lhr => lhr.categories[category] && lhr.categories[category].score !== null
+      ? lhr.categories[category].score * 100
+      : null);
+    const summary = summarize(values);
+    if (summary) stats.scores[category] = { ...summary, values: values.filter(v => v !== null) };
+  });
+
+  metricIds.forEach(metric => {
+    const values = lhrs.map(lhr => lhr.audits[metric] && lhr.audits[metric].numericValue);
+    const summary = summarize(values);
+    if (summary) stats.metrics[metric] = { ...summary, values: values.filter(v => typeof v === 'number') };
+  });
+
+  return stats;
+}
+
+/**
+ * 标准正态分布的累积分布函数
+ * 使用Abramowitz-Stegun 7.1.26近似计算误差函数，误差小于1.5e-7
+ * @param {number} z - z值
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Mann-Whitney U检验（双侧，正态近似，含并列秩和连续性校正）
+ * @param {Array<number>} sampleA - 样本A
+ * @param {Array<number>} sampleB - 样本B
+ * @returns {object|null} { u, z, pValue }，样本为空或全部相同时返回null
+ */
+function mannWhitneyU(sampleA, sampleB) {
+  const n1 = sampleA.length;
+  const n2 = sampleB.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  // 合并排序后计算秩，并列的值取平均秩
+  const combined = [
+    ...sampleA.map(value => ({ value, group: 0 })),
+    ...sampleB.map(value => ({ value, group: 1 }))
+  ].sort((a, b) => a.value - b.value);
+
+  const ranks = new Array(combined.length);
+  let tieCorrection = 0;
+  for (let i = 0; i < combined.length;) {
+    let j = i;
+    while (j + 1 < combined.length && combined[j + 1].value === combined[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[k] = rank;
+    const ties = j - i + 1;
+    tieCorrection += ties ** 3 - ties;
+    i = j + 1;
+  }
+
+  const rankSumA = combined.reduce((acc, item, index) => acc + (item.group === 0 ? ranks[index] : 0), 0);
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const n = n1 + n2;
+  const mean = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * ((n + 1) - tieCorrection / (n * (n - 1)));
+  if (variance <= 0) return null;
+
+  const diff = u - mean;
+  const z = diff === 0 ? 0 : (diff - Math.sign(diff) * 0.5) / Math.sqrt(variance);
+  return { u, z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+}
+
+module.exports = {
+  percentile,
+  summarize,
+  normalCdf,
+  mannWhitneyU,
+  selectMedianRun,
+  aggregateRuns
+};
@@ -0,0 +1,151 @@
+/**
+ * 登录态支持
+ * 通过Playwright登录脚本生成storageState（Cookie和localStorage），
+ * 并将其注入截图上下文和Lighthouse使用的Chrome实例
+ */
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 加载登录脚本模块
+ * 脚本需导出一个异步函数: async ({ page, context, url }) => {}
+ * @param {string|Function} setup - 脚本路径或函数
+ * @returns {Function} 登录函数
+ */
+function loadSetupScript(setup) {
+  if (typeof setup === 'function') {
+    return setup;
+  }
+  
+  const scriptPath = path.resolve(setup);
+  if (!fs.existsSync(scriptPath)) {
+    throw new Error(`登录脚本不存在: ${scriptPath}`);
+  }
+  
+  const setupModule = require(scriptPath);
+  const setupFn = typeof setupModule === 'function' ? setupModule : setupModule.setup;
+  if (typeof setupFn !== 'function') {
+    throw new Error(`登录脚本必须导出一个函数或setup函数: ${scriptPath}`);
+  }
+  return setupFn;
+}
+
+/**
+ * 运行登录脚本并保存storageState
+ * @param {string|Function} setup - 登录脚本路径或函数
+ * @param {string} testUrl - 要测试的网页URL
+ * @param {string} storageStatePath - storageState保存路径
+ * @param {object} options - 选项
+ * @param {number} options.timeout - 登录脚本中页面操作的超时时间
+ * @param {object} options.sharedBrowser - launchSharedBrowser返回的共享浏览器，提供时不再单独启动浏览器
+ * @returns {Promise<string>} storageState文件路径
+ */
+async function runSetupScript(setup, testUrl, storageStatePath, options = {}) {
+  const setupFn = loadSetupScript(setup);
+  console.log(`运行登录脚本: ${typeof setup === 'string' ? setup : '(函数)'}`);
+  
+  const outputDir = path.dirname(storageStatePath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  const { sharedBrowser } = options;
+  const browser = sharedBrowser ? sharedBrowser.browser : await chromium.launch({
+    args: ['--disable-dev-shm-usage', '--no-sandbox']
+  });
+  
+  let context;
+  try {
+    context = await browser.newContext();
+    const page = await context.newPage();
+    page.setDefaultTimeout(options.timeout || 60000);
+    
+    await setupFn({ page, context, url: testUrl });
+    
+    await context.storageState({ path: storageStatePath });
+    console.log(`登录态已保存至: ${storageStatePath}`);
+    return storageStatePath;
+  } finally {
+    if (sharedBrowser) {
+      // 共享浏览器由调用方关闭，只关闭本次创建的上下文
+      if (context) await context.close();
+    } else {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * 获取网站配置的登录脚本
+ * 优先使用setups中按URL配置的脚本，其次使用testOptions.setup，相对路径基于配置文件所在目录
+ * @param {object} config - 网站配置
+ * @param {string} configPath - 配置文件路径
+ * @param {string} website - 网站URL
+ * @returns {string|undefined} 登录脚本的绝对路径
+ */
+function resolveSetup(config, configPath, website) {
+  const setup = (config.setups && config.setups[website]) ||
+    (config.testOptions && config.testOptions.setup);
+  if (!setup) return undefined;
+  return path.resolve(path.dirname(configPath), setup);
+}
+
+/**
+ * 读取storageState
+ * @param {string|object} storageState - storageState文件路径或对象
+ * @returns {object} storageState对象
+ */
+function readStorageState(storageState) {
+  if (typeof storageState === 'string') {
+    return JSON.parse(fs.readFileSync(storageState, 'utf8'));
+  }
+  return storageState;
+}
+
+/**
+ * 将storageState注入到已启动的Chrome实例
+ * Lighthouse重置存储时只清除缓存、Service Worker等，注入的Cookie和localStorage会保留
+ * @param {number} port - Chrome远程调试端口
+ * @param {string|object} storageState - storageState文件路径或对象
+ */
+async function applyStorageState(port, storageState) {
+  const state = readStorageState(storageState);
+  const browser = await chromium.connectOverCDP(`http://127.0.0.1:${port}`);
+  
+  try {
+    const context = browser.contexts()[0];
+    
+    if (state.cookies && state.cookies.length > 0) {
+      await context.addCookies(state.cookies);
+      console.log(`已注入 ${state.cookies.length} 个Cookie`);
+    }
+    
+    // localStorage需要在对应源的页面中写入
+    for (const { origin, localStorage } of state.origins || []) {
+      if (!localStorage || localStorage.length === 0) continue;
+      
+      const page = await context.newPage();
+      try {
+        await page.goto(origin, { waitUntil: 'domcontentloaded' });
+        await page.evaluate(items => {
+          items.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+        }, localStorage);
+        console.log(`已注入 ${origin} 的 ${localStorage.length} 项localStorage`);
+      } finally {
+        await page.close();
+      }
+    }
+  } finally {
+    // 仅断开CDP连接，Chrome进程由调用方管理
+    await browser.close();
+  }
+}
+
+module.exports = {
+  loadSetupScript,
+  runSetupScript,
+  resolveSetup,
+  readStorageState,
+  applyStorageState
+};
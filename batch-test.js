@@ -5,59 +5,89 @@
 const { runFullTest, runLighthouseTest, captureScreenshot } = require('./index.js');
 const fs = require('fs');
 const path = require('path');
-
-// 读取配置文件
-function loadConfig(configPath = './websites.json') {
-  try {
-    const configData = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configData);
-  } catch (error) {
-    console.error(`读取配置文件失败: ${error.message}`);
-    return { websites: [] };
-  }
-}
+const { formatViolation } = require('./budget.js');
+const { formatVisualResult } = require('./visual-regression.js');
+const { ConfigError, loadConfig, resolveTestOptions, resolveSites } = require('./config.js');
+const { expandSitemaps } = require('./sitemap.js');
+const { expandCrawls, saveCrawlGraph } = require('./crawler.js');
+const { openStore, recordRun, toBatchResult } = require('./result-store.js');
+const { writeJUnitReport } = require('./junit-report.js');
+const { mergeSarifFiles } = require('./sarif-report.js');
+const { generateMarkdownReport } = require('./markdown-report.js');
+const { notifyBatch } = require('./notifier.js');
 
 /**
  * 批量测试多个网站
  * @param {string} configPath - 配置文件路径
+ * @param {object} options - 批量测试选项
+ * @param {object} options.testOptions - 覆盖配置文件中testOptions的选项
+ * @param {object} options.budgets - 性能预算，未提供时从配置文件加载
+ * @param {Array<string>} options.tags - 只测试带有任一标签的网站
+ * @param {boolean} options.notify - 为false时不发送配置的Webhook通知
+ * @param {boolean} options.notifyDryRun - 只输出通知内容，不发送请求
  */
-async function batchTest(configPath = './websites.json') {
+async function batchTest(configPath = './websites.json', options = {}) {
   console.log(`开始批量网站测试，配置文件: ${configPath}`);
   
-  // 加载配置
-  const config = loadConfig(configPath);
+  // 加载配置，配置无效时抛出ConfigError，不会开始测试
+  // 配置了sitemaps或crawl时，从sitemap和爬虫发现的页面追加到网站列表中
+  const { config, graphs: crawlGraphs } = await expandCrawls(await expandSitemaps(loadConfig(configPath)), configPath);
   
-  if (!config.websites || config.websites.length === 0) {
-    console.error('配置文件中未找到网站列表或列表为空');
+  // 解析每个网站的测试选项、性能预算和登录脚本，网站条目中的设置覆盖全局testOptions
+  const sites = resolveSites(config, configPath, options);
+  if (sites.length === 0) {
+    console.error('没有需要测试的网站，请检查标签、sitemap和爬虫的过滤规则');
     return;
   }
   
-  console.log(`找到 ${config.websites.length} 个网站需要测试`);
+  console.log(`找到 ${sites.length} 个网站需要测试`);
+  
+  // 使用配置文件中的选项或默认选项，命令行等传入的选项优先
+  const testOptions = resolveTestOptions(config, options.testOptions);
   
   // 创建汇总报告目录
+  const reportsDir = testOptions.outputDir || './reports';
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const summaryDir = path.join('./reports', `batch-summary-${timestamp}`);
+  const batchId = `batch-summary-${timestamp}`;
+  const summaryDir = path.join(reportsDir, batchId);
   if (!fs.existsSync(summaryDir)) {
     fs.mkdirSync(summaryDir, { recursive: true });
   }
   
-  // 汇总结果
-  const batchResults = [];
+  // 保存爬虫发现页面时的链接关系
+  const crawlGraphPath = saveCrawlGraph(crawlGraphs, summaryDir);
   
-  // 对每个网站执行测试
-  for (let i = 0; i < config.websites.length; i++) {
-    const website = config.websites[i];
-    console.log(`\n[${i+1}/${config.websites.length}] 测试网站: ${website}`);
+  // 配置了多个设备预设时，每个网站在每个预设下各测试一次
+  const tasks = sites.flatMap(site => {
+    const devices = site.testOptions.devices && site.testOptions.devices.length > 0 ? site.testOptions.devices : [undefined];
+    return devices.map(device => ({ site, device }));
+  });
+  
+  // 对每个网站执行测试，结果写入结果存储
+  for (let i = 0; i < tasks.length; i++) {
+    const { site, device } = tasks[i];
+    const website = site.url;
+    console.log(`\n[${i+1}/${tasks.length}] 测试网站: ${site.name}${device ? ` (设备: ${device})` : ''}`);
+    
+    // 执行完整测试，附带该网站生效的性能预算和登录脚本
+    const taskOptions = {
+      ...site.testOptions,
+      ...(device && { device }),
+      devicePresets: config.devicePresets,
+      budget: site.budget,
+      setup: site.setup
+    };
+    const runMeta = {
+      source: 'batch',
+      outputDir: reportsDir,
+      batchId,
+      name: site.name,
+      tags: site.tags,
+      testOptions: taskOptions
+    };
     
     try {
-      // 使用配置文件中的选项或默认选项
-      const testOptions = config.testOptions || {
-        outputFormat: 'html',
-        categories: ['performance', 'accessibility', 'best-practices', 'seo']
-      };
-      
-      // 执行完整测试
-      const results = await runFullTest(website, testOptions);
+      const results = await runFullTest(website, taskOptions);
       
       if (results && results.lighthouse) {
         console.log('测试完成，结果摘要:');
@@ -66,34 +96,56 @@ async function batchTest(configPath = './websites.json') {
         Object.keys(results.lighthouse.scores).forEach(category => {
           console.log(`- ${category}得分: ${results.lighthouse.scores[category].toFixed(1)}`);
         });
-        
-        // 添加到批量结果
-        batchResults.push({
-          url: website,
-          scores: results.lighthouse.scores,
-          reportPath: results.lighthouse.filePath,
-          screenshotPath: results.screenshotPath
-        });
       }
+      recordRun(website, results, runMeta);
     } catch (error) {
       console.error(`测试网站 ${website} 时发生错误:`, error);
-      batchResults.push({
-        url: website,
-        error: error.message
-      });
+      recordRun(website, null, { ...runMeta, error: error.message });
     }
   }
   
+  // 从结果存储读取本次批量测试的全部结果
+  const store = openStore(reportsDir);
+  const batchResults = store.query({ batchId, includeErrors: true, order: 'asc' })
+    .map(record => toBatchResult(store, record));
+  
   // 生成汇总报告
-  await generateSummaryReport(batchResults, summaryDir);
+  await generateSummaryReport(batchResults, summaryDir, { store });
+  
+  // 按配置发送Webhook通知，发送失败不影响批量测试结果
+  if (options.notify !== false) {
+    await notifyBatch(
+      { batchId, summaryDir, results: batchResults },
+      config.notifications,
+      { store, dryRun: options.notifyDryRun }
+    );
+  }
+  
+  console.log(`\n批量测试完成! 共测试 ${sites.length} 个网站`);
   
-  console.log(`\n批量测试完成! 共测试 ${config.websites.length} 个网站`);
+  // 输出预算违规汇总
+  const budgetFailures = batchResults.filter(r => r.budget && !r.budget.passed);
+  if (budgetFailures.length > 0) {
+    console.log(`\n${budgetFailures.length} 个网站超出性能预算:`);
+    budgetFailures.forEach(result => {
+      console.log(`${result.name || result.url}`);
+      result.budget.violations.forEach(violation => console.log(`- ${formatViolation(violation)}`));
+    });
+  }
+  
+  // 输出视觉回归未通过的网站
+  const visualFailures = batchResults.filter(r => r.visual && r.visual.status === 'failed');
+  if (visualFailures.length > 0) {
+    console.log(`\n${visualFailures.length} 个网站视觉回归未通过:`);
+    visualFailures.forEach(result => console.log(`- ${result.name || result.url}${result.device ? ` (${result.device})` : ''}: ${formatVisualResult(result.visual)}`));
+  }
   console.log(`汇总报告保存在: ${summaryDir}`);
   
   return {
-    totalWebsites: config.websites.length,
+    totalWebsites: sites.length,
     results: batchResults,
-    summaryDir
+    summaryDir,
+    crawlGraphPath
   };
 }
 
@@ -101,8 +153,10 @@ async function batchTest(configPath = './websites.json') {
  * 生成汇总报告
  * @param {Array} results - 批量测试结果
  * @param {string} outputDir - 输出目录
+ * @param {object} options - 选项
+ * @param {ResultStore} options.store - 结果存储，用于在Markdown报告中与上一次测试对比
  */
-async function generateSummaryReport(results, outputDir) {
+async function generateSummaryReport(results, outputDir, options = {}) {
   console.log('\n生成汇总报告...');
   
   // 创建JSON汇总报告
@@ -111,6 +165,8 @@ async function generateSummaryReport(results, outputDir) {
     totalWebsites: results.length,
     successfulTests: results.filter(r => !r.error).length,
     failedTests: results.filter(r => r.error).length,
+    budgetFailures: results.filter(r => r.budget && !r.budget.passed).length,
+    visualFailures: results.filter(r => r.visual && r.visual.status === 'failed').length,
     results: results
   };
   
@@ -143,26 +199,57 @@ async function generateSummaryReport(results, outputDir) {
   fs.writeFileSync(jsonPath, JSON.stringify(summaryData, null, 2));
   
   // 生成HTML汇总报告
-  const htmlReport = generateHtmlReport(summaryData);
+  const htmlReport = generateHtmlReport(summaryData, outputDir);
   const htmlPath = path.join(outputDir, 'batch-summary.html');
   fs.writeFileSync(htmlPath, htmlReport);
   
+  // 生成Markdown报告，便于粘贴到Pull Request或写入CI步骤摘要
+  const markdownPath = path.join(outputDir, 'batch-summary.md');
+  fs.writeFileSync(markdownPath, generateMarkdownReport(summaryData, { store: options.store }));
+  
+  // 生成JUnit XML报告，供CI系统展示
+  const junitPath = writeJUnitReport(results, path.join(outputDir, 'junit.xml'), { timestamp: summaryData.timestamp });
+  
+  // 合并各网站的SARIF报告，供代码扫描工具上传
+  const sarif = mergeSarifFiles(results.map(r => r.sarifPath), path.join(outputDir, 'results.sarif'));
+  
   console.log(`汇总JSON报告: ${jsonPath}`);
   console.log(`汇总HTML报告: ${htmlPath}`);
+  console.log(`汇总Markdown报告: ${markdownPath}`);
+  console.log(`JUnit XML报告: ${junitPath}`);
+  console.log(`SARIF报告: ${sarif.filePath}（${sarif.results} 条结果）`);
+}
+
+/**
+ * 转义HTML文本和属性值
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
  * 生成HTML格式的汇总报告
  * @param {Object} data - 汇总数据
+ * @param {string} outputDir - 汇总报告目录，用于生成对比图的相对链接
  * @returns {string} HTML报告内容
  */
-function generateHtmlReport(data) {
+function generateHtmlReport(data, outputDir) {
   // 格式化日期
   const formatDate = (isoString) => {
     const date = new Date(isoString);
     return date.toLocaleString();
   };
   
+  // 有网站启用了视觉回归测试时增加一列
+  const showVisual = data.results.some(result => result.visual);
+  
   // 生成网站结果表格行
   const generateResultRows = () => {
     return data.results.map((result, index) => {
@@ -170,8 +257,8 @@ function generateHtmlReport(data) {
         return `
           <tr class="error-row">
             <td>${index + 1}</td>
-            <td>${result.url}</td>
-            <td colspan="4" class="error-message">测试失败: ${result.error}</td>
+            <td>${escapeHtml(`${result.name || result.url}${result.device ? ` (${result.device})` : ''}`)}</td>
+            <td colspan="${showVisual ? 6 : 5}" class="error-message">测试失败: ${escapeHtml(result.error)}</td>
           </tr>
         `;
       }
@@ -191,11 +278,33 @@ function generateHtmlReport(data) {
         })
         .join('');
       
+      // 生成预算检查单元格
+      let budgetColumn = '<td>N/A</td>';
+      if (result.budget) {
+        budgetColumn = result.budget.passed
+          ? '<td class="score-good">通过</td>'
+          : `<td class="score-poor" title="${escapeHtml(result.budget.violations.map(formatViolation).join('\n'))}">超出 ${result.budget.violations.length} 项</td>`;
+      }
+      
+      // 生成视觉回归单元格，有对比图时链接到对比图
+      let visualColumn = '';
+      if (showVisual) {
+        visualColumn = '<td>N/A</td>';
+        if (result.visual) {
+          const visualClass = { passed: 'score-good', new: 'score-good', failed: 'score-poor', error: 'score-average' }[result.visual.status];
+          const visualText = { passed: '通过', new: '新基准', failed: '未通过', error: '出错' }[result.visual.status];
+          const visualLink = result.visual.diffPath ? ` <a href="${escapeHtml(path.relative(outputDir, result.visual.diffPath).split(path.sep).map(encodeURIComponent).join('/'))}">对比图</a>` : '';
+          visualColumn = `<td class="${visualClass}" title="${escapeHtml(formatVisualResult(result.visual))}">${visualText}${visualLink}</td>`;
+        }
+      }
+      
       return `
         <tr>
           <td>${index + 1}</td>
-          <td>${result.url}</td>
+          <td>${escapeHtml(`${result.name || result.url}${result.device ? ` (${result.device})` : ''}`)}</td>
           ${scoreColumns}
+          ${budgetColumn}
+          ${visualColumn}
         </tr>
       `;
     }).join('');
@@ -223,6 +332,8 @@ function generateHtmlReport(data) {
       <tr class="average-row">
         <td colspan="2"><strong>平均分数</strong></td>
         ${averageColumns}
+        <td></td>
+        ${showVisual ? '<td></td>' : ''}
       </tr>
     `;
   };
@@ -304,6 +415,8 @@ function generateHtmlReport(data) {
         <p><strong>测试网站总数:</strong> ${data.totalWebsites}</p>
         <p><strong>成功测试:</strong> ${data.successfulTests}</p>
         <p><strong>失败测试:</strong> ${data.failedTests}</p>
+        <p><strong>超出预算:</strong> ${data.budgetFailures}</p>
+        ${showVisual ? `<p><strong>视觉回归未通过:</strong> ${data.visualFailures}</p>` : ''}
       </div>
       
       <h2>测试结果</h2>
@@ -316,6 +429,8 @@ function generateHtmlReport(data) {
             <th>可访问性</th>
             <th>最佳实践</th>
             <th>SEO</th>
+            <th>预算</th>
+            ${showVisual ? '<th>视觉回归</th>' : ''}
           </tr>
         </thead>
         <tbody>
@@ -330,8 +445,9 @@ function generateHtmlReport(data) {
 
 // 如果直接运行此脚本，执行批量测试
 if (require.main === module) {
-  batchTest('./websites.json').catch(error => {
-    console.error('批量测试失败:', error);
+  batchTest(process.argv[2] || './websites.json').catch(error => {
+    console.error('批量测试失败:', error instanceof ConfigError ? error.message : error);
+    process.exit(1);
   });
 }
 
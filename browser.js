@@ -0,0 +1,90 @@
+/**
+ * 共享浏览器管理
+ * 启动带远程调试端口的Playwright Chromium，供登录脚本、截图和Lighthouse审计共用同一个浏览器进程
+ */
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 读取浏览器实际监听的远程调试端口
+ * 以--remote-debugging-port=0启动时端口由系统分配，Chrome会把端口写入用户数据目录下的DevToolsActivePort文件
+ * @param {object} browser - Playwright Browser
+ * @param {number} timeout - 等待端口文件的超时时间（毫秒）
+ * @returns {Promise<number>} 远程调试端口
+ */
+async function readDevToolsPort(browser, timeout = 10000) {
+  const session = await browser.newBrowserCDPSession();
+  let userDataDir;
+  try {
+    const { arguments: args } = await session.send('Browser.getBrowserCommandLine');
+    const arg = args.find(item => item.startsWith('--user-data-dir='));
+    userDataDir = arg && arg.slice('--user-data-dir='.length);
+  } finally {
+    await session.detach();
+  }
+  if (!userDataDir) {
+    throw new Error('无法获取浏览器的用户数据目录');
+  }
+  
+  const portFile = path.join(userDataDir, 'DevToolsActivePort');
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (fs.existsSync(portFile)) {
+      const port = parseInt(fs.readFileSync(portFile, 'utf8').split('\n')[0], 10);
+      if (port > 0) return port;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`等待 ${portFile} 超时`);
+}
+
+/**
+ * 启动可供Lighthouse连接的Playwright Chromium
+ * 远程调试端口由系统分配，并行启动的多个浏览器不会争用同一端口
+ * @param {object} options - 启动选项
+ * @param {boolean} options.headless - 是否无头模式 (默认: true)
+ * @returns {Promise<object>} { browser, port, close }
+ */
+async function launchSharedBrowser(options = {}) {
+  console.log('启动Playwright Chromium浏览器...');
+  const browser = await chromium.launch({
+    headless: options.headless !== false,
+    args: [
+      '--remote-debugging-port=0',
+      '--disable-gpu',
+      '--no-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-extensions',
+      '--disable-background-networking',
+      '--disable-component-update'
+    ]
+  });
+  
+  let port;
+  try {
+    port = await readDevToolsPort(browser);
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+  console.log(`Playwright Chromium已启动，调试端口: ${port}`);
+  
+  return {
+    browser,
+    port,
+    async close() {
+      try {
+        await browser.close();
+        console.log('Playwright Chromium已关闭');
+      } catch (error) {
+        console.error('关闭Playwright Chromium时出错:', error);
+      }
+    }
+  };
+}
+
+module.exports = {
+  readDevToolsPort,
+  launchSharedBrowser
+};
@@ -0,0 +1,182 @@
+/**
+ * 性能预算
+ * 加载预算配置，检查测试结果是否满足类别最低得分和指标最大值
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 指标简称到Lighthouse审计ID的映射
+const METRIC_ALIASES = {
+  FCP: 'first-contentful-paint',
+  LCP: 'largest-contentful-paint',
+  SI: 'speed-index',
+  TBT: 'total-blocking-time',
+  CLS: 'cumulative-layout-shift',
+  TTI: 'interactive',
+  TTFB: 'server-response-time',
+  FID: 'max-potential-fid'
+};
+
+/**
+ * 将指标名称统一为Lighthouse审计ID
+ * @param {string} name - 指标简称或审计ID
+ * @returns {string} 审计ID
+ */
+function normalizeMetricName(name) {
+  return METRIC_ALIASES[name.toUpperCase()] || name;
+}
+
+/**
+ * 加载预算配置
+ * 优先使用配置文件中的budgets字段，否则读取同目录下的budgets.json
+ * @param {string} configPath - 网站配置文件路径
+ * @param {object} config - 已加载的网站配置
+ * @returns {object|null} 预算配置，不存在时返回null
+ */
+function loadBudgets(configPath, config = {}) {
+  if (config.budgets) {
+    return config.budgets;
+  }
+  
+  const budgetPath = path.join(path.dirname(configPath), 'budgets.json');
+  if (!fs.existsSync(budgetPath)) {
+    return null;
+  }
+  
+  console.log(`加载预算文件: ${budgetPath}`);
+  return readBudgetFile(budgetPath);
+}
+
+/**
+ * 读取独立的预算文件
+ * @param {string} budgetPath - 预算文件路径
+ * @returns {object} 预算配置
+ */
+function readBudgetFile(budgetPath) {
+  const data = JSON.parse(fs.readFileSync(budgetPath, 'utf8'));
+  // 兼容整个文件就是budgets对象或包含budgets字段两种写法
+  return data.budgets || data;
+}
+
+/**
+ * 获取指定URL生效的预算
+ * 优先级从低到高: 全局配置、budgets.urls中的URL配置、网站条目中的budgets
+ * @param {object} budgets - 预算配置
+ * @param {string} testUrl - 网页URL
+ * @param {object} siteBudget - 网站条目中的预算 { scores, metrics }
+ * @returns {object|null} 生效的预算 { scores, metrics }
+ */
+function resolveBudget(budgets, testUrl, siteBudget) {
+  if (!budgets && !siteBudget) return null;
+  
+  const globalBudget = budgets || {};
+  const entryBudget = siteBudget || {};
+  const urlBudget = (globalBudget.urls && globalBudget.urls[testUrl]) || {};
+  const normalizeMetrics = (metrics = {}) => Object.fromEntries(
+    Object.entries(metrics).map(([name, limit]) => [normalizeMetricName(name), limit])
+  );
+  
+  const resolved = {
+    scores: { ...globalBudget.scores, ...urlBudget.scores, ...entryBudget.scores },
+    metrics: {
+      ...normalizeMetrics(globalBudget.metrics),
+      ...normalizeMetrics(urlBudget.metrics),
+      ...normalizeMetrics(entryBudget.metrics)
+    }
+  };
+  
+  if (Object.keys(resolved.scores).length === 0 && Object.keys(resolved.metrics).length === 0) {
+    return null;
+  }
+  return resolved;
+}
+
+/**
+ * 检查测试结果是否满足预算
+ * @param {object} lighthouseResult - runLighthouseTest返回的结果 { scores, metrics }
+ * @param {object} budget - resolveBudget返回的预算
+ * @returns {object} 检查结果 { passed, violations }
+ */
+function evaluateBudget(lighthouseResult, budget) {
+  const violations = [];
+  
+  Object.entries(budget.scores || {}).forEach(([category, limit]) => {
+    const actual = lighthouseResult.scores[category];
+    if (actual === undefined) return;
+    if (actual < limit) {
+      violations.push({
+        type: 'score',
+        key: category,
+        actual,
+        limit,
+        overage: limit - actual
+      });
+    }
+  });
+  
+  Object.entries(budget.metrics || {}).forEach(([metric, limit]) => {
+    const metricData = lighthouseResult.metrics && lighthouseResult.metrics[metric];
+    if (!metricData || typeof metricData.numericValue !== 'number') return;
+    const actual = metricData.numericValue;
+    if (actual > limit) {
+      violations.push({
+        type: 'metric',
+        key: metric,
+        title: metricData.title,
+        unit: metricData.numericUnit,
+        actual,
+        limit,
+        overage: actual - limit
+      });
+    }
+  });
+  
+  return {
+    passed: violations.length === 0,
+    violations
+  };
+}
+
+/**
+ * 格式化单条预算违规信息
+ * @param {object} violation - 违规项
+ * @returns {string} 可读的描述
+ */
+function formatViolation(violation) {
+  if (violation.type === 'score') {
+    return `${violation.key} 得分 ${violation.actual.toFixed(1)} 低于预算 ${violation.limit}（差 ${violation.overage.toFixed(1)} 分）`;
+  }
+  
+  const unit = violation.unit === 'millisecond' ? ' ms' : '';
+  const digits = unit ? 0 : 3;
+  const percent = violation.limit > 0 ? `, ${((violation.overage / violation.limit) * 100).toFixed(1)}%` : '';
+  return `${violation.title || violation.key} ${violation.actual.toFixed(digits)}${unit} 超出预算 ${violation.limit}${unit}（超出 ${violation.overage.toFixed(digits)}${unit}${percent}）`;
+}
+
+/**
+ * 在控制台输出预算检查结果
+ * @param {string} testUrl - 网页URL
+ * @param {object} budgetResult - evaluateBudget返回的结果
+ */
+function printBudgetResult(testUrl, budgetResult) {
+  if (budgetResult.passed) {
+    console.log(`预算检查通过: ${testUrl}`);
+    return;
+  }
+  
+  console.log(`预算检查未通过: ${testUrl}，共 ${budgetResult.violations.length} 项超出预算`);
+  budgetResult.violations.forEach(violation => {
+    console.log(`- ${formatViolation(violation)}`);
+  });
+}
+
+module.exports = {
+  METRIC_ALIASES,
+  normalizeMetricName,
+  loadBudgets,
+  readBudgetFile,
+  resolveBudget,
+  evaluateBudget,
+  formatViolation,
+  printBudgetResult
+};
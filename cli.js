@@ -0,0 +1,957 @@
+#!/usr/bin/env node
+/**
+ * 统一命令行入口
+ * 通过子命令调用单页测试、批量测试、版本对比和截图功能
+ *
+ * 用法: node cli.js <command> [options]
+ */
+const { parseArgs } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { readBudgetFile, resolveBudget } = require('./budget.js');
+const { DEVICE_PRESETS } = require('./devices.js');
+const { VALID_CATEGORIES, VALID_FORMATS, VALID_BROWSERS } = require('./config-schema.js');
+const { ConfigError, checkConfigFile, formatConfigError } = require('./config.js');
+
+// 退出码
+const EXIT_CODES = {
+  OK: 0,          // 全部成功
+  FAILURE: 1,     // 测试执行失败（部分或全部网站出错）
+  USAGE: 2,       // 参数或配置错误
+  BUDGET: 3,      // 测试完成但超出性能预算
+  VISUAL: 4       // 测试完成但视觉回归测试未通过
+};
+
+/**
+ * 命令行参数错误
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// 各子命令共用的选项
+const commonOptions = {
+  'output-dir': { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  categories: { type: 'string', short: 'c' },
+  browser: { type: 'string' },
+  device: { type: 'string', short: 'd' },
+  runs: { type: 'string', short: 'n' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * 将命令行选项转换为runFullTest可接受的测试选项
+ * @param {object} values - parseArgs解析出的选项
+ * @returns {object} 测试选项
+ */
+function buildTestOptions(values) {
+  const testOptions = {};
+  
+  if (values['output-dir']) {
+    testOptions.outputDir = values['output-dir'];
+  }
+  
+  if (values.format) {
+    if (!VALID_FORMATS.includes(values.format)) {
+      throw new UsageError(`不支持的报告格式: ${values.format}，可选值: ${VALID_FORMATS.join(', ')}`);
+    }
+    testOptions.outputFormat = values.format;
+  }
+  
+  if (values.categories) {
+    const categories = values.categories.split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = categories.filter(c => !VALID_CATEGORIES.includes(c));
+    if (unknown.length > 0) {
+      throw new UsageError(`未知的测试类别: ${unknown.join(', ')}，可选值: ${VALID_CATEGORIES.join(', ')}`);
+    }
+    testOptions.categories = categories;
+  }
+  
+  if (values.browser) {
+    if (!VALID_BROWSERS.includes(values.browser)) {
+      throw new UsageError(`不支持的浏览器模式: ${values.browser}，可选值: ${VALID_BROWSERS.join(', ')}`);
+    }
+    testOptions.browser = values.browser;
+  }
+  
+  const runs = parseIntOption(values.runs, 'runs');
+  if (runs !== undefined) {
+    testOptions.runs = runs;
+  }
+  
+  if (values.device) {
+    testOptions.devices = values.device.split(',').map(d => d.trim()).filter(Boolean);
+  }
+  
+  // 指定--max-diff时也启用视觉回归测试，其余选项与配置文件按字段合并
+  if (values.visual || values['max-diff'] !== undefined) {
+    testOptions.visualRegression = { enabled: true };
+    if (values['max-diff'] !== undefined) {
+      const maxDiff = Number(values['max-diff']);
+      if (values['max-diff'] === '' || !(maxDiff >= 0 && maxDiff <= 100)) {
+        throw new UsageError(`--max-diff 必须是0到100之间的数，当前值: ${values['max-diff']}`);
+      }
+      testOptions.visualRegression.maxDiffPercent = maxDiff;
+    }
+  }
+  
+  return testOptions;
+}
+
+/**
+ * 解析整数选项
+ * @param {string} value - 选项值
+ * @param {string} name - 选项名称
+ * @param {number} min - 允许的最小值
+ * @returns {number|undefined} 解析后的数值
+ */
+function parseIntOption(value, name, min = 1) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw new UsageError(`--${name} 必须是不小于 ${min} 的整数，当前值: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * 检查选项指定的文件是否存在
+ * @param {string} filePath - 文件路径
+ * @param {string} label - 文件说明，用于错误信息
+ * @returns {string} 绝对路径
+ */
+function requireFile(filePath, label) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new UsageError(`${label}不存在: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * 读取--budget选项指定的预算文件
+ * @param {string} budgetPath - 预算文件路径
+ * @returns {object|undefined} 预算配置
+ */
+function loadBudgetOption(budgetPath) {
+  if (!budgetPath) return undefined;
+  requireFile(budgetPath, '预算文件');
+  try {
+    return readBudgetFile(budgetPath);
+  } catch (error) {
+    throw new UsageError(`预算文件解析失败: ${budgetPath}: ${error.message}`);
+  }
+}
+
+/**
+ * 要求提供URL位置参数
+ * @param {Array<string>} positionals - 位置参数
+ * @returns {string} URL
+ */
+function requireUrl(positionals) {
+  const testUrl = positionals[0];
+  if (!testUrl) {
+    throw new UsageError('缺少要测试的URL');
+  }
+  try {
+    new URL(testUrl);
+  } catch (error) {
+    throw new UsageError(`无效的URL: ${testUrl}`);
+  }
+  return testUrl;
+}
+
+// 子命令定义
+const commands = {
+  test: {
+    usage: 'test <url> [-o 输出目录] [-f html|json] [-c 类别列表] [--budget budgets.json] [--setup 登录脚本] [--storage-state 登录态文件] [-d 设备预设列表] [-n 运行次数] [--browser 浏览器模式] [--sarif 文件] [--no-screenshot] [--visual] [--max-diff 百分比]',
+    description: '对单个网页运行截图和Lighthouse测试',
+    options: {
+      ...commonOptions,
+      budget: { type: 'string' },
+      setup: { type: 'string' },
+      'storage-state': { type: 'string' },
+      sarif: { type: 'string' },
+      'no-screenshot': { type: 'boolean' },
+      visual: { type: 'boolean' },
+      'max-diff': { type: 'string' }
+    },
+    async run({ values, positionals }) {
+      const { runFullTest } = require('./index.js');
+      const testUrl = requireUrl(positionals);
+      const { devices, ...testOptions } = buildTestOptions(values);
+      if (values['no-screenshot']) {
+        testOptions.captureScreenshot = false;
+      }
+      
+      if (values.setup) {
+        testOptions.setup = requireFile(values.setup, '登录脚本');
+      } else if (values['storage-state']) {
+        testOptions.storageState = requireFile(values['storage-state'], '登录态文件');
+      }
+      
+      const budget = resolveBudget(loadBudgetOption(values.budget), testUrl);
+      if (budget) {
+        testOptions.budget = budget;
+      }
+      
+      const unknownDevices = (devices || []).filter(d => !DEVICE_PRESETS[d]);
+      if (unknownDevices.length > 0) {
+        throw new UsageError(`未知的设备预设: ${unknownDevices.join(', ')}，可选值: ${Object.keys(DEVICE_PRESETS).join(', ')}`);
+      }
+      
+      // 多个设备预设时依次测试，结果按预设名称区分
+      let allResults;
+      if (devices && devices.length > 1) {
+        const { runMultiDeviceTest } = require('./index.js');
+        const multiResults = await runMultiDeviceTest(testUrl, { ...testOptions, devices });
+        allResults = Object.values(multiResults.devices);
+      } else {
+        allResults = [await runFullTest(testUrl, { ...testOptions, ...(devices && { device: devices[0] }) })];
+      }
+      
+      // 保存到结果存储，供对比和趋势报告使用
+      const { recordRun } = require('./result-store.js');
+      allResults.forEach(results => recordRun(testUrl, results, {
+        source: 'test',
+        outputDir: testOptions.outputDir,
+        testOptions: { ...testOptions, device: results.device }
+      }));
+      
+      // 每次测试已在输出目录中保存findings-*.sarif，指定--sarif时把各设备的结果合并保存到该路径
+      if (values.sarif) {
+        const { mergeSarifFiles } = require('./sarif-report.js');
+        const sarif = mergeSarifFiles(allResults.map(results => results.lighthouse && results.lighthouse.sarifPath), values.sarif);
+        console.log(`SARIF报告: ${sarif.filePath}（${sarif.results} 条结果）`);
+      }
+      
+      if (allResults.some(results => results.budget && !results.budget.passed)) {
+        return EXIT_CODES.BUDGET;
+      }
+      if (allResults.some(results => results.visual && results.visual.status === 'failed')) {
+        return EXIT_CODES.VISUAL;
+      }
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  batch: {
+    usage: 'batch [--config websites.json] [--budget budgets.json] [--tag 标签列表] [--optimized] [--concurrency N] [--retries N] [--junit 文件] [--sarif 文件] [--markdown 文件] [--step-summary] [--no-notify] [--notify-dry-run] [--visual] [--max-diff 百分比] [-o 输出目录] [-f html|json] [-c 类别列表] [-d 设备预设列表] [-n 运行次数] [--browser 浏览器模式]',
+    description: '按配置文件批量测试多个网站',
+    options: {
+      ...commonOptions,
+      config: { type: 'string' },
+      budget: { type: 'string' },
+      tag: { type: 'string' },
+      optimized: { type: 'boolean' },
+      concurrency: { type: 'string' },
+      retries: { type: 'string' },
+      junit: { type: 'string' },
+      sarif: { type: 'string' },
+      markdown: { type: 'string' },
+      'step-summary': { type: 'boolean' },
+      'no-notify': { type: 'boolean' },
+      'notify-dry-run': { type: 'boolean' },
+      visual: { type: 'boolean' },
+      'max-diff': { type: 'string' }
+    },
+    async run({ values }) {
+      const configPath = values.config || './websites.json';
+      if (!fs.existsSync(configPath)) {
+        throw new UsageError(`配置文件不存在: ${configPath}`);
+      }
+      
+      const testOptions = buildTestOptions(values);
+      const concurrency = parseIntOption(values.concurrency, 'concurrency');
+      const retries = parseIntOption(values.retries, 'retries', 0);
+      const budgets = loadBudgetOption(values.budget);
+      const tags = values.tag ? values.tag.split(',').map(t => t.trim()).filter(Boolean) : undefined;
+      const notifyOptions = { notify: !values['no-notify'], notifyDryRun: values['notify-dry-run'] };
+      
+      let batchResult;
+      if (values.optimized || concurrency !== undefined) {
+        const { optimizedBatchTest } = require('./optimized-batch-test.js');
+        const batchOptions = { testOptions, budgets, tags, ...notifyOptions };
+        if (concurrency !== undefined) batchOptions.maxConcurrent = concurrency;
+        if (retries !== undefined) batchOptions.maxRetries = retries;
+        batchResult = await optimizedBatchTest(configPath, batchOptions);
+      } else {
+        const { batchTest } = require('./batch-test.js');
+        batchResult = await batchTest(configPath, { testOptions, budgets, tags, ...notifyOptions });
+      }
+      
+      // 配置文件中没有可测试的网站
+      if (!batchResult) {
+        return EXIT_CODES.USAGE;
+      }
+      
+      // 汇总目录中已有junit.xml、results.sarif和batch-summary.md，CI需要固定路径或步骤摘要时另外保存一份
+      if (values.junit) {
+        const { writeJUnitReport } = require('./junit-report.js');
+        console.log(`JUnit XML报告: ${writeJUnitReport(batchResult.results, values.junit)}`);
+      }
+      if (values.sarif) {
+        const { mergeSarifFiles } = require('./sarif-report.js');
+        const sarif = mergeSarifFiles(batchResult.results.map(r => r.sarifPath), values.sarif);
+        console.log(`SARIF报告: ${sarif.filePath}（${sarif.results} 条结果）`);
+      }
+      if (values.markdown || values['step-summary']) {
+        const { writeMarkdownReport } = require('./markdown-report.js');
+        const markdown = fs.readFileSync(path.join(batchResult.summaryDir, 'batch-summary.md'), 'utf8');
+        writeMarkdownReport(markdown, { file: values.markdown, stepSummary: values['step-summary'] })
+          .forEach(filePath => console.log(`Markdown报告: ${filePath}`));
+      }
+      
+      const failed = batchResult.results.filter(r => r.error);
+      if (failed.length > 0) {
+        console.error(`${failed.length} 个网站测试失败`);
+        return EXIT_CODES.FAILURE;
+      }
+      
+      const overBudget = batchResult.results.filter(r => r.budget && !r.budget.passed);
+      if (overBudget.length > 0) {
+        console.error(`${overBudget.length} 个网站超出性能预算`);
+        return EXIT_CODES.BUDGET;
+      }
+      
+      const visualFailures = batchResult.results.filter(r => r.visual && r.visual.status === 'failed');
+      if (visualFailures.length > 0) {
+        console.error(`${visualFailures.length} 个网站视觉回归未通过，确认变化后使用 accept 命令更新基准截图`);
+        return EXIT_CODES.VISUAL;
+      }
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  validate: {
+    usage: 'validate [配置文件] [--config websites.json]',
+    description: '检查配置文件的格式和字段，不运行测试',
+    options: {
+      config: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    },
+    async run({ values, positionals }) {
+      const configPath = positionals[0] || values.config || './websites.json';
+      if (!fs.existsSync(configPath)) {
+        throw new UsageError(`配置文件不存在: ${configPath}`);
+      }
+      
+      const { config, errors } = checkConfigFile(configPath);
+      if (errors.length > 0) {
+        errors.forEach(error => console.error(formatConfigError(configPath, error)));
+        console.error(`\n配置文件无效，共 ${errors.length} 个错误`);
+        return EXIT_CODES.USAGE;
+      }
+      
+      const sitemapCount = (config.sitemaps || []).length;
+      console.log(`配置文件有效: ${configPath}，共 ${(config.websites || []).length} 个网站` +
+        (sitemapCount > 0 ? `，${sitemapCount} 个sitemap` : ''));
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  compare: {
+    usage: 'compare <url> | --config websites.json [--baseline 基准] [--release 版本名称] [--pin] [--window 记录数] [--k 标准差倍数] [--no-regression] [--tag 标签列表] [-o 输出目录] [-f html|json] [-c 类别列表] [-d 设备预设] [-n 运行次数] [--browser 浏览器模式]',
+    description: '运行测试并与历史版本对比，基准可选 previous、golden、record:<id>、best:<天数>、release:<版本>',
+    options: {
+      ...commonOptions,
+      config: { type: 'string' },
+      tag: { type: 'string' },
+      baseline: { type: 'string' },
+      release: { type: 'string' },
+      pin: { type: 'boolean' },
+      window: { type: 'string' },
+      k: { type: 'string' },
+      'no-regression': { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+      const { runVersionCompare, runBatchVersionCompare, parseBaseline } = require('./version-compare.js');
+      const { devices, ...testOptions } = buildTestOptions(values);
+      
+      const baseline = values.baseline || 'previous';
+      try {
+        parseBaseline(baseline);
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+      
+      // 统计回归检测参数
+      const k = values.k !== undefined ? Number(values.k) : undefined;
+      if (k !== undefined && !(k > 0)) {
+        throw new UsageError(`--k 必须是正数，当前值: ${values.k}`);
+      }
+      const regression = values['no-regression'] ? false : {
+        ...(values.window !== undefined && { window: parseIntOption(values.window, 'window') }),
+        ...(k !== undefined && { k })
+      };
+      const compareOptions = { baseline, release: values.release, pin: values.pin, regression };
+      
+      // 指定配置文件时对其中的每个网站进行对比
+      if (values.config) {
+        if (positionals[0]) {
+          throw new UsageError('不能同时指定URL和--config');
+        }
+        requireFile(values.config, '配置文件');
+        const tags = values.tag ? values.tag.split(',').map(t => t.trim()).filter(Boolean) : undefined;
+        const results = await runBatchVersionCompare(values.config, {
+          testOptions: { ...testOptions, ...(devices && { devices }) },
+          tags,
+          ...compareOptions
+        });
+        return results.every(item => item.result) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+      }
+      
+      const url = requireUrl(positionals);
+      if (devices && devices.length > 1) {
+        throw new UsageError('单个网站的版本对比一次只能使用一个设备预设');
+      }
+      if (devices) {
+        testOptions.device = devices[0];
+      }
+      const result = await runVersionCompare(url, { ...testOptions, ...compareOptions });
+      return result ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    }
+  },
+  
+  trends: {
+    usage: 'trends [url...] [--config websites.json] [--tag 标签列表] [-o 报告目录] [--window 记录数] [--k 标准差倍数]',
+    description: '根据历史记录生成带SVG图表的趋势报告，包含每个网站的报告和多站点总览',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      config: { type: 'string' },
+      tag: { type: 'string' },
+      window: { type: 'string' },
+      k: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+      const { generateTrendReport } = require('./trend-report.js');
+      positionals.forEach(url => requireUrl([url]));
+      
+      const k = values.k !== undefined ? Number(values.k) : undefined;
+      if (k !== undefined && !(k > 0)) {
+        throw new UsageError(`--k 必须是正数，当前值: ${values.k}`);
+      }
+      const regression = {
+        ...(values.window !== undefined && { window: parseIntOption(values.window, 'window') }),
+        ...(k !== undefined && { k })
+      };
+      
+      // 指定配置文件时使用其中的网站和性能预算
+      let urls = positionals;
+      let budgets;
+      if (values.config) {
+        const { loadConfig, resolveSites } = require('./config.js');
+        const configPath = requireFile(values.config, '配置文件');
+        const tags = values.tag ? values.tag.split(',').map(t => t.trim()).filter(Boolean) : undefined;
+        const sites = resolveSites(loadConfig(configPath), configPath, { tags })
+          .filter(site => urls.length === 0 || urls.includes(site.url));
+        urls = sites.map(site => site.url);
+        budgets = Object.fromEntries(sites.filter(site => site.budget).map(site => [site.url, site.budget]));
+      }
+      
+      const { overviewPath } = generateTrendReport({
+        outputDir: values['output-dir'],
+        urls,
+        budgets,
+        regression
+      });
+      if (!overviewPath) {
+        console.error('没有找到历史记录，请先运行 compare 命令积累测试记录');
+        return EXIT_CODES.FAILURE;
+      }
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  results: {
+    usage: 'results [url...] [--from 起始时间] [--to 结束时间] [--tag 标签列表] [-d 设备预设] [--source test|batch|compare|monitor] [--batch 批量测试id] [--limit N] [--errors] [--json] [-o 报告目录]',
+    description: '查询结果存储中的测试记录',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      device: commonOptions.device,
+      from: { type: 'string' },
+      to: { type: 'string' },
+      tag: { type: 'string' },
+      source: { type: 'string' },
+      batch: { type: 'string' },
+      limit: { type: 'string' },
+      errors: { type: 'boolean' },
+      json: { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+      const { openStore } = require('./result-store.js');
+      positionals.forEach(url => requireUrl([url]));
+      ['from', 'to'].forEach(name => {
+        if (values[name] !== undefined && Number.isNaN(new Date(values[name]).getTime())) {
+          throw new UsageError(`--${name} 不是有效的时间: ${values[name]}`);
+        }
+      });
+      
+      const records = openStore(values['output-dir']).query({
+        url: positionals.length > 0 ? positionals : undefined,
+        from: values.from,
+        to: values.to,
+        tags: values.tag ? values.tag.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+        device: values.device,
+        source: values.source,
+        batchId: values.batch,
+        includeErrors: values.errors,
+        limit: parseIntOption(values.limit, 'limit')
+      });
+      
+      if (values.json) {
+        console.log(JSON.stringify(records, null, 2));
+        return EXIT_CODES.OK;
+      }
+      
+      records.forEach(record => {
+        const result = record.error ?
+          `失败: ${record.error}` :
+          Object.entries(record.scores || {}).map(([category, score]) => `${category} ${score.toFixed(0)}`).join(', ');
+        console.log(`${record.timestamp}  ${record.id}  ${record.url}  ${record.device || '-'}  ${record.source || '-'}  ${result}`);
+      });
+      console.log(`共 ${records.length} 条记录`);
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  import: {
+    usage: 'import [报告目录] [--dry-run] [--json]',
+    description: '将早期版本的history、summary和batch-summary文件导入结果存储',
+    options: {
+      help: commonOptions.help,
+      'dry-run': { type: 'boolean' },
+      json: { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+      const { importLegacyResults } = require('./legacy-import.js');
+      const reportsDir = positionals[0] || './reports';
+      if (!fs.existsSync(reportsDir)) {
+        throw new UsageError(`报告目录不存在: ${reportsDir}`);
+      }
+      
+      const result = importLegacyResults(reportsDir, { dryRun: values['dry-run'] });
+      if (values.json) {
+        const { records, ...report } = result;
+        console.log(JSON.stringify({ ...report, records: records.map(record => record.id) }, null, 2));
+      } else {
+        console.log(`扫描 ${result.scanned} 个文件，${values['dry-run'] ? '可导入' : '导入'} ${result.imported} 条记录，跳过 ${result.skipped} 条已存在的记录`);
+        if (result.failures.length > 0) {
+          console.warn(`\n${result.failures.length} 个文件无法识别:`);
+          result.failures.forEach(failure => console.warn(`- ${failure.file}: ${failure.reason}`));
+        }
+      }
+      return result.failures.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+  },
+  
+  notify: {
+    usage: 'notify [批量测试id] [--config websites.json] [--event 事件列表] [--dry-run] [-o 报告目录]',
+    description: '按配置文件中的notifications为已完成的批量测试发送Webhook通知，默认为最近一次批量测试',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      config: { type: 'string' },
+      event: { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+      const { loadConfig } = require('./config.js');
+      const { openStore, toBatchResult } = require('./result-store.js');
+      const { Notifier, buildBatchEvents } = require('./notifier.js');
+      const { VALID_NOTIFICATION_EVENTS } = require('./config-schema.js');
+      
+      const configPath = requireFile(values.config || './websites.json', '配置文件');
+      const config = loadConfig(configPath);
+      const notifications = config.notifications || {};
+      if (!notifications.webhooks || notifications.webhooks.length === 0) {
+        throw new UsageError(`配置文件中没有notifications.webhooks: ${configPath}`);
+      }
+      
+      const eventNames = values.event ? values.event.split(',').map(e => e.trim()).filter(Boolean) : VALID_NOTIFICATION_EVENTS;
+      const unknownEvents = eventNames.filter(name => !VALID_NOTIFICATION_EVENTS.includes(name));
+      if (unknownEvents.length > 0) {
+        throw new UsageError(`未知的通知事件: ${unknownEvents.join(', ')}，可选值: ${VALID_NOTIFICATION_EVENTS.join(', ')}`);
+      }
+      
+      // 报告目录优先使用命令行参数，其次是配置文件中的outputDir
+      const reportsDir = values['output-dir'] || (config.testOptions && config.testOptions.outputDir) || './reports';
+      const store = openStore(reportsDir);
+      const batchId = positionals[0] || (store.query({ includeErrors: true }).find(record => record.batchId) || {}).batchId;
+      if (!batchId) {
+        console.error(`结果存储中没有批量测试记录: ${reportsDir}`);
+        return EXIT_CODES.FAILURE;
+      }
+      
+      const records = store.query({ batchId, includeErrors: true, order: 'asc' });
+      if (records.length === 0) {
+        console.error(`没有找到批量测试: ${batchId}`);
+        return EXIT_CODES.FAILURE;
+      }
+      
+      const batch = {
+        batchId,
+        summaryDir: path.join(reportsDir, batchId),
+        results: records.map(record => toBatchResult(store, record))
+      };
+      const events = buildBatchEvents(batch, { store, regression: notifications.regression })
+        .filter(event => eventNames.includes(event.event));
+      console.log(`批量测试 ${batchId}: ${events.map(event => event.event).join(', ') || '没有需要发送的事件'}`);
+      
+      const deliveries = await new Notifier(notifications, { dryRun: values['dry-run'] }).notifyAll(events);
+      deliveries.forEach(delivery => {
+        const status = delivery.dryRun ? 'dry-run' : delivery.ok ? `成功 (尝试 ${delivery.attempts} 次)` : `失败: ${delivery.error}`;
+        console.log(`- ${delivery.event} -> ${delivery.webhook}: ${status}`);
+      });
+      return deliveries.some(delivery => !delivery.ok) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+  },
+  
+  monitor: {
+    usage: 'monitor [--config websites.json] [--once] [--status] [--status-file 文件] [--no-notify] [--notify-dry-run] [-o 输出目录] [-f html|json] [-c 类别列表] [-d 设备预设列表] [-n 运行次数] [--browser 浏览器模式]',
+    description: '按配置文件中的cron计划持续监控网站，--status查看最近一次运行的状态',
+    options: {
+      ...commonOptions,
+      config: { type: 'string' },
+      once: { type: 'boolean' },
+      status: { type: 'boolean' },
+      'status-file': { type: 'string' },
+      'no-notify': { type: 'boolean' },
+      'notify-dry-run': { type: 'boolean' }
+    },
+    async run({ values }) {
+      const { Monitor, readMonitorStatus, formatMonitorStatus, runMonitor } = require('./monitor.js');
+      const configPath = requireFile(values.config || './websites.json', '配置文件');
+      const options = {
+        testOptions: buildTestOptions(values),
+        statusFile: values['status-file'],
+        notify: !values['no-notify'],
+        notifyDryRun: values['notify-dry-run']
+      };
+      
+      if (values.status) {
+        const monitor = new Monitor(configPath, options);
+        monitor.load();
+        const status = readMonitorStatus(monitor.statusPath);
+        if (!status) {
+          console.error(`没有找到监控状态文件: ${monitor.statusPath}`);
+          return EXIT_CODES.FAILURE;
+        }
+        console.log(formatMonitorStatus(status));
+        return EXIT_CODES.OK;
+      }
+      
+      // 立即运行全部计划一次，便于检查配置或由外部调度程序调用
+      if (values.once) {
+        const runs = await new Monitor(configPath, options).runOnce();
+        return runs.every(run => run && run.status === 'success') ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+      }
+      
+      await runMonitor(configPath, options);
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  serve: {
+    usage: 'serve [--port 8080] [--host 127.0.0.1] [--allowed-host 域名列表] [--config websites.json] [--token 访问令牌] [-o 报告目录]',
+    description: '启动报告浏览服务，在浏览器中查看测试记录和报告，并通过JSON接口提交测试任务',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' },
+      'allowed-host': { type: 'string' },
+      config: { type: 'string' },
+      token: { type: 'string' }
+    },
+    async run({ values }) {
+      const { startDashboard } = require('./dashboard.js');
+      const port = parseIntOption(values.port, 'port', 0);
+      
+      // 未指定配置文件时使用当前目录的websites.json，不存在时只能提交单页测试
+      let configPath;
+      let config = null;
+      if (values.config) {
+        configPath = requireFile(values.config, '配置文件');
+      } else if (fs.existsSync('./websites.json')) {
+        configPath = path.resolve('./websites.json');
+      }
+      if (configPath) {
+        const { loadConfig } = require('./config.js');
+        config = loadConfig(configPath);
+      }
+      
+      // 报告目录优先使用命令行参数，其次是配置文件中的outputDir
+      const reportsDir = values['output-dir'] || (config && config.testOptions && config.testOptions.outputDir) || './reports';
+      const token = values.token || process.env.LH_DASHBOARD_TOKEN;
+      const host = values.host || '127.0.0.1';
+      if (!token && host !== '127.0.0.1' && host !== 'localhost' && host !== '::1') {
+        throw new UsageError('服务对其他机器开放时必须通过 --token 或 LH_DASHBOARD_TOKEN 设置访问令牌');
+      }
+      const allowedHosts = values['allowed-host'] ? values['allowed-host'].split(',').map(item => item.trim()).filter(Boolean) : [];
+      
+      const { server, url } = await startDashboard({ port, host, allowedHosts, reportsDir, configPath, token });
+      console.log(`报告浏览服务已启动: ${url}`);
+      console.log(`报告目录: ${path.resolve(reportsDir)}${configPath ? `，配置文件: ${configPath}` : ''}`);
+      console.log('按 Ctrl+C 停止');
+      
+      await new Promise(resolve => {
+        const shutdown = () => {
+          process.removeListener('SIGINT', shutdown);
+          process.removeListener('SIGTERM', shutdown);
+          console.log('\n正在停止报告浏览服务...');
+          server.close(() => resolve());
+          // 关闭仍在保持的连接，避免浏览器的长连接阻止退出
+          server.closeAllConnections();
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+      });
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  flow: {
+    usage: 'flow <流程文件.js|websites.json> [--name 流程名称] [-o 输出目录] [-c 类别列表] [-d 设备预设] [--setup 登录脚本]',
+    description: '由Playwright执行操作步骤，运行Lighthouse用户流程测试',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      categories: commonOptions.categories,
+      device: commonOptions.device,
+      help: commonOptions.help,
+      name: { type: 'string' },
+      setup: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+      const { loadFlows, runUserFlow } = require('./user-flow.js');
+      if (!positionals[0]) {
+        throw new UsageError('缺少用户流程文件');
+      }
+      
+      let flows;
+      try {
+        flows = loadFlows(positionals[0]);
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+      if (values.name) {
+        flows = flows.filter(flow => flow.name === values.name);
+        if (flows.length === 0) {
+          throw new UsageError(`未找到名为 ${values.name} 的用户流程`);
+        }
+      }
+      
+      const { devices, ...flowOptions } = buildTestOptions(values);
+      if (devices) {
+        if (devices.length > 1) {
+          throw new UsageError('用户流程一次只能使用一个设备预设');
+        }
+        flowOptions.device = devices[0];
+      }
+      if (values.setup) {
+        flowOptions.setup = requireFile(values.setup, '登录脚本');
+      }
+      
+      let failed = 0;
+      for (const flow of flows) {
+        try {
+          await runUserFlow(flow, flowOptions);
+        } catch (error) {
+          failed++;
+          console.error(`用户流程 ${flow.name} 执行失败:`, error);
+        }
+      }
+      return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+  },
+  
+  screenshot: {
+    usage: 'screenshot <url> [--output 文件路径] [-o 输出目录] [-d 设备预设] [--scale N] [--viewport-only]',
+    description: '仅捕获网页截图',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      device: commonOptions.device,
+      output: { type: 'string' },
+      scale: { type: 'string' },
+      'viewport-only': { type: 'boolean' }
+    },
+    async run({ values, positionals }) {
+      const { captureScreenshot } = require('./index.js');
+      const testUrl = requireUrl(positionals);
+      
+      let outputPath = values.output;
+      if (!outputPath) {
+        const siteName = new URL(testUrl).hostname.replace('www.', '');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        outputPath = path.join(values['output-dir'] || './reports', siteName, `screenshot-${timestamp}.png`);
+      }
+      
+      const screenshotOptions = {
+        fullPage: !values['viewport-only']
+      };
+      if (values.device) {
+        if (!DEVICE_PRESETS[values.device]) {
+          throw new UsageError(`未知的设备预设: ${values.device}，可选值: ${Object.keys(DEVICE_PRESETS).join(', ')}`);
+        }
+        screenshotOptions.device = values.device;
+      }
+      if (values.scale !== undefined) {
+        const scale = Number(values.scale);
+        if (!(scale > 0)) {
+          throw new UsageError(`--scale 必须是正数，当前值: ${values.scale}`);
+        }
+        screenshotOptions.deviceScaleFactor = scale;
+      }
+      
+      await captureScreenshot(testUrl, outputPath, screenshotOptions);
+      return EXIT_CODES.OK;
+    }
+  },
+  
+  accept: {
+    usage: 'accept <url|记录id> | --batch 批量测试id [-d 设备预设] [-o 报告目录]',
+    description: '把测试记录中的截图设为视觉回归测试的基准截图，指定URL时使用每个设备最近一次的测试',
+    options: {
+      'output-dir': commonOptions['output-dir'],
+      help: commonOptions.help,
+      device: commonOptions.device,
+      batch: { type: 'string' }
+    },
+    async run({ values, positionals }) {
+      const { openStore } = require('./result-store.js');
+      const { acceptBaseline, formatVisualResult } = require('./visual-regression.js');
+      const store = openStore(values['output-dir']);
+      const target = positionals[0];
+      
+      let records;
+      if (values.batch) {
+        // 批量测试中视觉回归未通过的全部记录
+        if (target) {
+          throw new UsageError('不能同时指定URL或记录id和--batch');
+        }
+        records = store.query({ batchId: values.batch, device: values.device, order: 'asc' })
+          .filter(record => record.visual && record.visual.status === 'failed');
+        if (records.length === 0) {
+          console.log(`批量测试 ${values.batch} 中没有视觉回归未通过的记录`);
+          return EXIT_CODES.OK;
+        }
+      } else if (target && target.startsWith('run-')) {
+        const record = store.get(target);
+        if (!record) {
+          throw new UsageError(`未找到测试记录: ${target}`);
+        }
+        records = [record];
+      } else {
+        const url = requireUrl(positionals);
+        // 每个设备预设有各自的基准截图，分别取最近一次测试
+        const latest = new Map();
+        store.query({ url, device: values.device })
+          .filter(record => record.visual)
+          .forEach(record => {
+            if (!latest.has(record.device)) latest.set(record.device, record);
+          });
+        if (latest.size === 0) {
+          throw new UsageError(`没有 ${url}${values.device ? ` (${values.device})` : ''} 启用视觉回归测试的记录`);
+        }
+        records = [...latest.values()];
+      }
+      
+      records.forEach(record => {
+        const baselinePath = acceptBaseline(store, record);
+        console.log(`${record.url}${record.device ? ` (${record.device})` : ''}: ${record.id} 的截图已设为基准截图（${formatVisualResult(record.visual)}）`);
+        console.log(`基准截图: ${baselinePath}`);
+      });
+      return EXIT_CODES.OK;
+    }
+  }
+};
+
+/**
+ * 输出帮助信息
+ * @param {string} [commandName] - 子命令名称，不传时输出总览
+ */
+function printHelp(commandName) {
+  if (commandName && commands[commandName]) {
+    const command = commands[commandName];
+    console.log(`${command.description}\n\n用法: node cli.js ${command.usage}`);
+    return;
+  }
+  
+  console.log('用法: node cli.js <command> [options]\n');
+  console.log('可用命令:');
+  Object.entries(commands).forEach(([name, command]) => {
+    console.log(`  ${name.padEnd(12)}${command.description}`);
+  });
+  console.log('\n使用 node cli.js <command> --help 查看子命令的选项');
+  console.log('\n退出码: 0 成功, 1 测试失败, 2 参数或配置错误, 3 超出性能预算, 4 视觉回归未通过');
+}
+
+/**
+ * 执行命令行
+ * @param {Array<string>} argv - 命令行参数（不含node和脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+async function main(argv = process.argv.slice(2)) {
+  const [commandName, ...rest] = argv;
+  
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    printHelp(rest[0]);
+    return commandName ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  
+  const command = commands[commandName];
+  if (!command) {
+    console.error(`未知命令: ${commandName}`);
+    printHelp();
+    return EXIT_CODES.USAGE;
+  }
+  
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: command.options,
+      allowPositionals: true
+    });
+    
+    if (values.help) {
+      printHelp(commandName);
+      return EXIT_CODES.OK;
+    }
+    
+    return await command.run({ values, positionals });
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+        error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      console.error(`参数错误: ${error.message}`);
+      console.error(`用法: node cli.js ${command.usage}`);
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof ConfigError) {
+      console.error(error.message);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`${commandName} 命令执行失败:`, error);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  commands,
+  EXIT_CODES,
+  UsageError
+};
@@ -0,0 +1,348 @@
+/**
+ * 版本对比分析
+ * 比较两条测试记录并生成对比报告，只依赖传入的记录，不运行测试也不访问网络
+ */
+const fs = require('fs');
+const path = require('path');
+const { selectBaseline, describeBaseline } = require('./history.js');
+const { METRIC_DIRECTIONS, toBaseUnit, formatMetricValue } = require('./metrics.js');
+const { detectRegressions } = require('./regression.js');
+
+/**
+ * 比较两条测试记录的得分和指标
+ * @param {object} currentResult - 当前测试记录 { url, date, scores, metrics }
+ * @param {object} previousResult - 基准测试记录
+ * @returns {object} 对比结果
+ */
+function compareResults(currentResult, previousResult) {
+  const comparison = {
+    url: currentResult.url,
+    currentDate: currentResult.date,
+    previousDate: previousResult.date,
+    scores: {},
+    metrics: {},
+    improved: [],
+    degraded: [],
+    unchanged: []
+  };
+  
+  // 比较性能得分
+  Object.keys(currentResult.scores).forEach(category => {
+    const current = currentResult.scores[category];
+    const previous = previousResult.scores[category] || 0;
+    const diff = current - previous;
+    
+    comparison.scores[category] = {
+      current,
+      previous,
+      diff,
+      percentChange: previous > 0 ? (diff / previous) * 100 : 0
+    };
+    
+    // 根据变化幅度分类
+    if (diff > 1) { // 提升超过1分
+      comparison.improved.push({
+        category,
+        diff,
+        percentChange: comparison.scores[category].percentChange
+      });
+    } else if (diff < -1) { // 下降超过1分
+      comparison.degraded.push({
+        category,
+        diff,
+        percentChange: comparison.scores[category].percentChange
+      });
+    } else {
+      comparison.unchanged.push({
+        category,
+        diff,
+        percentChange: comparison.scores[category].percentChange
+      });
+    }
+  });
+  
+  // 比较关键性能指标
+  if (currentResult.metrics && previousResult.metrics) {
+    Object.keys(currentResult.metrics).forEach(metricKey => {
+      const currentMetric = currentResult.metrics[metricKey];
+      const previousMetric = previousResult.metrics[metricKey];
+      
+      // 使用Lighthouse的numericValue比较，缺少数值或单位无法换算的指标不参与对比
+      const currentValue = toBaseUnit(currentMetric);
+      const previousValue = toBaseUnit(previousMetric);
+      if (!currentValue || !previousValue || currentValue.unit !== previousValue.unit) {
+        return;
+      }
+      
+      const diff = currentValue.value - previousValue.value;
+      const percentChange = previousValue.value > 0 ? (diff / previousValue.value) * 100 : 0;
+      const direction = METRIC_DIRECTIONS[metricKey] || 'lower';
+      
+      // 判断性能变化状态，添加一个小的阈值，避免浮点数精度问题
+      let status = 'unchanged';
+      if (Math.abs(diff) > 0.001) {
+        const better = direction === 'lower' ? diff < 0 : diff > 0;
+        status = better ? 'improved' : 'degraded';
+      }
+      
+      comparison.metrics[metricKey] = {
+        name: currentMetric.title,
+        current: currentMetric.value,
+        previous: previousMetric.value,
+        currentValue: currentValue.value,
+        previousValue: previousValue.value,
+        unit: currentValue.unit,
+        direction,
+        diff,
+        percentChange,
+        status: status,
+        improved: status === 'improved'
+      };
+    });
+  }
+  
+  return comparison;
+}
+
+/**
+ * 在历史记录中选出对比基准并与当前记录对比
+ * 同时以最近N条历史记录做统计回归检测，为每项变化标注是噪声还是真实变化
+ * @param {object} currentRecord - 当前测试记录 { url, date, scores, metrics }
+ * @param {Array<object>} records - 按时间降序排列的历史记录，可以包含当前记录
+ * @param {string|object} baseline - 对比基准，见history.js的parseBaseline (默认: 'previous')
+ * @param {object} options - 选项
+ * @param {object|false} options.regression - 回归检测参数，见regression.js的DEFAULT_OPTIONS，为false时不检测
+ * @returns {object} { baseline: 基准记录, comparison: 对比结果 }，找不到基准时两者都为null
+ */
+function compareWithBaseline(currentRecord, records, baseline = 'previous', options = {}) {
+  const baselineRecord = selectBaseline(records, baseline, currentRecord);
+  if (!baselineRecord) {
+    return { baseline: null, comparison: null };
+  }
+  
+  const comparison = compareResults(currentRecord, baselineRecord);
+  comparison.baseline = `${describeBaseline(baseline)} (${baselineRecord.release || baselineRecord.id})`;
+  
+  if (options.regression !== false) {
+    const regression = detectRegressions(currentRecord, records, options.regression);
+    comparison.regression = regression;
+    Object.keys(comparison.scores).forEach(category => {
+      annotateSignificance(comparison.scores[category], regression.scores[category]);
+    });
+    Object.keys(comparison.metrics).forEach(metric => {
+      annotateSignificance(comparison.metrics[metric], regression.metrics[metric]);
+    });
+  }
+  
+  return { baseline: baselineRecord, comparison };
+}
+
+/**
+ * 为对比项附上统计显著性
+ * @param {object} entry - 对比结果中的得分或指标
+ * @param {object} change - 回归检测结果
+ */
+function annotateSignificance(entry, change) {
+  entry.significance = change ? change.classification : 'insufficient-data';
+  entry.confidence = change ? change.confidence : null;
+}
+
+// 统计显著性的显示文字
+const SIGNIFICANCE_LABELS = {
+  real: '真实变化',
+  noise: '噪声',
+  'insufficient-data': '样本不足'
+};
+
+/**
+ * 生成显著性单元格
+ * @param {object} entry - 带有significance的对比项
+ * @returns {string} HTML
+ */
+function renderSignificance(entry) {
+  const label = SIGNIFICANCE_LABELS[entry.significance] || SIGNIFICANCE_LABELS['insufficient-data'];
+  const confidence = typeof entry.confidence === 'number' ? ` <span class="diff-percent">(置信度 ${(entry.confidence * 100).toFixed(1)}%)</span>` : '';
+  return `<td class="significance-${entry.significance}">${label}${confidence}</td>`;
+}
+
+/**
+ * 生成对比报告的HTML内容，不写入文件
+ * @param {object} comparison - compareResults返回的对比结果
+ * @returns {string} HTML
+ */
+function renderComparisonHtml(comparison) {
+  return `
+  <!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>网站性能对比报告 - ${comparison.url}</title>
+    <style>
+      body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; color: #333; }
+      h1, h2, h3 { color: #2c3e50; }
+      .container { max-width: 1200px; margin: 0 auto; }
+      .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+      .summary { display: flex; justify-content: space-between; flex-wrap: wrap; }
+      .summary-card { background: white; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); padding: 15px; margin-bottom: 20px; flex: 1; min-width: 250px; margin-right: 15px; }
+      .summary-card:last-child { margin-right: 0; }
+      .score-table, .metrics-table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+      .score-table th, .score-table td, .metrics-table th, .metrics-table td { padding: 12px; text-align: left; border-bottom: 1px solid #e1e1e1; }
+      .score-table th, .metrics-table th { background-color: #f8f9fa; }
+      .improved { color: #28a745; }
+      .degraded { color: #dc3545; }
+      .unchanged { color: #6c757d; font-weight: normal; }
+      .diff-value { font-weight: bold; }
+      .diff-percent { font-size: 0.9em; opacity: 0.8; }
+      .significance-real { font-weight: bold; color: #c0392b; }
+      .significance-noise, .significance-insufficient-data { color: #6c757d; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>网站性能对比报告</h1>
+        <p><strong>网站:</strong> ${comparison.url}</p>
+        <p><strong>当前测试时间:</strong> ${comparison.currentDate}</p>
+        <p><strong>对比测试时间:</strong> ${comparison.previousDate}</p>
+        ${comparison.baseline ? `<p><strong>对比基准:</strong> ${comparison.baseline}</p>` : ''}
+        ${comparison.regression ? `<p><strong>统计检测:</strong> 最近 ${comparison.regression.samples} 条记录 (窗口 ${comparison.regression.window})，z-score阈值 ${comparison.regression.k}σ，显著性水平 ${comparison.regression.alpha}；真实退步 ${comparison.regression.regressions.length} 项，真实改进 ${comparison.regression.improvements.length} 项</p>` : ''}
+      </div>
+      
+      <h2>性能得分对比</h2>
+      <div class="summary">
+        <div class="summary-card">
+          <h3>改进项 (${comparison.improved.length})</h3>
+          <p>${comparison.improved.length > 0 ? comparison.improved.map(item => 
+            `${item.category}: <span class="improved">+${item.diff.toFixed(1)} (${item.percentChange.toFixed(1)}%)</span>`
+          ).join('<br>') : '无明显改进项'}</p>
+        </div>
+        <div class="summary-card">
+          <h3>退步项 (${comparison.degraded.length})</h3>
+          <p>${comparison.degraded.length > 0 ? comparison.degraded.map(item => 
+            `${item.category}: <span class="degraded">${item.diff.toFixed(1)} (${item.percentChange.toFixed(1)}%)</span>`
+          ).join('<br>') : '无明显退步项'}</p>
+        </div>
+        <div class="summary-card">
+          <h3>基本不变 (${comparison.unchanged.length})</h3>
+          <p>${comparison.unchanged.length > 0 ? comparison.unchanged.map(item => 
+            `${item.category}: <span class="unchanged">${item.diff > 0 ? '+' : ''}${item.diff.toFixed(1)} (${item.percentChange.toFixed(1)}%)</span>`
+          ).join('<br>') : '无基本不变项'}</p>
+        </div>
+      </div>
+      
+      <h2>详细得分对比</h2>
+      <table class="score-table">
+        <thead>
+          <tr>
+            <th>类别</th>
+            <th>当前得分</th>
+            <th>基准得分</th>
+            <th>变化</th>
+            ${comparison.regression ? '<th>统计显著性</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.keys(comparison.scores).map(category => {
+            const score = comparison.scores[category];
+            const changeClass = score.diff > 1 ? 'improved' : (score.diff < -1 ? 'degraded' : 'unchanged');
+            return `
+              <tr>
+                <td>${category}</td>
+                <td>${score.current.toFixed(1)}</td>
+                <td>${score.previous.toFixed(1)}</td>
+                <td class="${changeClass}">
+                  <span class="diff-value">${score.diff > 0 ? '+' : ''}${score.diff.toFixed(1)}</span>
+                  <span class="diff-percent">(${score.percentChange.toFixed(1)}%)</span>
+                </td>
+                ${comparison.regression ? renderSignificance(score) : ''}
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      
+      <h2>关键性能指标对比</h2>
+      <table class="metrics-table">
+        <thead>
+          <tr>
+            <th>指标</th>
+            <th>当前值</th>
+            <th>基准值</th>
+            <th>变化</th>
+            ${comparison.regression ? '<th>统计显著性</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.keys(comparison.metrics).map(metric => {
+            const data = comparison.metrics[metric];
+            const isUnchanged = data.status === 'unchanged';
+            const changeClass = data.status;
+            return `
+              <tr>
+                <td>${data.name}</td>
+                <td>${data.current}</td>
+                <td>${data.previous}</td>
+                <td class="${changeClass}">
+                  <span class="${changeClass}">${isUnchanged ? '=' : (data.improved ? '↑' : '↓')}</span>
+                  ${isUnchanged ? '' : `<span class="diff-value">${data.diff > 0 ? '+' : '-'}${formatMetricValue(Math.abs(data.diff), data.unit)}</span>
+                  <span class="diff-percent">(${data.percentChange.toFixed(1)}%)</span>`}
+                </td>
+                ${comparison.regression ? renderSignificance(data) : ''}
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+      
+      <div class="footer">
+        <p>报告生成时间: ${new Date().toLocaleString('zh-CN')}</p>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+/**
+ * 生成对比报告并保存
+ * @param {object} comparison - 对比结果
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 报告根目录 (默认: './reports')
+ * @returns {string} 报告文件路径
+ */
+function generateComparisonReport(comparison, options = {}) {
+  console.log('生成对比报告...');
+  
+  // 创建报告目录
+  const reportsDir = path.join(options.outputDir || './reports', new URL(comparison.url).hostname.replace('www.', ''), 'comparisons');
+  if (!fs.existsSync(reportsDir)) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+  }
+  
+  // 生成HTML报告
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportPath = path.join(reportsDir, `comparison-${timestamp}.html`);
+  
+  const html = renderComparisonHtml(comparison);
+  
+  // 保存HTML报告
+  fs.writeFileSync(reportPath, html);
+  console.log(`对比报告已保存至: ${reportPath}`);
+  
+  // 同时保存JSON格式的对比数据
+  const jsonPath = path.join(reportsDir, `comparison-${timestamp}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(comparison, null, 2));
+  console.log(`对比数据已保存至: ${jsonPath}`);
+  
+  return reportPath;
+}
+
+module.exports = {
+  METRIC_DIRECTIONS,
+  toBaseUnit,
+  compareResults,
+  compareWithBaseline,
+  renderComparisonHtml,
+  generateComparisonReport
+};
@@ -0,0 +1,625 @@
+/**
+ * 配置文件结构校验
+ * 描述websites.json允许的字段，解析JSON时记录每个字段所在的行列，校验错误可以定位到文件中的具体位置
+ */
+const { DEVICE_PRESETS, getPresetChain } = require('./devices.js');
+const { checkCron } = require('./cron.js');
+
+const VALID_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+const VALID_FORMATS = ['html', 'json'];
+const VALID_BROWSERS = ['chrome-launcher', 'playwright'];
+const VALID_WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const VALID_NOTIFICATION_EVENTS = ['site-error', 'budget-violation', 'regression', 'batch-complete'];
+const VALID_WEBHOOK_FORMATS = ['json', 'slack', 'feishu', 'dingtalk'];
+
+/**
+ * 配置文件错误
+ * errors中的每一项为 { path, message, line, column }
+ */
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// 设备预设名称：内置预设加上配置文件中的自定义预设
+const deviceNames = config => [...Object.keys(DEVICE_PRESETS), ...Object.keys((config && config.devicePresets) || {})];
+
+const THROTTLING_SCHEMA = {
+  type: 'object',
+  properties: {
+    rttMs: { type: 'number', minimum: 0 },
+    throughputKbps: { type: 'number', minimum: 0 },
+    cpuSlowdownMultiplier: { type: 'number', minimum: 0 },
+    requestLatencyMs: { type: 'number', minimum: 0 },
+    downloadThroughputKbps: { type: 'number', minimum: 0 },
+    uploadThroughputKbps: { type: 'number', minimum: 0 }
+  }
+};
+
+const DEVICE_PRESET_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    extends: { type: 'string', enum: deviceNames },
+    formFactor: { type: 'string', enum: ['mobile', 'desktop'] },
+    screen: {
+      type: 'object',
+      properties: {
+        width: { type: 'number', integer: true, minimum: 1 },
+        height: { type: 'number', integer: true, minimum: 1 },
+        deviceScaleFactor: { type: 'number', minimum: 0 },
+        mobile: { type: 'boolean' }
+      }
+    },
+    hasTouch: { type: 'boolean' },
+    userAgent: { type: 'string' },
+    throttling: THROTTLING_SCHEMA
+  }
+};
+
+const DEVICE_SCHEMA = {
+  anyOf: [
+    { type: 'string', enum: deviceNames },
+    DEVICE_PRESET_SCHEMA
+  ]
+};
+
+const SCREENSHOT_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    fullPage: { type: 'boolean' },
+    deviceScaleFactor: { type: 'number', minimum: 0 },
+    timeout: { type: 'number', integer: true, minimum: 0 },
+    waitUntil: { type: 'string', enum: VALID_WAIT_UNTIL },
+    retryCount: { type: 'number', integer: true, minimum: 0 }
+  }
+};
+
+const VISUAL_REGRESSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    threshold: { type: 'number', minimum: 0, maximum: 1 },
+    maxDiffPercent: { type: 'number', minimum: 0, maximum: 100 },
+    includeAntiAliasing: { type: 'boolean' },
+    strictSize: { type: 'boolean' },
+    mask: { type: 'array', items: { type: 'string' } },
+    baselineDir: { type: 'string' }
+  }
+};
+
+// testOptions和网站条目中都可以使用的测试选项
+const TEST_OPTION_PROPERTIES = {
+  outputDir: { type: 'string' },
+  outputFormat: { type: 'string', enum: VALID_FORMATS },
+  categories: { type: 'array', minItems: 1, items: { type: 'string', enum: VALID_CATEGORIES } },
+  createUrlSubDir: { type: 'boolean' },
+  captureScreenshot: { type: 'boolean' },
+  screenshotOptions: SCREENSHOT_OPTIONS_SCHEMA,
+  browser: { type: 'string', enum: VALID_BROWSERS },
+  device: DEVICE_SCHEMA,
+  devices: { type: 'array', minItems: 1, items: DEVICE_SCHEMA },
+  runs: { type: 'number', integer: true, minimum: 1 },
+  setup: { type: 'string' },
+  storageState: { type: 'string' },
+  headers: { type: 'object', additionalProperties: { type: 'string' } },
+  throttling: THROTTLING_SCHEMA,
+  visualRegression: VISUAL_REGRESSION_SCHEMA
+};
+
+const BUDGET_LIMITS_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'object',
+      properties: Object.fromEntries(
+        VALID_CATEGORIES.map(category => [category, { type: 'number', minimum: 0, maximum: 100 }])
+      )
+    },
+    // 指标可以使用简称或Lighthouse审计ID，因此不限制名称
+    metrics: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+  }
+};
+
+const BUDGETS_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...BUDGET_LIMITS_SCHEMA.properties,
+    urls: { type: 'object', propertyNames: { type: 'string', format: 'url' }, additionalProperties: BUDGET_LIMITS_SCHEMA }
+  }
+};
+
+// 网站条目和sitemap条目都可以使用的单独设置
+const SITE_OPTION_PROPERTIES = {
+  tags: { type: 'array', items: { type: 'string' } },
+  formFactor: { type: 'string', enum: deviceNames },
+  budgets: BUDGET_LIMITS_SCHEMA,
+  ...TEST_OPTION_PROPERTIES
+};
+
+const SITE_SCHEMA = {
+  anyOf: [
+    { type: 'string', format: 'url' },
+    {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', format: 'url' },
+        name: { type: 'string' },
+        // 监控模式下单独测试该网站的cron表达式
+        schedule: { type: 'string', format: 'cron' },
+        ...SITE_OPTION_PROPERTIES
+      }
+    }
+  ]
+};
+
+const SITEMAP_SCHEMA = {
+  anyOf: [
+    { type: 'string', format: 'url' },
+    {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', format: 'url' },
+        include: { type: 'array', items: { type: 'string' } },
+        exclude: { type: 'array', items: { type: 'string' } },
+        sample: {
+          type: 'object',
+          required: ['perPrefix'],
+          properties: {
+            perPrefix: { type: 'number', integer: true, minimum: 1 },
+            prefixDepth: { type: 'number', integer: true, minimum: 1 },
+            seed: { type: 'number', integer: true }
+          }
+        },
+        limit: { type: 'number', integer: true, minimum: 1 },
+        maxSitemaps: { type: 'number', integer: true, minimum: 1 },
+        ...SITE_OPTION_PROPERTIES
+      }
+    }
+  ]
+};
+
+const CRAWL_SCHEMA = {
+  anyOf: [
+    { type: 'string', format: 'url' },
+    {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', format: 'url' },
+        maxDepth: { type: 'number', integer: true, minimum: 0 },
+        maxPages: { type: 'number', integer: true, minimum: 1 },
+        include: { type: 'array', items: { type: 'string' } },
+        exclude: { type: 'array', items: { type: 'string' } },
+        ignoreQuery: { type: 'boolean' },
+        ignoreParams: { type: 'array', items: { type: 'string' } },
+        waitUntil: { type: 'string', enum: VALID_WAIT_UNTIL },
+        timeout: { type: 'number', integer: true, minimum: 0 },
+        ...SITE_OPTION_PROPERTIES
+      }
+    }
+  ]
+};
+
+// Webhook的url和secret可以改为从环境变量读取，避免把令牌写进配置文件，因此url不是必填字段
+const NOTIFICATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    webhooks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          url: { type: 'string', format: 'url' },
+          urlEnv: { type: 'string' },
+          format: { type: 'string', enum: VALID_WEBHOOK_FORMATS },
+          events: { type: 'array', items: { type: 'string', enum: VALID_NOTIFICATION_EVENTS } },
+          headers: { type: 'object', additionalProperties: { type: 'string' } },
+          secret: { type: 'string' },
+          secretEnv: { type: 'string' }
+        }
+      }
+    },
+    retries: { type: 'number', integer: true, minimum: 0 },
+    retryDelay: { type: 'number', integer: true, minimum: 0 },
+    timeout: { type: 'number', integer: true, minimum: 1 },
+    regression: {
+      type: 'object',
+      properties: {
+        window: { type: 'number', integer: true, minimum: 1 },
+        k: { type: 'number', minimum: 0 },
+        alpha: { type: 'number', minimum: 0, maximum: 1 },
+        minSamples: { type: 'number', integer: true, minimum: 1 }
+      }
+    }
+  }
+};
+
+// 监控模式的计划任务，每个计划按标签或URL选择网站，两者都未设置时测试全部网站
+const MONITOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    schedules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['cron'],
+        properties: {
+          name: { type: 'string' },
+          cron: { type: 'string', format: 'cron' },
+          tags: { type: 'array', items: { type: 'string' } },
+          urls: { type: 'array', items: { type: 'string', format: 'url' } }
+        }
+      }
+    },
+    statusFile: { type: 'string' },
+    notify: { type: 'boolean' }
+  }
+};
+
+// websites.json的完整结构
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    websites: { type: 'array', items: SITE_SCHEMA },
+    sitemaps: { type: 'array', items: SITEMAP_SCHEMA },
+    crawl: { type: 'array', items: CRAWL_SCHEMA },
+    testOptions: { type: 'object', properties: TEST_OPTION_PROPERTIES },
+    budgets: BUDGETS_SCHEMA,
+    devicePresets: { type: 'object', additionalProperties: DEVICE_PRESET_SCHEMA },
+    notifications: NOTIFICATIONS_SCHEMA,
+    monitor: MONITOR_SCHEMA,
+    setups: { type: 'object', propertyNames: { type: 'string', format: 'url' }, additionalProperties: { type: 'string' } },
+    // 用户流程的步骤由user-flow.js的validateFlow检查
+    flows: { type: 'array', items: { type: 'object', required: ['name', 'steps'], additionalProperties: {} } }
+  }
+};
+
+/**
+ * 解析JSON并记录每个字段的位置
+ * @param {string} text - JSON文本
+ * @returns {object} { value, locations: Map<路径, { line, column }> }
+ * @throws {ConfigError} JSON语法错误，包含出错的行列
+ */
+function parseJsonWithLocations(text) {
+  const locations = new Map();
+  let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  let line = 1;
+  let lineStart = 0;
+  
+  const here = () => ({ line, column: pos - lineStart + 1 });
+  const fail = message => {
+    const location = here();
+    throw new ConfigError(`JSON语法错误: ${message}`, [{ path: '', message: `JSON语法错误: ${message}`, ...location }]);
+  };
+  const describe = () => (pos >= text.length ? '文件结尾' : `字符 ${JSON.stringify(text[pos])}`);
+  
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\n') {
+        line++;
+        lineStart = pos + 1;
+      } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+        break;
+      }
+      pos++;
+    }
+  };
+  
+  const matchToken = regex => {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  };
+  
+  const parseString = () => {
+    const token = matchToken(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y);
+    if (token === null) fail(`无效的字符串，位于${describe()}`);
+    return JSON.parse(token);
+  };
+  
+  const parseValue = valuePath => {
+    skipWhitespace();
+    const char = text[pos];
+    
+    if (char === '{') {
+      pos++;
+      const object = {};
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') fail(`需要用双引号包裹的字段名，实际为${describe()}`);
+        const keyLocation = here();
+        const key = parseString();
+        const childPath = joinPath(valuePath, key);
+        locations.set(childPath, keyLocation);
+        skipWhitespace();
+        if (text[pos] !== ':') fail(`字段 "${key}" 后需要冒号，实际为${describe()}`);
+        pos++;
+        object[key] = parseValue(childPath);
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          skipWhitespace();
+          if (text[pos] === '}') fail('对象末尾不能有多余的逗号');
+        } else if (text[pos] === '}') {
+          pos++;
+          return object;
+        } else {
+          fail(`需要逗号或 }，实际为${describe()}`);
+        }
+      }
+    }
+    
+    if (char === '[') {
+      pos++;
+      const array = [];
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return array;
+      }
+      for (;;) {
+        skipWhitespace();
+        const itemPath = `${valuePath}[${array.length}]`;
+        locations.set(itemPath, here());
+        array.push(parseValue(itemPath));
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          skipWhitespace();
+          if (text[pos] === ']') fail('数组末尾不能有多余的逗号');
+        } else if (text[pos] === ']') {
+          pos++;
+          return array;
+        } else {
+          fail(`需要逗号或 ]，实际为${describe()}`);
+        }
+      }
+    }
+    
+    if (char === '"') {
+      return parseString();
+    }
+    
+    const number = matchToken(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y);
+    if (number !== null) return Number(number);
+    
+    const literal = matchToken(/true|false|null/y);
+    if (literal !== null) return JSON.parse(literal);
+    
+    return fail(`意外的${describe()}`);
+  };
+  
+  locations.set('', here());
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(`JSON结束后还有多余的内容: ${describe()}`);
+  }
+  
+  return { value, locations };
+}
+
+/**
+ * 拼接字段路径
+ * @param {string} parent - 父路径
+ * @param {string} key - 字段名
+ * @returns {string} 路径，如 testOptions.categories
+ */
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * 计算两个字符串的编辑距离，用于提示拼写错误的字段名
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {number} 编辑距离
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * 找出与输入最接近的候选值
+ * @param {string} input - 输入值
+ * @param {Array<string>} candidates - 候选值
+ * @returns {string|null} 最接近的候选值，差别太大时返回null
+ */
+function suggest(input, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(input, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(2, Math.floor(input.length / 3)) ? best : null;
+}
+
+/**
+ * 获取值的JSON类型名称
+ * @param {*} value - 值
+ * @returns {string} object、array、string、number、boolean或null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 检查URL是否为有效的http(s)地址
+ * @param {string} value - URL
+ * @returns {boolean} 是否有效
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 按结构描述校验值
+ * @param {*} value - 要校验的值
+ * @param {object} schema - 结构描述
+ * @param {string} valuePath - 值的路径
+ * @param {object} root - 完整配置，用于动态取值的枚举
+ * @param {Array<object>} errors - 收集到的错误 { path, message }
+ */
+function validateValue(value, schema, valuePath, root, errors) {
+  const report = message => errors.push({ path: valuePath, message });
+  
+  if (schema.anyOf) {
+    // 按值的类型选择对应的分支，避免输出每个分支的错误
+    const branch = schema.anyOf.find(option => option.type === typeOf(value));
+    if (!branch) {
+      report(`类型应为 ${schema.anyOf.map(option => option.type).join(' 或 ')}，实际为 ${typeOf(value)}`);
+      return;
+    }
+    validateValue(value, branch, valuePath, root, errors);
+    return;
+  }
+  
+  if (!schema.type) return;
+  if (typeOf(value) !== schema.type) {
+    report(`类型应为 ${schema.type}，实际为 ${typeOf(value)}`);
+    return;
+  }
+  
+  if (schema.type === 'string') {
+    const allowed = typeof schema.enum === 'function' ? schema.enum(root) : schema.enum;
+    if (allowed && !allowed.includes(value)) {
+      const hint = suggest(value, allowed);
+      report(`无效的值 "${value}"，可选值: ${allowed.join(', ')}${hint ? `。是否应为 "${hint}"?` : ''}`);
+    }
+    if (schema.format === 'url' && !isHttpUrl(value)) {
+      report(`无效的URL "${value}"，需要以http://或https://开头的完整地址`);
+    }
+    if (schema.format === 'cron') {
+      const cronError = checkCron(value);
+      if (cronError) report(cronError);
+    }
+  } else if (schema.type === 'number') {
+    if (schema.integer && !Number.isInteger(value)) {
+      report(`应为整数，实际为 ${value}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(`不能小于 ${schema.minimum}，实际为 ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report(`不能大于 ${schema.maximum}，实际为 ${value}`);
+    }
+  } else if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      report(`至少需要 ${schema.minItems} 项`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${valuePath}[${index}]`, root, errors));
+    }
+  } else if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        report(`缺少必填字段 ${key}`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = joinPath(valuePath, key);
+      if (schema.propertyNames) {
+        validateValue(key, schema.propertyNames, childPath, root, errors);
+      }
+      if (properties[key]) {
+        validateValue(child, properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties) {
+        validateValue(child, schema.additionalProperties, childPath, root, errors);
+      } else {
+        const hint = suggest(key, Object.keys(properties));
+        errors.push({
+          path: childPath,
+          message: `未知的字段 "${key}"${hint ? `，是否应为 "${hint}"?` : `，可用字段: ${Object.keys(properties).join(', ')}`}`
+        });
+      }
+    });
+  }
+}
+
+/**
+ * 校验配置对象
+ * @param {object} config - 配置
+ * @returns {Array<object>} 错误列表 [{ path, message }]，配置有效时为空数组
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateValue(config, CONFIG_SCHEMA, '', config, errors);
+  
+  // 网站可以直接列出，也可以从sitemap或爬虫发现，至少需要配置一种
+  if (typeOf(config) === 'object') {
+    const count = ['websites', 'sitemaps', 'crawl'].reduce(
+      (total, key) => total + (Array.isArray(config[key]) ? config[key].length : 0), 0
+    );
+    if (count === 0) {
+      errors.push({ path: '', message: '需要在websites中列出网站，或配置sitemaps、crawl来发现网站' });
+    }
+    
+    // 自定义预设的继承不能循环，与内置预设不同名的预设也不能继承自身
+    if (typeOf(config.devicePresets) === 'object') {
+      Object.entries(config.devicePresets).forEach(([name, preset]) => {
+        if (typeOf(preset) !== 'object') return;
+        const { chain, cycle } = getPresetChain(name, config.devicePresets);
+        if (cycle) {
+          errors.push({
+            path: preset.extends ? joinPath(joinPath('devicePresets', name), 'extends') : joinPath('devicePresets', name),
+            message: chain.length === 2 ? `设备预设 ${name} 不能继承自身` : `设备预设循环继承: ${chain.join(' -> ')}`
+          });
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  VALID_CATEGORIES,
+  VALID_FORMATS,
+  VALID_BROWSERS,
+  VALID_NOTIFICATION_EVENTS,
+  VALID_WEBHOOK_FORMATS,
+  ConfigError,
+  parseJsonWithLocations,
+  validateConfig
+};
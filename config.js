@@ -0,0 +1,162 @@
+/**
+ * 网站配置
+ * 读取websites.json，并将每个网站条目与全局testOptions合并为最终的测试选项
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadBudgets, resolveBudget } = require('./budget.js');
+const { resolveSetup } = require('./auth.js');
+const { ConfigError, parseJsonWithLocations, validateConfig } = require('./config-schema.js');
+
+// 未配置testOptions时的默认测试选项
+const DEFAULT_TEST_OPTIONS = {
+  outputFormat: 'html',
+  categories: ['performance', 'accessibility', 'best-practices', 'seo']
+};
+
+// 合并时需要按字段合并而不是整体覆盖的对象选项
+const MERGED_OBJECT_OPTIONS = ['screenshotOptions', 'headers', 'throttling', 'visualRegression'];
+
+/**
+ * 读取并校验配置文件，不抛出校验错误
+ * @param {string} configPath - 配置文件路径
+ * @returns {object} { config, errors }，errors中的每一项为 { path, message, line, column }
+ * @throws {ConfigError} 文件无法读取时
+ */
+function checkConfigFile(configPath = './websites.json') {
+  let text;
+  try {
+    text = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`读取配置文件失败: ${configPath}: ${error.message}`);
+  }
+  
+  let parsed;
+  try {
+    parsed = parseJsonWithLocations(text);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return { config: null, errors: error.errors };
+    }
+    throw error;
+  }
+  
+  // 为每个错误附上字段在文件中的位置，找不到时使用最近的父字段位置
+  const errors = validateConfig(parsed.value).map(error => {
+    let fieldPath = error.path;
+    while (fieldPath && !parsed.locations.has(fieldPath)) {
+      fieldPath = fieldPath.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    }
+    return { ...error, ...parsed.locations.get(fieldPath) };
+  });
+  
+  return { config: parsed.value, errors };
+}
+
+/**
+ * 格式化配置错误，格式为 文件:行:列 字段: 说明
+ * @param {string} configPath - 配置文件路径
+ * @param {object} error - checkConfigFile返回的错误
+ * @returns {string} 错误说明
+ */
+function formatConfigError(configPath, error) {
+  const location = error.line ? `${configPath}:${error.line}:${error.column}` : configPath;
+  return `${location} ${error.path ? `${error.path}: ` : ''}${error.message}`;
+}
+
+/**
+ * 读取配置文件，配置无效时拒绝继续
+ * @param {string} configPath - 配置文件路径
+ * @returns {object} 配置
+ * @throws {ConfigError} 文件无法读取、JSON语法错误或不符合配置结构时
+ */
+function loadConfig(configPath = './websites.json') {
+  const { config, errors } = checkConfigFile(configPath);
+  if (errors.length > 0) {
+    const details = errors.map(error => `  ${formatConfigError(configPath, error)}`).join('\n');
+    throw new ConfigError(`配置文件无效，共 ${errors.length} 个错误:\n${details}`, errors);
+  }
+  return config;
+}
+
+/**
+ * 依次合并多层测试选项，对象类选项按字段合并
+ * @param {...object} layers - 从低到高优先级的选项
+ * @returns {object} 合并后的选项
+ */
+function mergeTestOptions(...layers) {
+  const merged = {};
+  layers.filter(Boolean).forEach(layer => {
+    Object.entries(layer).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (MERGED_OBJECT_OPTIONS.includes(key)) {
+        merged[key] = { ...merged[key], ...value };
+      } else {
+        merged[key] = value;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * 获取全局测试选项
+ * @param {object} config - 网站配置
+ * @param {object} overrides - 命令行等传入的选项，优先级最高
+ * @returns {object} 测试选项
+ */
+function resolveTestOptions(config, overrides = {}) {
+  return mergeTestOptions(config.testOptions || DEFAULT_TEST_OPTIONS, overrides);
+}
+
+/**
+ * 将配置中的网站列表解析为测试目标
+ * 网站条目可以是URL字符串，也可以是带有单独设置的对象，对象中的设置覆盖全局testOptions
+ * @param {object} config - 网站配置
+ * @param {string} configPath - 配置文件路径，用于解析相对路径和同目录的预算文件
+ * @param {object} options - 选项
+ * @param {object} options.testOptions - 命令行等传入的测试选项，优先级最高
+ * @param {object} options.budgets - 性能预算，未提供时从配置文件加载
+ * @param {Array<string>} options.tags - 只保留带有任一标签的网站
+ * @returns {Array<object>} [{ url, name, tags, schedule, testOptions, budget, setup }]
+ */
+function resolveSites(config, configPath, options = {}) {
+  const budgets = options.budgets || loadBudgets(configPath, config);
+  const { setup: globalSetup, ...globalOptions } = config.testOptions || DEFAULT_TEST_OPTIONS;
+  
+  const sites = (config.websites || []).map(entry => {
+    const site = typeof entry === 'string' ? { url: entry } : entry;
+    const { url, name, tags = [], schedule, budgets: siteBudget, setup, formFactor, ...siteOptions } = site;
+    
+    // formFactor是只指定一个设备预设的简写
+    if (formFactor && !siteOptions.device && !siteOptions.devices) {
+      siteOptions.devices = [formFactor];
+    }
+    
+    return {
+      url,
+      name: name || url,
+      tags,
+      schedule,
+      testOptions: mergeTestOptions(globalOptions, siteOptions, options.testOptions),
+      budget: resolveBudget(budgets, url, siteBudget),
+      setup: setup ? path.resolve(path.dirname(configPath), setup) : resolveSetup(config, configPath, url)
+    };
+  });
+  
+  if (options.tags && options.tags.length > 0) {
+    return sites.filter(site => site.tags.some(tag => options.tags.includes(tag)));
+  }
+  return sites;
+}
+
+module.exports = {
+  DEFAULT_TEST_OPTIONS,
+  ConfigError,
+  checkConfigFile,
+  formatConfigError,
+  loadConfig,
+  mergeTestOptions,
+  resolveTestOptions,
+  resolveSites
+};
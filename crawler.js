@@ -0,0 +1,271 @@
+/**
+ * 同源爬虫
+ * 从种子URL开始用Playwright打开页面并收集同源链接，按深度和页面数限制发现需要测试的页面，并记录页面之间的链接关系
+ */
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { filterUrls, globToRegExp } = require('./sitemap.js');
+const { loadSetupScript, resolveSetup } = require('./auth.js');
+
+// 默认忽略的查询参数，这些参数只用于统计来源，不影响页面内容
+const DEFAULT_IGNORED_PARAMS = ['utm_*', 'gclid', 'fbclid'];
+
+// 不是HTML页面的链接
+const NON_PAGE_EXTENSIONS = /\.(?:pdf|zip|gz|rar|7z|exe|dmg|jpe?g|png|gif|webp|svg|ico|mp3|mp4|webm|avi|mov|css|js|json|xml|txt)$/i;
+
+/**
+ * 规范化URL，用于去重
+ * 去掉锚点、统一主机名大小写、去掉路径末尾的斜杠（根路径除外），并按规则处理查询参数
+ * @param {string} url - 页面URL
+ * @param {object} rules - 去重规则
+ * @param {boolean} rules.ignoreQuery - 是否忽略全部查询参数 (默认: false)
+ * @param {Array<string>} rules.ignoreParams - 忽略的查询参数名，支持 * 通配符 (默认: utm_*, gclid, fbclid)
+ * @returns {string} 规范化后的URL
+ */
+function normalizeUrl(url, rules = {}) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  
+  if (rules.ignoreQuery) {
+    parsed.search = '';
+  } else {
+    const ignored = rules.ignoreParams || DEFAULT_IGNORED_PARAMS;
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !ignored.some(pattern => globToRegExp(pattern).test(name)))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+  }
+  
+  return parsed.href;
+}
+
+/**
+ * 收集页面中的链接
+ * @param {object} page - Playwright页面
+ * @returns {Promise<Array<string>>} 链接的绝对地址
+ */
+async function collectLinks(page) {
+  return page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+}
+
+/**
+ * 从种子URL开始爬取同源页面
+ * @param {string} seedUrl - 种子URL
+ * @param {object} options - 爬取选项
+ * @param {number} options.maxDepth - 最大链接深度，种子页面深度为0 (默认: 2)
+ * @param {number} options.maxPages - 最多发现的页面数，包含种子页面 (默认: 50)
+ * @param {Array<string>} options.include - 只跟踪匹配任一glob规则的链接
+ * @param {Array<string>} options.exclude - 不跟踪匹配任一glob规则的链接
+ * @param {boolean} options.ignoreQuery - 去重时忽略全部查询参数
+ * @param {Array<string>} options.ignoreParams - 去重时忽略的查询参数
+ * @param {string} options.waitUntil - 页面导航等待条件 (默认: 'domcontentloaded')
+ * @param {number} options.timeout - 单个页面的导航超时时间，毫秒 (默认: 30000)
+ * @param {object} options.headers - 请求附加的HTTP请求头
+ * @param {string} options.storageState - 登录态文件路径，未提供setup时使用
+ * @param {string|Function} options.setup - 登录脚本路径或函数，爬取前在同一浏览器上下文中运行
+ * @returns {Promise<object>} { seed, urls, pages: [{ url, depth, via, status, links }] }
+ */
+async function crawl(seedUrl, options = {}) {
+  const defaultOptions = {
+    maxDepth: 2,
+    maxPages: 50,
+    waitUntil: 'domcontentloaded',
+    timeout: 30000
+  };
+  // 未设置的选项使用默认值
+  const config = {
+    ...defaultOptions,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+  };
+  const seed = seedUrl;
+  const origin = new URL(seed).origin;
+  console.log(`开始爬取: ${seed} (最大深度: ${config.maxDepth}，最多页面: ${config.maxPages})`);
+  
+  // 已发现的页面，键为规范化的URL，只用于去重；值中的url为首次发现时的原始链接，测试时使用该链接
+  // 值为 { url, depth, via, status, links }
+  const seedKey = normalizeUrl(seed, config);
+  const pages = new Map([[seedKey, { url: seed, depth: 0, via: null, status: null, links: [] }]]);
+  const queue = [seedKey];
+  
+  const browser = await chromium.launch({
+    args: ['--disable-dev-shm-usage', '--no-sandbox']
+  });
+  
+  try {
+    const context = await browser.newContext({
+      extraHTTPHeaders: config.headers,
+      storageState: config.setup ? undefined : config.storageState
+    });
+    
+    // 需要登录的网站先运行登录脚本，爬取时与测试看到相同的页面和链接
+    if (config.setup) {
+      const setupFn = loadSetupScript(config.setup);
+      console.log(`运行登录脚本: ${typeof config.setup === 'string' ? config.setup : '(函数)'}`);
+      const setupPage = await context.newPage();
+      setupPage.setDefaultTimeout(60000);
+      await setupFn({ page: setupPage, context, url: seed });
+      await setupPage.close();
+    }
+    
+    const page = await context.newPage();
+    page.setDefaultTimeout(config.timeout);
+    
+    while (queue.length > 0) {
+      const current = pages.get(queue.shift());
+      console.log(`[${current.depth}] ${current.url}`);
+      
+      try {
+        const response = await page.goto(current.url, { waitUntil: config.waitUntil, timeout: config.timeout });
+        current.status = response ? response.status() : null;
+      } catch (error) {
+        current.error = error.message;
+        console.error(`打开页面失败: ${current.url}: ${error.message}`);
+        continue;
+      }
+      
+      // 重定向到其他域名的页面不再继续跟踪，也不参与测试
+      if (new URL(page.url()).origin !== origin) {
+        current.redirectedTo = page.url();
+        console.warn(`页面重定向到其他域名，跳过: ${current.url} -> ${current.redirectedTo}`);
+        continue;
+      }
+      if (current.depth >= config.maxDepth) {
+        continue;
+      }
+      
+      const links = filterUrls(
+        (await collectLinks(page))
+          .filter(link => /^https?:/.test(link) && new URL(link).origin === origin)
+          .filter(link => !NON_PAGE_EXTENSIONS.test(new URL(link).pathname)),
+        config
+      );
+      
+      // 按规范化的URL去重，每个页面保留首次出现的链接
+      const found = new Map();
+      links.forEach(link => {
+        const key = normalizeUrl(link, config);
+        if (!found.has(key)) found.set(key, link);
+      });
+      current.links = [...found].map(([key, link]) => (pages.has(key) ? pages.get(key).url : link));
+      
+      for (const [key, link] of found) {
+        if (pages.has(key)) continue;
+        if (pages.size >= config.maxPages) break;
+        pages.set(key, { url: link, depth: current.depth + 1, via: current.url, status: null, links: [] });
+        queue.push(key);
+      }
+    }
+    
+    await context.close();
+  } finally {
+    await browser.close();
+  }
+  
+  // 只有成功打开且没有离开当前域名的页面才交给批量测试
+  const discovered = [...pages.values()];
+  const urls = discovered
+    .filter(entry => !entry.error && !entry.redirectedTo && (!entry.status || entry.status < 400))
+    .map(entry => entry.url);
+  console.log(`爬取完成: 发现 ${discovered.length} 个页面，可测试 ${urls.length} 个`);
+  
+  return { seed, urls, pages: discovered };
+}
+
+/**
+ * 获取从种子页面到达指定页面的链接路径
+ * @param {object} graph - crawl返回的结果
+ * @param {string} url - 页面URL
+ * @returns {Array<string>} 从种子页面开始的URL列表
+ */
+function getCrawlPath(graph, url) {
+  const byUrl = new Map(graph.pages.map(entry => [entry.url, entry]));
+  const route = [];
+  let current = byUrl.get(url);
+  while (current) {
+    route.unshift(current.url);
+    current = current.via ? byUrl.get(current.via) : null;
+  }
+  return route;
+}
+
+/**
+ * 将爬取结果保存到批量测试的汇总目录，每个页面附带从种子页面到达它的链接路径
+ * @param {Array<object>} graphs - expandCrawls返回的爬取结果
+ * @param {string} outputDir - 输出目录
+ * @returns {string|null} 文件路径，没有爬取结果时返回null
+ */
+function saveCrawlGraph(graphs, outputDir) {
+  if (!graphs || graphs.length === 0) return null;
+  
+  const graphPath = path.join(outputDir, 'crawl-graph.json');
+  fs.writeFileSync(graphPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    crawls: graphs.map(graph => ({
+      seed: graph.seed,
+      pages: graph.pages.map(entry => ({ ...entry, path: getCrawlPath(graph, entry.url) }))
+    }))
+  }, null, 2));
+  console.log(`爬取关系图已保存至: ${graphPath}`);
+  return graphPath;
+}
+
+/**
+ * 将配置中的crawl展开为网站条目，追加到websites之后
+ * crawl条目中除爬取规则外的字段（如tags、categories）会应用到发现的每个页面
+ * 种子URL配置了登录脚本或登录态时，爬取也使用同样的登录态；爬取失败的种子URL记录错误后跳过
+ * @param {object} config - 网站配置
+ * @param {string} configPath - 配置文件路径，用于解析登录脚本的相对路径
+ * @returns {Promise<object>} { config: 新的配置, graphs: 每个种子的爬取结果 }
+ */
+async function expandCrawls(config, configPath) {
+  if (!config.crawl || config.crawl.length === 0) {
+    return { config, graphs: [] };
+  }
+  
+  const websites = [...(config.websites || [])];
+  const known = new Set(websites.map(entry => (typeof entry === 'string' ? entry : entry.url)));
+  const graphs = [];
+  
+  for (const source of config.crawl) {
+    const { url, maxDepth, maxPages, include, exclude, ignoreQuery, ignoreParams, waitUntil, timeout, ...siteOptions } =
+      typeof source === 'string' ? { url: source } : source;
+    const setup = siteOptions.setup
+      ? path.resolve(path.dirname(configPath), siteOptions.setup)
+      : resolveSetup(config, configPath, url);
+    let graph;
+    try {
+      graph = await crawl(url, {
+        maxDepth, maxPages, include, exclude, ignoreQuery, ignoreParams, waitUntil, timeout,
+        headers: siteOptions.headers,
+        setup,
+        storageState: siteOptions.storageState || (config.testOptions && config.testOptions.storageState)
+      });
+    } catch (error) {
+      console.error(`爬取失败，已跳过: ${url}: ${error.message}`);
+      continue;
+    }
+    graphs.push(graph);
+    
+    graph.urls.forEach(pageUrl => {
+      if (known.has(pageUrl)) return;
+      known.add(pageUrl);
+      websites.push(Object.keys(siteOptions).length > 0 ? { ...siteOptions, url: pageUrl } : pageUrl);
+    });
+  }
+  
+  return { config: { ...config, websites }, graphs };
+}
+
+module.exports = {
+  normalizeUrl,
+  crawl,
+  getCrawlPath,
+  saveCrawlGraph,
+  expandCrawls
+};
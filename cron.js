@@ -0,0 +1,207 @@
+/**
+ * Cron表达式
+ * 解析标准的5段cron表达式（分 时 日 月 周），计算下一次触发时间，时间按本地时区计算
+ */
+
+// 各字段的取值范围
+const FIELDS = [
+  { name: '分', min: 0, max: 59 },
+  { name: '时', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: '周', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// 常用的简写
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// 查找下一次触发时间的最大范围，超过时认为表达式永远不会触发（如2月30日）
+const MAX_LOOKAHEAD_YEARS = 5;
+
+/**
+ * 解析字段中的单个值，月份和星期可以使用英文缩写
+ * @param {string} text - 值
+ * @param {object} field - 字段定义
+ * @returns {number} 数值
+ */
+function parseFieldValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.min === 1 ? 1 : 0);
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${field.name}字段的值 "${text}" 无效`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name}字段的值 ${value} 超出范围 ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * 解析单个字段，支持 *、数值、范围(a-b)、步长(*\/n、a-b/n)和逗号分隔的列表
+ * @param {string} text - 字段文本
+ * @param {object} field - 字段定义
+ * @returns {Set<number>} 匹配的值
+ */
+function parseField(text, field) {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`${field.name}字段的步长 "${stepText}" 无效`);
+    }
+    
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseFieldValue(from, field);
+      end = parseFieldValue(to, field);
+      if (start > end) {
+        throw new Error(`${field.name}字段的范围 "${range}" 起始值大于结束值`);
+      }
+    } else {
+      start = parseFieldValue(range, field);
+      // 5/15 表示从5开始每15个单位触发一次
+      end = stepText === undefined ? start : field.max;
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * 解析cron表达式
+ * @param {string} expression - cron表达式，如 '*\/30 * * * *'、'0 9 * * 1-5' 或 '@daily'
+ * @returns {object} { expression, minutes, hours, days, months, weekdays, dayRestricted, weekdayRestricted }
+ * @throws {Error} 表达式无效时
+ */
+function parseCron(expression) {
+  const source = String(expression).trim();
+  const normalized = ALIASES[source.toLowerCase()] || source;
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron表达式 "${source}" 应包含5个字段（分 时 日 月 周），实际为 ${parts.length} 个`);
+  }
+  
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // 7和0都表示星期日
+  if (weekdays.delete(7)) weekdays.add(0);
+  
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // 日和周都有限制时，满足任一即可触发，与标准cron一致
+    dayRestricted: !parts[2].startsWith('*'),
+    weekdayRestricted: !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * 检查日期是否匹配日和周字段
+ * @param {object} schedule - parseCron的结果
+ * @param {Date} date - 日期
+ * @returns {boolean} 是否匹配
+ */
+function matchesDay(schedule, date) {
+  const dayMatch = schedule.days.has(date.getDate());
+  const weekdayMatch = schedule.weekdays.has(date.getDay());
+  if (schedule.dayRestricted && schedule.weekdayRestricted) return dayMatch || weekdayMatch;
+  if (schedule.dayRestricted) return dayMatch;
+  if (schedule.weekdayRestricted) return weekdayMatch;
+  return true;
+}
+
+/**
+ * 检查时间是否紧接在夏令时开始时跳过的时段之后，且跳过的时段中有需要触发的小时
+ * 例如America/New_York在3月第二个周日从1:59直接跳到3:00，'30 2 * * *' 当天在3:00触发，与cronie一致
+ * @param {object} schedule - parseCron的结果
+ * @param {Date} date - 整分钟的时间
+ * @returns {boolean} 是否应在该时间补触发
+ */
+function followsDstGap(schedule, date) {
+  const previous = new Date(date.getTime() - 60000);
+  if (previous.getDate() !== date.getDate()) return false;
+  for (let hour = previous.getHours() + 1; hour < date.getHours(); hour++) {
+    if (schedule.hours.has(hour)) return true;
+  }
+  return false;
+}
+
+/**
+ * 计算下一次触发时间
+ * 夏令时开始时跳过的时间在跳过后的第一分钟触发；夏令时结束时重复的一小时只触发一次
+ * @param {object|string} schedule - parseCron的结果或cron表达式
+ * @param {Date} after - 从该时间之后开始查找 (默认: 当前时间)
+ * @returns {Date|null} 下一次触发时间（整分钟），表达式永远不会触发时返回null
+ */
+function nextRun(schedule, after = new Date()) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+  
+  // 不匹配的字段直接跳到下一个单位的开始，避免逐分钟查找
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (followsDstGap(cron, date)) {
+      return date;
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * 检查cron表达式是否有效
+ * @param {string} expression - cron表达式
+ * @returns {string|null} 无效时返回错误说明，有效时返回null
+ */
+function checkCron(expression) {
+  try {
+    const schedule = parseCron(expression);
+    return nextRun(schedule) ? null : `cron表达式 "${expression}" 永远不会触发`;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  checkCron
+};
@@ -0,0 +1,1190 @@
+/**
+ * 报告浏览服务
+ * 内置HTTP服务，浏览结果存储中的网站、测试记录和批量测试，直接打开Lighthouse报告、截图和对比报告
+ * 同时提供JSON接口查询测试记录，以及提交单页测试或批量测试任务并查询任务状态
+ */
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigError, loadConfig, resolveTestOptions, resolveSites } = require('./config.js');
+const { validateConfig } = require('./config-schema.js');
+const { loadBudgets, resolveBudget, formatViolation } = require('./budget.js');
+const { openStore, recordRun, toBatchResult } = require('./result-store.js');
+const { listHistory, parseBaseline } = require('./history.js');
+const { compareWithBaseline, renderComparisonHtml } = require('./comparison.js');
+const { readMonitorStatus, STATUS_FILE } = require('./monitor.js');
+const { formatVisualResult } = require('./visual-regression.js');
+
+// 静态文件的Content-Type
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.sarif': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gz': 'application/gzip'
+};
+
+// 通过接口提交任务时允许覆盖的测试选项，登录脚本等会在服务器上执行代码或写入文件的选项不开放
+const JOB_TEST_OPTIONS = ['categories', 'device', 'devices', 'runs', 'outputFormat', 'browser', 'captureScreenshot', 'screenshotOptions', 'throttling', 'headers'];
+
+// 得分表中的类别及显示名称，与HTML汇总报告一致
+const CATEGORY_LABELS = {
+  performance: '性能',
+  accessibility: '可访问性',
+  'best-practices': '最佳实践',
+  seo: 'SEO'
+};
+
+// 请求体的最大字节数
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// 内存中保留的已结束任务数
+const MAX_FINISHED_JOBS = 100;
+
+// 测试记录中可以通过 /files/ 访问的附带文件
+const LINKED_ARTIFACTS = ['report', 'screenshot', 'summary', 'sarif', 'baseline', 'diff'];
+
+// 批量测试目录中可以通过 /files/ 访问的汇总文件
+const BATCH_FILES = ['batch-summary.html', 'batch-summary.md', 'junit.xml', 'results.sarif'];
+
+// 本机地址
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// 保存访问令牌的Cookie，浏览器通过 ?token= 打开页面后使用
+const TOKEN_COOKIE = 'lh_dashboard_token';
+
+/**
+ * 请求错误，status为返回的HTTP状态码
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * 转义HTML文本和属性值
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 生成带查询参数的链接
+ * @param {string} pathname - 路径
+ * @param {object} params - 查询参数，值为空的参数会被忽略
+ * @returns {string} 链接
+ */
+function link(pathname, params = {}) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  const text = query.toString();
+  return text ? `${pathname}?${text}` : pathname;
+}
+
+/**
+ * 获取记录附带文件的访问地址
+ * @param {object} record - 测试记录
+ * @param {string} name - 文件类型: report、summary、sarif、screenshot、baseline、diff
+ * @returns {string|null} 地址，文件不在报告目录中时返回null
+ */
+function artifactUrl(record, name) {
+  const relative = record.artifacts && record.artifacts[name];
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return `/files/${relative.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * 为记录附上页面、附带文件和对比的访问地址
+ * @param {object} record - 测试记录
+ * @returns {object} 记录副本，links中为各地址
+ */
+function withLinks(record) {
+  const links = {
+    page: `/runs/${encodeURIComponent(record.id)}`,
+    api: `/api/runs/${encodeURIComponent(record.id)}`
+  };
+  if (!record.error) {
+    LINKED_ARTIFACTS.forEach(name => {
+      const url = artifactUrl(record, name);
+      if (url) links[name] = url;
+    });
+    links.compare = `/runs/${encodeURIComponent(record.id)}/compare`;
+  }
+  return { ...record, links };
+}
+
+/**
+ * 检查URL是否为有效的http(s)地址
+ * @param {string} value - URL
+ * @returns {boolean} 是否有效
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 校验任务中的测试选项
+ * 借用网站条目的结构校验，错误信息与validate命令一致
+ * @param {*} testOptions - 测试选项
+ * @param {object|null} config - 网站配置，用于识别自定义设备预设
+ * @returns {object} 测试选项
+ * @throws {HttpError} 选项无效时
+ */
+function checkJobTestOptions(testOptions, config) {
+  if (testOptions === undefined) return {};
+  if (!testOptions || typeof testOptions !== 'object' || Array.isArray(testOptions)) {
+    throw new HttpError(400, 'testOptions应为对象');
+  }
+  const unsupported = Object.keys(testOptions).filter(key => !JOB_TEST_OPTIONS.includes(key));
+  if (unsupported.length > 0) {
+    throw new HttpError(400, `不支持通过接口设置的测试选项: ${unsupported.join(', ')}，可用选项: ${JOB_TEST_OPTIONS.join(', ')}`);
+  }
+  
+  const errors = validateConfig({
+    websites: [{ url: 'https://example.com/', ...testOptions }],
+    ...(config && config.devicePresets && { devicePresets: config.devicePresets })
+  });
+  if (errors.length > 0) {
+    throw new HttpError(400, errors.map(error => `testOptions${error.path.replace(/^websites\[0\]/, '')}: ${error.message}`).join('; '));
+  }
+  return testOptions;
+}
+
+/**
+ * 测试任务队列
+ * 所有任务依次执行，避免同时运行多个Lighthouse测试互相影响结果
+ */
+class JobQueue {
+  /**
+   * @param {object} options - 选项
+   * @param {string} options.configPath - 配置文件路径，批量测试任务和网站的单独设置使用
+   * @param {string} options.reportsDir - 报告根目录
+   */
+  constructor(options = {}) {
+    this.configPath = options.configPath;
+    this.reportsDir = options.reportsDir;
+    this.jobs = new Map();
+    this.queue = Promise.resolve();
+  }
+  
+  /**
+   * 读取配置文件，未指定时返回null
+   * @returns {object|null} 网站配置
+   */
+  loadConfig() {
+    return this.configPath ? loadConfig(this.configPath) : null;
+  }
+  
+  /**
+   * 校验并提交任务
+   * @param {object} body - 请求内容 { type: 'test', url, testOptions } 或 { type: 'batch', tags, optimized, testOptions }
+   * @returns {object} 任务
+   * @throws {HttpError} 参数无效时
+   */
+  submit(body) {
+    if (!body || typeof body !== 'object') {
+      throw new HttpError(400, '请求内容应为JSON对象');
+    }
+    
+    let config;
+    try {
+      config = this.loadConfig();
+    } catch (error) {
+      if (error instanceof ConfigError) throw new HttpError(500, error.message);
+      throw error;
+    }
+    
+    const testOptions = checkJobTestOptions(body.testOptions, config);
+    let params;
+    if (body.type === 'test') {
+      if (!isHttpUrl(body.url)) {
+        throw new HttpError(400, `无效的URL: ${body.url === undefined ? '未提供' : body.url}`);
+      }
+      params = { url: body.url, testOptions };
+    } else if (body.type === 'batch') {
+      if (!config) {
+        throw new HttpError(400, '启动服务时没有指定配置文件，无法运行批量测试');
+      }
+      if (body.tags !== undefined && (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string'))) {
+        throw new HttpError(400, 'tags应为字符串数组');
+      }
+      params = { tags: body.tags, optimized: body.optimized === true, testOptions };
+    } else {
+      throw new HttpError(400, `未知的任务类型: ${body.type}，可选值: test, batch`);
+    }
+    
+    const job = {
+      id: `job-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      type: body.type,
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+    
+    this.queue = this.queue.then(() => this.run(job));
+    console.log(`[服务] 已提交任务 ${job.id}: ${job.type === 'test' ? params.url : `批量测试${params.tags ? ` (标签: ${params.tags.join(', ')})` : ''}`}`);
+    return job;
+  }
+  
+  /**
+   * 执行任务，错误记录在任务中
+   * @param {object} job - 任务
+   */
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = job.type === 'test' ? await this.runTest(job.params) : await this.runBatch(job.params);
+      job.status = 'succeeded';
+    } catch (error) {
+      console.error(`[服务] 任务 ${job.id} 失败:`, error);
+      job.error = error.message;
+      job.status = 'failed';
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+  
+  /**
+   * 运行单页测试，URL在配置文件中时使用该网站的设置、预算和登录脚本
+   * @param {object} params - { url, testOptions }
+   * @returns {Promise<object>} { records: [{ id, device, scores, budgetPassed, error }] }
+   */
+  async runTest(params) {
+    const { runFullTest } = require('./index.js');
+    const config = this.loadConfig();
+    const site = config && resolveSites(config, this.configPath, { testOptions: params.testOptions })
+      .find(item => item.url === params.url);
+    
+    let taskOptions;
+    let meta = {};
+    if (site) {
+      taskOptions = { ...site.testOptions, budget: site.budget, setup: site.setup };
+      meta = { name: site.name, tags: site.tags };
+    } else if (config) {
+      taskOptions = { ...resolveTestOptions(config, params.testOptions), budget: resolveBudget(loadBudgets(this.configPath, config), params.url) };
+      delete taskOptions.setup;
+    } else {
+      taskOptions = { ...params.testOptions };
+    }
+    taskOptions.outputDir = this.reportsDir;
+    if (config) taskOptions.devicePresets = config.devicePresets;
+    
+    const { devices, ...baseOptions } = taskOptions;
+    const deviceList = devices && devices.length > 0 ? devices : [baseOptions.device];
+    const records = [];
+    for (const device of deviceList) {
+      const options = { ...baseOptions, ...(device && { device }) };
+      const runMeta = { source: 'test', outputDir: this.reportsDir, testOptions: options, ...meta };
+      try {
+        const results = await runFullTest(params.url, options);
+        records.push(recordRun(params.url, results, runMeta));
+      } catch (error) {
+        records.push(recordRun(params.url, null, { ...runMeta, error: error.message }));
+      }
+    }
+    
+    const summary = records.map(record => ({
+      id: record.id,
+      device: record.device,
+      scores: record.scores,
+      budgetPassed: record.budgetResult ? record.budgetResult.passed : undefined,
+      error: record.error,
+      links: withLinks(record).links
+    }));
+    if (summary.every(record => record.error)) {
+      throw new Error(summary.map(record => record.error).join('; '));
+    }
+    return { records: summary };
+  }
+  
+  /**
+   * 运行批量测试，结果与batch命令相同
+   * @param {object} params - { tags, optimized, testOptions }
+   * @returns {Promise<object>} { batchId, summaryDir, totalWebsites, failedTests, budgetFailures }
+   */
+  async runBatch(params) {
+    const batchOptions = {
+      tags: params.tags,
+      testOptions: { ...params.testOptions, outputDir: this.reportsDir }
+    };
+    let batchResult;
+    if (params.optimized) {
+      const { optimizedBatchTest } = require('./optimized-batch-test.js');
+      batchResult = await optimizedBatchTest(this.configPath, batchOptions);
+    } else {
+      const { batchTest } = require('./batch-test.js');
+      batchResult = await batchTest(this.configPath, batchOptions);
+    }
+    if (!batchResult) {
+      throw new Error('没有需要测试的网站，请检查标签、sitemap和爬虫的过滤规则');
+    }
+    
+    const batchId = path.basename(batchResult.summaryDir);
+    return {
+      batchId,
+      summaryDir: batchResult.summaryDir,
+      totalWebsites: batchResult.results.length,
+      failedTests: batchResult.results.filter(result => result.error).length,
+      budgetFailures: batchResult.results.filter(result => result.budget && !result.budget.passed).length,
+      links: { page: `/batches/${encodeURIComponent(batchId)}`, api: `/api/batches/${encodeURIComponent(batchId)}` }
+    };
+  }
+  
+  /**
+   * 只保留最近的已结束任务
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.status === 'succeeded' || job.status === 'failed');
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach(job => this.jobs.delete(job.id));
+  }
+  
+  /**
+   * 列出任务，最近提交的在前
+   * @returns {Array<object>} 任务
+   */
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+  
+  /**
+   * 获取任务
+   * @param {string} id - 任务id
+   * @returns {object|null} 任务
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+}
+
+/**
+ * 汇总每个网站和设备的最近一次测试
+ * @param {ResultStore} store - 结果存储
+ * @returns {Array<object>} [{ url, name, device, runs, latest }]，按URL排序
+ */
+function listSites(store) {
+  const sites = new Map();
+  store.query({ includeErrors: true }).forEach(record => {
+    const key = `${record.url}|${record.device || ''}`;
+    if (!sites.has(key)) {
+      sites.set(key, { url: record.url, name: record.name, device: record.device, runs: 0, latest: null });
+    }
+    const site = sites.get(key);
+    site.runs++;
+    site.name = site.name || record.name;
+    if (!site.latest && !record.error) site.latest = record;
+  });
+  return [...sites.values()].sort((a, b) => a.url.localeCompare(b.url) || (a.device || '').localeCompare(b.device || ''));
+}
+
+/**
+ * 汇总结果存储中的批量测试
+ * @param {ResultStore} store - 结果存储
+ * @param {string} reportsDir - 报告根目录
+ * @returns {Array<object>} [{ batchId, source, timestamp, totalWebsites, failedTests, budgetFailures, summary }]，最近的在前
+ */
+function listBatches(store, reportsDir) {
+  const batches = new Map();
+  store.query({ includeErrors: true, order: 'asc' }).forEach(record => {
+    if (!record.batchId) return;
+    if (!batches.has(record.batchId)) {
+      const summaryPath = path.join(reportsDir, record.batchId, 'batch-summary.html');
+      batches.set(record.batchId, {
+        batchId: record.batchId,
+        source: record.source,
+        timestamp: record.timestamp,
+        totalWebsites: 0,
+        failedTests: 0,
+        budgetFailures: 0,
+        summary: fs.existsSync(summaryPath) ? `/files/${encodeURIComponent(record.batchId)}/batch-summary.html` : null
+      });
+    }
+    const batch = batches.get(record.batchId);
+    batch.totalWebsites++;
+    if (record.error) batch.failedTests++;
+    if (record.budgetResult && !record.budgetResult.passed) batch.budgetFailures++;
+  });
+  return [...batches.values()].reverse();
+}
+
+/**
+ * 生成得分单元格
+ * @param {number|undefined} score - 得分
+ * @returns {string} HTML
+ */
+function scoreCell(score) {
+  if (score === undefined) return '<td>N/A</td>';
+  const colorClass = score >= 90 ? 'score-good' : score >= 50 ? 'score-average' : 'score-poor';
+  return `<td class="${colorClass}">${score.toFixed(1)}</td>`;
+}
+
+/**
+ * 生成预算单元格
+ * @param {object} record - 测试记录
+ * @returns {string} HTML
+ */
+function budgetCell(record) {
+  if (!record.budgetResult) return '<td>N/A</td>';
+  return record.budgetResult.passed
+    ? '<td class="score-good">通过</td>'
+    : `<td class="score-poor" title="${escapeHtml(record.budgetResult.violations.map(formatViolation).join('\n'))}">超出 ${record.budgetResult.violations.length} 项</td>`;
+}
+
+/**
+ * 生成测试记录的附带文件链接
+ * @param {object} record - 测试记录
+ * @returns {string} HTML
+ */
+function artifactLinks(record) {
+  const { links } = withLinks(record);
+  const labels = { report: '报告', screenshot: '截图', compare: '对比' };
+  return Object.entries(labels)
+    .filter(([name]) => links[name])
+    .map(([name, label]) => `<a href="${escapeHtml(links[name])}">${label}</a>`)
+    .join(' · ');
+}
+
+/**
+ * 生成测试记录表格
+ * @param {Array<object>} records - 测试记录
+ * @param {object} options - 选项
+ * @param {boolean} options.showSite - 是否显示网站列
+ * @returns {string} HTML
+ */
+function renderRunTable(records, options = {}) {
+  if (records.length === 0) return '<p>没有测试记录</p>';
+  const categories = Object.keys(CATEGORY_LABELS);
+  const rows = records.map(record => {
+    const site = options.showSite
+      ? `<td><a href="${escapeHtml(link('/site', { url: record.url, device: record.device }))}">${escapeHtml(record.name || record.url)}</a></td>`
+      : '';
+    const cells = record.error
+      ? `<td colspan="${categories.length + 1}" class="error-message">测试失败: ${escapeHtml(record.error)}</td>`
+      : `${categories.map(category => scoreCell(record.scores && record.scores[category])).join('')}${budgetCell(record)}`;
+    return `
+          <tr${record.error ? ' class="error-row"' : ''}>
+            <td><a href="/runs/${encodeURIComponent(record.id)}">${escapeHtml(record.date || record.timestamp)}</a></td>
+            ${site}
+            <td>${escapeHtml(record.device || '-')}</td>
+            <td>${escapeHtml(record.source || '-')}</td>
+            ${cells}
+            <td>${artifactLinks(record)}</td>
+          </tr>`;
+  }).join('');
+  
+  return `
+      <table>
+        <thead>
+          <tr>
+            <th>测试时间</th>
+            ${options.showSite ? '<th>网站</th>' : ''}
+            <th>设备</th>
+            <th>来源</th>
+            ${categories.map(category => `<th>${CATEGORY_LABELS[category]}</th>`).join('')}
+            <th>预算</th>
+            <th>文件</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+}
+
+/**
+ * 生成完整页面
+ * @param {string} title - 页面标题
+ * @param {string} body - 页面内容
+ * @param {object} options - 选项
+ * @param {number} options.refresh - 自动刷新间隔，秒
+ * @returns {string} HTML
+ */
+function renderPage(title, body, options = {}) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  ${options.refresh ? `<meta http-equiv="refresh" content="${options.refresh}">` : ''}
+  <title>${escapeHtml(title)} - Lighthouse报告</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h1, h2 {
+      color: #2c3e50;
+    }
+    nav {
+      margin-bottom: 20px;
+    }
+    a {
+      color: #1a73e8;
+    }
+    .summary-box {
+      background-color: #f8f9fa;
+      border-radius: 5px;
+      padding: 15px;
+      margin-bottom: 20px;
+      border-left: 5px solid #4285f4;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 20px 0;
+    }
+    th, td {
+      padding: 8px 12px;
+      border: 1px solid #ddd;
+      text-align: left;
+    }
+    th {
+      background-color: #4285f4;
+      color: white;
+      font-weight: bold;
+    }
+    tr:nth-child(even) {
+      background-color: #f2f2f2;
+    }
+    .score-good {
+      background-color: #d4edda;
+      color: #155724;
+    }
+    .score-average {
+      background-color: #fff3cd;
+      color: #856404;
+    }
+    .score-poor {
+      background-color: #f8d7da;
+      color: #721c24;
+    }
+    .error-row {
+      background-color: #f8d7da;
+    }
+    .error-message {
+      color: #721c24;
+    }
+    .screenshot {
+      max-width: 100%;
+      border: 1px solid #ddd;
+    }
+    form input, form select, form button {
+      margin-right: 8px;
+      padding: 4px 8px;
+    }
+  </style>
+</head>
+<body>
+  <nav><a href="/">首页</a> · <a href="/runs">测试记录</a> · <a href="/batches">批量测试</a> · <a href="/jobs">任务</a></nav>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>
+`;
+}
+
+// 首页的任务提交表单，以JSON调用/api/jobs
+const JOB_FORM = `
+  <h2>运行测试</h2>
+  <form id="job-form">
+    <select name="type">
+      <option value="test">单页测试</option>
+      <option value="batch">批量测试</option>
+    </select>
+    <input name="url" placeholder="URL（单页测试）" size="40">
+    <input name="tags" placeholder="标签，逗号分隔（批量测试）">
+    <input name="token" type="password" placeholder="访问令牌（如需要）">
+    <button type="submit">提交</button>
+    <span id="job-message" class="error-message"></span>
+  </form>
+  <script>
+    document.getElementById('job-form').addEventListener('submit', async event => {
+      event.preventDefault();
+      const form = event.target;
+      const body = { type: form.type.value };
+      if (body.type === 'test') body.url = form.url.value.trim();
+      const tags = form.tags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+      if (body.type === 'batch' && tags.length > 0) body.tags = tags;
+      const headers = { 'Content-Type': 'application/json' };
+      if (form.token.value) headers.Authorization = 'Bearer ' + form.token.value;
+      const response = await fetch('/api/jobs', { method: 'POST', headers, body: JSON.stringify(body) });
+      const data = await response.json();
+      if (response.ok) {
+        location.href = '/jobs/' + encodeURIComponent(data.id);
+      } else {
+        document.getElementById('job-message').textContent = data.error;
+      }
+    });
+  </script>`;
+
+/**
+ * 生成任务表格
+ * @param {Array<object>} jobs - 任务
+ * @returns {string} HTML
+ */
+function renderJobTable(jobs) {
+  if (jobs.length === 0) return '<p>没有任务</p>';
+  const statusLabels = { queued: '排队中', running: '运行中', succeeded: '成功', failed: '失败' };
+  const rows = jobs.map(job => `
+          <tr${job.status === 'failed' ? ' class="error-row"' : ''}>
+            <td><a href="/jobs/${encodeURIComponent(job.id)}">${escapeHtml(job.id)}</a></td>
+            <td>${job.type === 'test' ? `单页测试 ${escapeHtml(job.params.url)}` : `批量测试${job.params.tags ? ` (标签: ${escapeHtml(job.params.tags.join(', '))})` : ''}`}</td>
+            <td>${statusLabels[job.status]}</td>
+            <td>${escapeHtml(new Date(job.createdAt).toLocaleString())}</td>
+          </tr>`).join('');
+  return `
+      <table>
+        <thead><tr><th>任务</th><th>内容</th><th>状态</th><th>提交时间</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+}
+
+/**
+ * 生成批量测试列表
+ * @param {Array<object>} batches - listBatches返回的批量测试
+ * @returns {string} HTML
+ */
+function renderBatchList(batches) {
+  if (batches.length === 0) return '<p>没有批量测试记录</p>';
+  const rows = batches.map(batch => `
+        <tr>
+          <td><a href="/batches/${encodeURIComponent(batch.batchId)}">${escapeHtml(batch.batchId)}</a></td>
+          <td>${escapeHtml(batch.source || '-')}</td>
+          <td>${escapeHtml(new Date(batch.timestamp).toLocaleString())}</td>
+          <td>${batch.totalWebsites}</td>
+          <td${batch.failedTests > 0 ? ' class="score-poor"' : ''}>${batch.failedTests}</td>
+          <td${batch.budgetFailures > 0 ? ' class="score-poor"' : ''}>${batch.budgetFailures}</td>
+          <td>${batch.summary ? `<a href="${escapeHtml(batch.summary)}">汇总报告</a>` : '-'}</td>
+        </tr>`).join('');
+  return `
+    <table>
+      <thead><tr><th>批量测试</th><th>来源</th><th>时间</th><th>网站数</th><th>失败</th><th>超出预算</th><th>汇总</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * 读取JSON请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<object|undefined>} 请求内容
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) throw new HttpError(413, '请求内容过大');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `请求内容不是有效的JSON: ${error.message}`);
+  }
+}
+
+/**
+ * 解析Host头或Origin中的主机名和端口
+ * @param {string} host - 如 'localhost:8080'、'[::1]:8080'
+ * @returns {object|null} { hostname, port }，无法解析时返回null
+ */
+function parseHost(host) {
+  if (!host || /[/?#@\\]/.test(host)) return null;
+  try {
+    const url = new URL(`http://${host}`);
+    return { hostname: url.hostname.replace(/^\[(.*)\]$/, '$1'), port: Number(url.port || 80) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 检查请求的Host头，防止DNS重绑定：其他网站的页面把自己的域名解析到本机后，浏览器会把请求发到本服务
+ * @param {http.IncomingMessage} req - 请求
+ * @param {object} options - 选项
+ * @param {string} options.host - 服务的监听地址
+ * @param {Array<string>} options.allowedHosts - 额外允许的主机名，如反向代理使用的域名，不检查端口
+ * @throws {HttpError} 主机名或端口不匹配时
+ */
+function checkHost(req, { host, allowedHosts }) {
+  const target = parseHost(req.headers.host || '');
+  if (target && allowedHosts.includes(target.hostname)) return;
+  
+  // 监听所有地址时允许本机名称和IP地址，IP地址不经过DNS解析，不会被重绑定
+  const wildcard = host === '0.0.0.0' || host === '::';
+  const allowed = target && target.port === req.socket.localPort && (
+    LOOPBACK_HOSTS.includes(target.hostname) ||
+    target.hostname === host ||
+    (wildcard && (target.hostname === os.hostname().toLowerCase() || net.isIP(target.hostname) !== 0))
+  );
+  if (!allowed) {
+    throw new HttpError(403, `不允许的Host: ${req.headers.host || ''}`);
+  }
+}
+
+/**
+ * 检查提交任务请求的来源和内容类型
+ * 浏览器跨站提交的表单和text/plain请求不会经过CORS预检，只接受application/json并要求Origin与Host一致
+ * @param {http.IncomingMessage} req - 请求
+ * @throws {HttpError} 来源或内容类型不符合时
+ */
+function checkPostRequest(req) {
+  const origin = req.headers.origin;
+  if (origin !== undefined) {
+    let originHost;
+    try {
+      originHost = new URL(origin).host;
+    } catch (error) {
+      originHost = null;
+    }
+    if (originHost !== (req.headers.host || '').toLowerCase()) {
+      throw new HttpError(403, `不允许跨站提交: ${origin}`);
+    }
+  }
+  
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw new HttpError(415, '请求内容类型必须为 application/json');
+  }
+}
+
+/**
+ * 以固定时间比较两个字符串，避免通过响应时间猜测令牌
+ * @param {string} actual - 请求中的值
+ * @param {string} expected - 期望的值
+ * @returns {boolean} 是否相同
+ */
+function safeEqual(actual, expected) {
+  const actualBuffer = Buffer.from(actual || '');
+  const expectedBuffer = Buffer.from(expected);
+  return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+/**
+ * 读取请求中的Cookie
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {object} Cookie名称到值的映射，值未解码
+ */
+function parseCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '').split(';')
+    .map(item => item.trim().split('='))
+    .filter(([name, ...value]) => name && value.length > 0)
+    .map(([name, ...value]) => [name, value.join('=')]));
+}
+
+/**
+ * 检查访问令牌
+ * 所有请求都可以在Authorization头中提供Bearer令牌；GET请求还可以使用 ?token= 查询参数或令牌Cookie，便于在浏览器中打开页面
+ * 提交任务的POST请求只接受Authorization头
+ * @param {http.IncomingMessage} req - 请求
+ * @param {string} token - 访问令牌，未设置时不检查
+ * @param {URLSearchParams} query - GET请求的查询参数，POST请求不传
+ * @returns {string|undefined} 令牌的来源: 'header'、'query' 或 'cookie'，未设置令牌时返回undefined
+ * @throws {HttpError} 令牌不匹配时
+ */
+function checkToken(req, token, query) {
+  if (!token) return undefined;
+  if (safeEqual(req.headers.authorization, `Bearer ${token}`)) return 'header';
+  if (query) {
+    if (safeEqual(query.get('token'), token)) return 'query';
+    if (safeEqual(parseCookies(req)[TOKEN_COOKIE], encodeURIComponent(token))) return 'cookie';
+    throw new HttpError(401, '需要有效的访问令牌，浏览器中可以在地址后加上 ?token=<令牌> 打开页面');
+  }
+  throw new HttpError(401, '需要有效的访问令牌');
+}
+
+/**
+ * 创建报告浏览服务
+ * @param {object} options - 选项
+ * @param {string} options.reportsDir - 报告根目录 (默认: './reports')
+ * @param {string} options.configPath - 配置文件路径，提交批量测试任务时需要
+ * @param {string} options.token - 访问令牌，设置后所有页面和接口都需要令牌，见checkToken
+ * @param {string} options.host - 监听地址，用于检查请求的Host头 (默认: '127.0.0.1')
+ * @param {Array<string>} options.allowedHosts - 额外允许的Host主机名，如反向代理使用的域名
+ * @returns {http.Server} HTTP服务，尚未监听端口
+ */
+function createDashboardServer(options = {}) {
+  const reportsDir = path.resolve(options.reportsDir || './reports');
+  const store = openStore(reportsDir);
+  const jobs = new JobQueue({ configPath: options.configPath, reportsDir });
+  const hostOptions = {
+    host: (options.host || '127.0.0.1').toLowerCase(),
+    allowedHosts: (options.allowedHosts || []).map(host => host.toLowerCase())
+  };
+  
+  const getRecord = id => {
+    const record = store.get(id);
+    if (!record) throw new HttpError(404, `未找到测试记录: ${id}`);
+    return record;
+  };
+  
+  const getJob = id => {
+    const job = jobs.get(id);
+    if (!job) throw new HttpError(404, `未找到任务: ${id}`);
+    return job;
+  };
+  
+  // 监控状态文件的位置与monitor命令一致，配置文件无效时使用默认位置
+  const monitorStatusPath = () => {
+    let statusFile;
+    try {
+      const config = jobs.loadConfig();
+      statusFile = config && config.monitor && config.monitor.statusFile;
+    } catch (error) {
+      statusFile = null;
+    }
+    return statusFile || path.join(reportsDir, STATUS_FILE);
+  };
+  
+  // 只提供测试记录和批量测试页面链接到的文件，登录状态等报告目录中的其他文件不对外提供
+  const isLinkedFile = relative => {
+    const segments = relative.split('/');
+    if (segments.includes('auth') || /^storage-state.*\.json$/i.test(segments[segments.length - 1])) return false;
+    if (segments.length === 2 && BATCH_FILES.includes(segments[1]) && store.query({ batchId: segments[0], includeErrors: true, limit: 1 }).length > 0) {
+      return true;
+    }
+    return store.query({ includeErrors: true }).some(record =>
+      LINKED_ARTIFACTS.some(name => record.artifacts && record.artifacts[name] === relative));
+  };
+  
+  // 与所选基准对比，基准只从该记录之前的同一网站记录中选择
+  const compareRecord = (record, baseline) => {
+    try {
+      parseBaseline(baseline);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (record.error) throw new HttpError(400, `测试记录 ${record.id} 是失败的测试，无法对比`);
+    const records = listHistory(record.url, { outputDir: reportsDir, to: record.timestamp })
+      .filter(candidate => candidate.timestamp <= record.timestamp);
+    const { baseline: baselineRecord, comparison } = compareWithBaseline(record, records, baseline);
+    if (!baselineRecord) throw new HttpError(404, `没有找到 ${record.id} 可对比的历史记录`);
+    return { baseline: baselineRecord, comparison };
+  };
+  
+  // 把查询参数转换为结果存储的查询条件
+  const parseRunFilters = query => {
+    const limit = query.get('limit') ? Number(query.get('limit')) : 100;
+    if (!Number.isInteger(limit) || limit < 1) throw new HttpError(400, `limit必须是正整数，当前值: ${query.get('limit')}`);
+    const filters = {
+      url: query.getAll('url').length > 0 ? query.getAll('url') : undefined,
+      from: query.get('from') || undefined,
+      to: query.get('to') || undefined,
+      tags: query.get('tag') ? query.get('tag').split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+      device: query.get('device') || undefined,
+      source: query.get('source') || undefined,
+      batchId: query.get('batch') || undefined,
+      includeErrors: query.get('errors') === 'true' || query.get('errors') === '1',
+      limit
+    };
+    ['from', 'to'].forEach(key => {
+      if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+        throw new HttpError(400, `无效的时间: ${filters[key]}`);
+      }
+    });
+    return filters;
+  };
+  
+  // 路由: [方法, 路径正则, 处理函数(请求信息, 路径参数)]，处理函数返回 { json } 、{ html } 或 { file }
+  const routes = [
+    ['GET', /^\/api\/sites$/, () => ({ json: listSites(store).map(site => ({ ...site, latest: site.latest && withLinks(site.latest) })) })],
+    ['GET', /^\/api\/runs$/, ({ query }) => ({ json: store.query(parseRunFilters(query)).map(withLinks) })],
+    ['GET', /^\/api\/runs\/([^/]+)$/, (request, [id]) => ({ json: withLinks(getRecord(id)) })],
+    ['GET', /^\/api\/runs\/([^/]+)\/compare$/, ({ query }, [id]) => {
+      const { baseline, comparison } = compareRecord(getRecord(id), query.get('baseline') || 'previous');
+      return { json: { baseline: withLinks(baseline), comparison } };
+    }],
+    ['GET', /^\/api\/batches$/, () => ({ json: listBatches(store, reportsDir) })],
+    ['GET', /^\/api\/batches\/([^/]+)$/, (request, [batchId]) => {
+      const records = store.query({ batchId, includeErrors: true, order: 'asc' });
+      if (records.length === 0) throw new HttpError(404, `未找到批量测试: ${batchId}`);
+      return { json: { batchId, results: records.map(record => ({ ...toBatchResult(store, record), links: withLinks(record).links })) } };
+    }],
+    ['GET', /^\/api\/monitor$/, () => {
+      const status = readMonitorStatus(monitorStatusPath());
+      if (!status) throw new HttpError(404, '没有监控状态文件');
+      return { json: status };
+    }],
+    ['GET', /^\/api\/jobs$/, () => ({ json: jobs.list() })],
+    ['GET', /^\/api\/jobs\/([^/]+)$/, (request, [id]) => ({ json: getJob(id) })],
+    ['POST', /^\/api\/jobs$/, ({ body }) => ({ status: 202, json: jobs.submit(body) })],
+    
+    ['GET', /^\/$/, () => {
+      const sites = listSites(store);
+      const siteRows = sites.map(site => `
+          <tr>
+            <td><a href="${escapeHtml(link('/site', { url: site.url, device: site.device }))}">${escapeHtml(site.name || site.url)}</a><br><small>${escapeHtml(site.url)}</small></td>
+            <td>${escapeHtml(site.device || '-')}</td>
+            ${site.latest ? Object.keys(CATEGORY_LABELS).map(category => scoreCell(site.latest.scores[category])).join('') : `<td colspan="${Object.keys(CATEGORY_LABELS).length}">没有成功的测试</td>`}
+            <td>${site.latest ? `<a href="/runs/${encodeURIComponent(site.latest.id)}">${escapeHtml(site.latest.date || site.latest.timestamp)}</a>` : '-'}</td>
+            <td>${site.runs}</td>
+          </tr>`).join('');
+      const siteTable = sites.length === 0 ? '<p>结果存储中还没有测试记录</p>' : `
+      <table>
+        <thead>
+          <tr>
+            <th>网站</th>
+            <th>设备</th>
+            ${Object.values(CATEGORY_LABELS).map(label => `<th>${label}</th>`).join('')}
+            <th>最近一次测试</th>
+            <th>记录数</th>
+          </tr>
+        </thead>
+        <tbody>${siteRows}
+        </tbody>
+      </table>`;
+      
+      const batches = listBatches(store, reportsDir);
+      const monitor = readMonitorStatus(monitorStatusPath());
+      const monitorSection = monitor ? `
+  <h2>定时监控</h2>
+  <ul>${monitor.jobs.map(job => `
+    <li>${escapeHtml(job.name)} (${escapeHtml(job.cron)}): ${job.lastRun
+    ? `上一次运行 <a href="/batches/${encodeURIComponent(job.lastRun.batchId)}">${escapeHtml(job.lastRun.status)}</a>，${escapeHtml(new Date(job.lastRun.finishedAt).toLocaleString())}`
+    : '尚未运行'}</li>`).join('')}
+  </ul>` : '';
+  
+      return {
+        html: renderPage('测试结果', `
+  <div class="summary-box">
+    <p><strong>报告目录:</strong> ${escapeHtml(reportsDir)}</p>
+    <p><strong>网站:</strong> ${sites.length}，<strong>批量测试:</strong> ${batches.length}</p>
+  </div>
+  <h2>网站</h2>
+  ${siteTable}
+  <h2>最近的批量测试</h2>
+  ${renderBatchList(batches.slice(0, 10))}
+  ${monitorSection}
+  ${JOB_FORM}
+  ${renderJobTable(jobs.list().slice(0, 10))}`)
+      };
+    }],
+    ['GET', /^\/site$/, ({ query }) => {
+      const url = query.get('url');
+      if (!url) throw new HttpError(400, '缺少url参数');
+      const records = store.query({ url, device: query.get('device') || undefined, includeErrors: true });
+      if (records.length === 0) throw new HttpError(404, `没有 ${url} 的测试记录`);
+      const name = records.find(record => record.name) ? records.find(record => record.name).name : url;
+      return { html: renderPage(name, `
+  <p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a>${query.get('device') ? `，设备: ${escapeHtml(query.get('device'))}` : ''}，共 ${records.length} 条记录</p>
+  ${renderRunTable(records)}`) };
+    }],
+    ['GET', /^\/runs$/, ({ query }) => {
+      const records = store.query({ ...parseRunFilters(query), includeErrors: true });
+      return { html: renderPage('测试记录', `
+  <p>最近 ${records.length} 条记录，可以使用与 <a href="/api/runs">/api/runs</a> 相同的查询参数过滤</p>
+  ${renderRunTable(records, { showSite: true })}`) };
+    }],
+    ['GET', /^\/runs\/([^/]+)$/, (request, [id]) => {
+      const record = getRecord(id);
+      const { links } = withLinks(record);
+      const metrics = Object.entries(record.metrics || {}).map(([key, metric]) => `
+          <tr><td>${escapeHtml(metric.title || key)}</td><td>${escapeHtml(metric.value || metric.numericValue)}</td></tr>`).join('');
+      const violations = record.budgetResult && !record.budgetResult.passed
+        ? `<h2>超出预算</h2><ul>${record.budgetResult.violations.map(violation => `<li>${escapeHtml(formatViolation(violation))}</li>`).join('')}</ul>`
+        : '';
+      const previous = record.error ? null : store.previous(record);
+      return { html: renderPage(record.name || record.url, `
+  <div class="summary-box">
+    <p><strong>URL:</strong> <a href="${escapeHtml(record.url)}">${escapeHtml(record.url)}</a></p>
+    <p><strong>测试时间:</strong> ${escapeHtml(record.date || record.timestamp)}，<strong>设备:</strong> ${escapeHtml(record.device || '-')}，<strong>来源:</strong> ${escapeHtml(record.source || '-')}${record.batchId ? `，<strong>批量测试:</strong> <a href="/batches/${encodeURIComponent(record.batchId)}">${escapeHtml(record.batchId)}</a>` : ''}</p>
+    <p><strong>记录id:</strong> ${escapeHtml(record.id)}${record.release ? `，<strong>版本:</strong> ${escapeHtml(record.release)}` : ''}${record.golden ? '，黄金基准' : ''}</p>
+    <p>${artifactLinks(record)}${previous ? ` · <a href="/runs/${encodeURIComponent(previous.id)}">上一次测试</a>` : ''} · <a href="${escapeHtml(links.api)}">JSON</a></p>
+  </div>
+  ${record.error ? `<p class="error-message">测试失败: ${escapeHtml(record.error)}</p>` : `
+  <table>
+    <thead><tr>${Object.values(CATEGORY_LABELS).map(label => `<th>${label}</th>`).join('')}<th>预算</th></tr></thead>
+    <tbody><tr>${Object.keys(CATEGORY_LABELS).map(category => scoreCell(record.scores[category])).join('')}${budgetCell(record)}</tr></tbody>
+  </table>
+  ${violations}
+  <h2>关键指标</h2>
+  <table>
+    <thead><tr><th>指标</th><th>值</th></tr></thead>
+    <tbody>${metrics}
+    </tbody>
+  </table>
+  ${record.visual ? `<h2>视觉回归</h2>
+  <p class="${record.visual.status === 'failed' || record.visual.status === 'error' ? 'error-message' : ''}">${escapeHtml(formatVisualResult(record.visual))}${links.baseline ? ` · <a href="${escapeHtml(links.baseline)}">基准截图</a>` : ''}</p>
+  ${links.diff ? `<a href="${escapeHtml(links.diff)}"><img class="screenshot" src="${escapeHtml(links.diff)}" alt="视觉回归对比图"></a>` : ''}` : ''}
+  ${links.screenshot ? `<h2>截图</h2><a href="${escapeHtml(links.screenshot)}"><img class="screenshot" src="${escapeHtml(links.screenshot)}" alt="网页截图"></a>` : ''}`}`) };
+    }],
+    ['GET', /^\/runs\/([^/]+)\/compare$/, ({ query }, [id]) => {
+      const { comparison } = compareRecord(getRecord(id), query.get('baseline') || 'previous');
+      return { html: renderComparisonHtml(comparison) };
+    }],
+    ['GET', /^\/batches$/, () => ({ html: renderPage('批量测试', renderBatchList(listBatches(store, reportsDir))) })],
+    ['GET', /^\/batches\/([^/]+)$/, (request, [batchId]) => {
+      const records = store.query({ batchId, includeErrors: true, order: 'asc' });
+      if (records.length === 0) throw new HttpError(404, `未找到批量测试: ${batchId}`);
+      const summaryLinks = BATCH_FILES
+        .filter(name => fs.existsSync(path.join(reportsDir, batchId, name)))
+        .map(name => `<a href="/files/${encodeURIComponent(batchId)}/${name}">${name}</a>`);
+      return { html: renderPage(`批量测试 ${batchId}`, `
+  <p>${summaryLinks.length > 0 ? `汇总报告: ${summaryLinks.join(' · ')}` : '没有汇总报告，定时监控的运行不生成汇总报告'}</p>
+  ${renderRunTable(records, { showSite: true })}`) };
+    }],
+    ['GET', /^\/jobs$/, () => ({ html: renderPage('任务', `${JOB_FORM}${renderJobTable(jobs.list())}`) })],
+    ['GET', /^\/jobs\/([^/]+)$/, (request, [id]) => {
+      const job = getJob(id);
+      const done = job.status === 'succeeded' || job.status === 'failed';
+      let resultHtml = '';
+      if (job.error) {
+        resultHtml = `<p class="error-message">${escapeHtml(job.error)}</p>`;
+      } else if (job.result && job.result.batchId) {
+        resultHtml = `<p><a href="${escapeHtml(job.result.links.page)}">查看批量测试 ${escapeHtml(job.result.batchId)}</a>：共 ${job.result.totalWebsites} 个网站，失败 ${job.result.failedTests}，超出预算 ${job.result.budgetFailures}</p>`;
+      } else if (job.result) {
+        resultHtml = `<ul>${job.result.records.map(record => `<li><a href="${escapeHtml(record.links.page)}">${escapeHtml(record.device || record.id)}</a>${record.error ? `：测试失败 ${escapeHtml(record.error)}` : ''}</li>`).join('')}</ul>`;
+      }
+      return {
+        html: renderPage(`任务 ${job.id}`, `
+  <div class="summary-box">
+    <p><strong>内容:</strong> ${job.type === 'test' ? `单页测试 ${escapeHtml(job.params.url)}` : '批量测试'}</p>
+    <p><strong>状态:</strong> ${escapeHtml(job.status)}${done ? '' : '（页面每5秒自动刷新）'}</p>
+    <p><strong>提交时间:</strong> ${escapeHtml(new Date(job.createdAt).toLocaleString())}${job.finishedAt ? `，<strong>结束时间:</strong> ${escapeHtml(new Date(job.finishedAt).toLocaleString())}` : ''}</p>
+  </div>
+  ${resultHtml}`, { refresh: done ? 0 : 5 })
+      };
+    }],
+    ['GET', /^\/files\/(.+)$/, (request, [relative]) => {
+      const filePath = path.resolve(reportsDir, relative);
+      if (!filePath.startsWith(reportsDir + path.sep) || !isLinkedFile(path.relative(reportsDir, filePath).split(path.sep).join('/')) ||
+          !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        throw new HttpError(404, `文件不存在: ${relative}`);
+      }
+      return { file: filePath };
+    }]
+  ];
+  
+  return http.createServer(async (req, res) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(requestUrl.pathname);
+    } catch (error) {
+      pathname = requestUrl.pathname;
+    }
+    const isApi = pathname.startsWith('/api/');
+    
+    const send = (status, contentType, content) => {
+      res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+      res.end(content);
+    };
+    
+    try {
+      checkHost(req, hostOptions);
+      const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+      if (matching.length === 0) throw new HttpError(404, `页面不存在: ${pathname}`);
+      const route = matching.find(([method]) => method === req.method || (method === 'GET' && req.method === 'HEAD'));
+      if (!route) throw new HttpError(405, `不支持的请求方法: ${req.method}`);
+      
+      const [method, pattern, handler] = route;
+      let body;
+      if (method === 'POST') {
+        checkPostRequest(req);
+        checkToken(req, options.token);
+        body = await readBody(req);
+      } else if (checkToken(req, options.token, requestUrl.searchParams) === 'query' && !isApi) {
+        // 浏览器通过查询参数提供令牌时保存到Cookie，并跳转到去掉令牌的地址，避免令牌留在地址栏和历史记录中
+        requestUrl.searchParams.delete('token');
+        res.writeHead(302, {
+          'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(options.token)}; Path=/; HttpOnly; SameSite=Strict`,
+          Location: requestUrl.pathname + requestUrl.search,
+          'Cache-Control': 'no-store'
+        });
+        res.end();
+        return;
+      }
+      const response = handler({ query: requestUrl.searchParams, body }, pattern.exec(pathname).slice(1));
+      
+      if (response.file) {
+        const contentType = CONTENT_TYPES[path.extname(response.file).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': fs.statSync(response.file).size });
+        if (req.method === 'HEAD') {
+          res.end();
+        } else {
+          fs.createReadStream(response.file).pipe(res);
+        }
+      } else if (response.json !== undefined) {
+        send(response.status || 200, 'application/json; charset=utf-8', JSON.stringify(response.json, null, 2));
+      } else {
+        send(response.status || 200, 'text/html; charset=utf-8', response.html);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error(`[服务] 处理 ${req.method} ${req.url} 时发生错误:`, error);
+      if (isApi) {
+        send(status, 'application/json; charset=utf-8', JSON.stringify({ error: error.message }));
+      } else {
+        send(status, 'text/html; charset=utf-8', renderPage('出错了', `<p class="error-message">${escapeHtml(error.message)}</p>`));
+      }
+    }
+  });
+}
+
+/**
+ * 启动报告浏览服务
+ * @param {object} options - 同createDashboardServer，另有:
+ * @param {number} options.port - 端口 (默认: 8080)
+ * @param {string} options.host - 监听地址 (默认: '127.0.0.1'，只允许本机访问)，不是本机地址时必须设置token
+ * @returns {Promise<object>} { server, url }
+ */
+function startDashboard(options = {}) {
+  const port = options.port === undefined ? 8080 : options.port;
+  const host = options.host || '127.0.0.1';
+  if (!options.token && !LOOPBACK_HOSTS.includes(host)) {
+    return Promise.reject(new Error(`监听地址 ${host} 对其他机器开放，必须设置访问令牌`));
+  }
+  const server = createDashboardServer(options);
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      const address = server.address();
+      const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+      resolve({ server, url: `http://${displayHost.includes(':') ? `[${displayHost}]` : displayHost}:${address.port}/` });
+    });
+  });
+}
+
+module.exports = {
+  JOB_TEST_OPTIONS,
+  JobQueue,
+  createDashboardServer,
+  startDashboard
+};
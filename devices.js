@@ -0,0 +1,187 @@
+/**
+ * 设备预设
+ * 为Lighthouse审计和Playwright截图提供一致的设备模拟设置
+ */
+
+// 内置设备预设，移动端参数与Lighthouse默认的Moto G Power配置一致
+const DEVICE_PRESETS = {
+  mobile: {
+    formFactor: 'mobile',
+    screen: {
+      width: 412,
+      height: 823,
+      deviceScaleFactor: 1.75,
+      mobile: true
+    },
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36',
+    throttling: {
+      rttMs: 150,
+      throughputKbps: 1638.4,
+      cpuSlowdownMultiplier: 4,
+      requestLatencyMs: 562.5,
+      downloadThroughputKbps: 1474.56,
+      uploadThroughputKbps: 675
+    }
+  },
+  tablet: {
+    formFactor: 'mobile',
+    screen: {
+      width: 800,
+      height: 1280,
+      deviceScaleFactor: 2,
+      mobile: true
+    },
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    throttling: {
+      rttMs: 150,
+      throughputKbps: 1638.4,
+      cpuSlowdownMultiplier: 2,
+      requestLatencyMs: 562.5,
+      downloadThroughputKbps: 1474.56,
+      uploadThroughputKbps: 675
+    }
+  },
+  desktop: {
+    formFactor: 'desktop',
+    screen: {
+      width: 1350,
+      height: 940,
+      deviceScaleFactor: 1,
+      mobile: false
+    },
+    hasTouch: false,
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    throttling: {
+      rttMs: 40,
+      throughputKbps: 10240,
+      cpuSlowdownMultiplier: 1,
+      requestLatencyMs: 0,
+      downloadThroughputKbps: 0,
+      uploadThroughputKbps: 0
+    }
+  }
+};
+
+const DEFAULT_DEVICE = 'desktop';
+
+/**
+ * 获取预设继承的基础预设名称
+ * @param {object} preset - 预设定义
+ * @returns {string} 基础预设名称
+ */
+function getBaseName(preset) {
+  return preset.extends || (preset.formFactor === 'mobile' ? 'mobile' : DEFAULT_DEVICE);
+}
+
+/**
+ * 获取自定义预设的继承链
+ * 与内置预设同名的自定义预设继承自身名称时继承的是内置预设，不算循环
+ * @param {string} name - 预设名称
+ * @param {object} customPresets - 自定义预设
+ * @returns {object} { chain, cycle }，chain为依次继承的预设名称，存在循环继承或继承自身时cycle为true
+ */
+function getPresetChain(name, customPresets = {}) {
+  const chain = [name];
+  let current = name;
+  while (customPresets[current] && typeof customPresets[current] === 'object') {
+    const baseName = getBaseName(customPresets[current]);
+    if (baseName === current && DEVICE_PRESETS[current]) break;
+    if (chain.includes(baseName)) {
+      return { chain: [...chain, baseName], cycle: true };
+    }
+    chain.push(baseName);
+    current = baseName;
+  }
+  return { chain, cycle: false };
+}
+
+/**
+ * 获取设备预设
+ * 自定义预设可以通过extends继承内置预设，只覆盖需要修改的字段
+ * @param {string|object} device - 预设名称或预设对象
+ * @param {object} customPresets - 自定义预设 { 名称: 预设 }
+ * @returns {object} 完整的设备预设，包含name字段
+ */
+function getDevicePreset(device = DEFAULT_DEVICE, customPresets = {}) {
+  if (typeof device === 'object') {
+    return normalizePreset(device.name || 'custom', device, customPresets);
+  }
+  
+  const preset = (customPresets && customPresets[device]) || DEVICE_PRESETS[device];
+  if (!preset) {
+    const available = [...Object.keys(DEVICE_PRESETS), ...Object.keys(customPresets || {})];
+    throw new Error(`未知的设备预设: ${device}，可选值: ${available.join(', ')}`);
+  }
+  const { chain, cycle } = getPresetChain(device, customPresets);
+  if (cycle) {
+    throw new Error(`设备预设循环继承: ${chain.join(' -> ')}`);
+  }
+  return normalizePreset(device, preset, customPresets);
+}
+
+/**
+ * 将预设与其继承的基础预设合并
+ * @param {string} name - 预设名称
+ * @param {object} preset - 预设定义
+ * @param {object} customPresets - 自定义预设
+ * @returns {object} 合并后的预设
+ */
+function normalizePreset(name, preset, customPresets) {
+  const baseName = getBaseName(preset);
+  const base = baseName === name && DEVICE_PRESETS[name] ? DEVICE_PRESETS[name] : getDevicePreset(baseName, customPresets);
+  const { extends: _extends, ...overrides } = preset;
+  
+  return {
+    ...base,
+    ...overrides,
+    name,
+    screen: { ...base.screen, ...overrides.screen },
+    throttling: { ...base.throttling, ...overrides.throttling }
+  };
+}
+
+/**
+ * 转换为Lighthouse的设备模拟设置
+ * @param {object} preset - getDevicePreset返回的预设
+ * @returns {object} Lighthouse设置
+ */
+function toLighthouseSettings(preset) {
+  return {
+    formFactor: preset.formFactor,
+    screenEmulation: {
+      mobile: preset.screen.mobile,
+      width: preset.screen.width,
+      height: preset.screen.height,
+      deviceScaleFactor: preset.screen.deviceScaleFactor,
+      disabled: false
+    },
+    emulatedUserAgent: preset.userAgent,
+    throttling: preset.throttling
+  };
+}
+
+/**
+ * 转换为Playwright浏览器上下文选项
+ * @param {object} preset - getDevicePreset返回的预设
+ * @returns {object} browser.newContext选项
+ */
+function toPlaywrightContextOptions(preset) {
+  return {
+    viewport: { width: preset.screen.width, height: preset.screen.height },
+    deviceScaleFactor: preset.screen.deviceScaleFactor,
+    isMobile: preset.screen.mobile,
+    hasTouch: preset.hasTouch,
+    userAgent: preset.userAgent
+  };
+}
+
+module.exports = {
+  DEVICE_PRESETS,
+  DEFAULT_DEVICE,
+  getDevicePreset,
+  getPresetChain,
+  toLighthouseSettings,
+  toPlaywrightContextOptions
+};
@@ -0,0 +1,252 @@
+/**
+ * 版本对比的历史记录
+ * 在结果存储中保存和读取每次测试的记录，并按基准规则选出对比对象
+ */
+const path = require('path');
+const { openStore, recordRun, getStorePath } = require('./result-store.js');
+
+// 可选的对比基准类型
+const BASELINE_TYPES = ['previous', 'record', 'golden', 'best', 'release'];
+
+/**
+ * 获取网站的历史记录目录
+ * 早期版本在这里为每次测试保存一个history-*.json文件，现在历史记录保存在结果存储中
+ * @param {string} url - 网站URL
+ * @param {string} outputDir - 报告根目录 (默认: './reports')
+ * @returns {string} 历史记录目录
+ */
+function getHistoryDir(url, outputDir = './reports') {
+  return path.join(outputDir, new URL(url).hostname.replace('www.', ''), 'history');
+}
+
+/**
+ * 保存测试结果到历史记录
+ * 历史记录保存在结果存储中，见result-store.js
+ * @param {string} url - 网站URL
+ * @param {object} results - runFullTest返回的测试结果
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 报告根目录 (默认: './reports')
+ * @param {string} options.release - 为这条记录标记的发布版本名称
+ * @param {object} options.testOptions - 本次测试的选项，用于计算配置哈希，其中的budget用于趋势报告的预算线
+ * @returns {object} 保存的历史记录
+ */
+function saveToHistory(url, results, options = {}) {
+  console.log('保存测试结果到历史记录...');
+  const record = recordRun(url, results, {
+    source: 'compare',
+    outputDir: options.outputDir,
+    release: options.release,
+    testOptions: options.testOptions
+  });
+  console.log(`历史记录已保存: ${record.id} (${getStorePath(options.outputDir)})`);
+  return record;
+}
+
+/**
+ * 读取网站的全部历史记录
+ * 来自缓存的结果与原记录相同，不计入历史
+ * @param {string} url - 网站URL
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 报告根目录 (默认: './reports')
+ * @param {Date|string|number} options.from - 起始时间
+ * @param {Date|string|number} options.to - 结束时间
+ * @returns {Array<object>} 按时间降序排列的历史记录
+ */
+function listHistory(url, options = {}) {
+  return openStore(options.outputDir)
+    .query({ url, from: options.from, to: options.to })
+    .filter(record => !record.run || !record.run.cached);
+}
+
+/**
+ * 列出有历史记录的全部URL
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 报告根目录 (默认: './reports')
+ * @returns {Array<string>} 按字母排序的URL
+ */
+function listHistoryUrls(options = {}) {
+  return openStore(options.outputDir).listUrls();
+}
+
+/**
+ * 获取历史记录附带文件的路径
+ * @param {string} url - 网站URL
+ * @param {object} record - 历史记录
+ * @param {string} name - 文件类型: report、summary、screenshot
+ * @param {object} options - 选项，同listHistory
+ * @returns {string|null} 绝对路径，记录中没有该文件时返回null
+ */
+function getArtifactPath(url, record, name, options = {}) {
+  return openStore(options.outputDir).resolveArtifact(record, name);
+}
+
+/**
+ * 获取最近的历史记录
+ * @param {string} url - 网站URL
+ * @param {number} count - 要获取的记录数量
+ * @param {object} options - 选项，同listHistory
+ * @returns {Array} 历史记录数组
+ */
+function getRecentHistory(url, count = 1, options = {}) {
+  console.log(`获取最近 ${count} 条历史记录...`);
+  
+  const records = listHistory(url, options).slice(0, count);
+  if (records.length === 0) {
+    console.log('未找到历史记录');
+  }
+  return records;
+}
+
+/**
+ * 更新历史记录中的字段
+ * @param {string} url - 网站URL
+ * @param {string} recordId - 历史记录id
+ * @param {object} changes - 要写入的字段
+ * @param {object} options - 选项，同listHistory
+ * @returns {object} 更新后的记录
+ */
+function updateHistoryRecord(url, recordId, changes, options = {}) {
+  const store = openStore(options.outputDir);
+  const record = store.get(recordId);
+  if (!record || record.url !== url) {
+    throw new Error(`未找到历史记录: ${recordId}`);
+  }
+  return store.update(recordId, changes);
+}
+
+/**
+ * 将历史记录标记为发布版本
+ * @param {string} url - 网站URL
+ * @param {string} recordId - 历史记录id
+ * @param {string} release - 发布版本名称，如 v2.3.0
+ * @param {object} options - 选项，同listHistory
+ * @returns {object} 更新后的记录
+ */
+function tagRelease(url, recordId, release, options = {}) {
+  const record = updateHistoryRecord(url, recordId, { release }, options);
+  console.log(`历史记录 ${recordId} 已标记为发布版本 ${release}`);
+  return record;
+}
+
+/**
+ * 将历史记录固定为黄金基准，之后可以始终与这次测试对比
+ * 每个URL和设备只有一个黄金基准，再次固定时替换同一设备原来的记录
+ * @param {string} url - 网站URL
+ * @param {string} recordId - 历史记录id
+ * @param {object} options - 选项，同listHistory
+ * @returns {object} 更新后的记录
+ */
+function pinGolden(url, recordId, options = {}) {
+  const target = openStore(options.outputDir).get(recordId);
+  const device = target && target.device;
+  listHistory(url, options)
+    .filter(record => record.golden && record.id !== recordId && record.device === device)
+    .forEach(record => updateHistoryRecord(url, record.id, { golden: false }, options));
+  
+  const record = updateHistoryRecord(url, recordId, { golden: true }, options);
+  console.log(`历史记录 ${recordId} 已固定为黄金基准`);
+  return record;
+}
+
+/**
+ * 解析基准描述
+ * 支持对象形式，也支持字符串简写: previous、golden、record:<id>、best:<天数>、release:<版本>
+ * @param {string|object} baseline - 基准描述
+ * @returns {object} { type, id, days, category, release }
+ */
+function parseBaseline(baseline = 'previous') {
+  if (typeof baseline === 'object') {
+    return { type: 'previous', ...baseline };
+  }
+  
+  const separator = baseline.indexOf(':');
+  const type = separator === -1 ? baseline : baseline.slice(0, separator);
+  const value = separator === -1 ? undefined : baseline.slice(separator + 1);
+  
+  switch (type) {
+    case 'previous':
+    case 'golden':
+      return { type };
+    case 'record':
+      return { type, id: value };
+    case 'best':
+      if (value !== undefined && !/^[1-9]\d*$/.test(value)) {
+        throw new Error(`无效的对比基准: ${baseline}，best后的天数应为正整数`);
+      }
+      return { type, days: value ? Number(value) : 30 };
+    case 'release':
+      return { type, release: value };
+    default:
+      throw new Error(`未知的对比基准: ${baseline}，可选值: ${BASELINE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * 从历史记录中选出对比基准
+ * @param {Array<object>} records - 按时间降序排列的历史记录，不包含当前记录
+ * @param {string|object} baseline - 基准描述，见parseBaseline
+ * @param {object} currentRecord - 当前记录，用于只与相同设备的记录对比
+ * @returns {object|null} 基准记录，找不到时返回null
+ */
+function selectBaseline(records, baseline, currentRecord = {}) {
+  const spec = parseBaseline(baseline);
+  const candidates = records.filter(record =>
+    record.id !== currentRecord.id &&
+    (!currentRecord.device || !record.device || record.device === currentRecord.device)
+  );
+  
+  switch (spec.type) {
+    case 'previous':
+      return candidates[0] || null;
+    case 'record':
+      if (!spec.id) throw new Error('record基准需要指定历史记录id');
+      return candidates.find(record => record.id === spec.id || record.timestamp === spec.id) || null;
+    case 'golden':
+      return candidates.find(record => record.golden) || null;
+    case 'release':
+      if (!spec.release) throw new Error('release基准需要指定发布版本名称');
+      return candidates.find(record => record.release === spec.release) || null;
+    case 'best': {
+      // 最近N天内指定类别得分最高的一次
+      const category = spec.category || 'performance';
+      const since = Date.now() - (spec.days || 30) * 24 * 60 * 60 * 1000;
+      return candidates
+        .filter(record => new Date(record.timestamp).getTime() >= since && record.scores[category] !== undefined)
+        .reduce((best, record) => (!best || record.scores[category] > best.scores[category] ? record : best), null);
+    }
+    default:
+      throw new Error(`未知的对比基准: ${spec.type}，可选值: ${BASELINE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * 描述对比基准，用于日志和报告
+ * @param {string|object} baseline - 基准描述
+ * @returns {string} 说明文字
+ */
+function describeBaseline(baseline) {
+  const spec = parseBaseline(baseline);
+  switch (spec.type) {
+    case 'record': return `历史记录 ${spec.id}`;
+    case 'golden': return '黄金基准';
+    case 'best': return `最近 ${spec.days || 30} 天内${spec.category || 'performance'}得分最高的一次`;
+    case 'release': return `发布版本 ${spec.release}`;
+    default: return '上一次测试';
+  }
+}
+
+module.exports = {
+  BASELINE_TYPES,
+  getHistoryDir,
+  saveToHistory,
+  listHistory,
+  listHistoryUrls,
+  getArtifactPath,
+  getRecentHistory,
+  updateHistoryRecord,
+  tagRelease,
+  pinGolden,
+  parseBaseline,
+  selectBaseline,
+  describeBaseline
+};
@@ -1,8 +1,29 @@
 const { chromium } = require('playwright');
 const chromeLauncher = require('chrome-launcher');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const url = require('url');
+const { evaluateBudget, printBudgetResult } = require('./budget.js');
+const { runSetupScript, applyStorageState } = require('./auth.js');
+const { launchSharedBrowser } = require('./browser.js');
+const { getDevicePreset, toLighthouseSettings, toPlaywrightContextOptions } = require('./devices.js');
+const { selectMedianRun, aggregateRuns } = require('./aggregate.js');
+const { formatMetricValue } = require('./metrics.js');
+const { writeSarifReport } = require('./sarif-report.js');
+const { resolveVisualOptions, compareScreenshot, formatVisualResult } = require('./visual-regression.js');
+
+// 需要记录的关键性能指标
+const KEY_METRICS = [
+  'first-contentful-paint',
+  'largest-contentful-paint',
+  'speed-index',
+  'total-blocking-time',
+  'cumulative-layout-shift',
+  'interactive',
+  'server-response-time',
+  'max-potential-fid'
+];
 
 // 由于Lighthouse是ES模块，我们需要创建一个包装函数来使用它
 async function getLighthouse() {
@@ -15,10 +36,105 @@ async function getLighthouse() {
   }
 }
 
+/**
+ * 从Lighthouse结果中提取得分、关键指标和可访问性问题，不输出日志
+ * 返回的结构与runLighthouseTest结果中的对应字段一致
+ * @param {object} lhr - Lighthouse结果(lhr)
+ * @returns {object} { scores, metrics, accessibilityIssues }
+ */
+function summarizeLhr(lhr) {
+  const scores = {};
+  Object.keys(lhr.categories).forEach(key => {
+    // 时间跨度和快照模式下部分类别没有得分
+    if (lhr.categories[key].score !== null) {
+      scores[key] = lhr.categories[key].score * 100;
+    }
+  });
+  
+  const metrics = {};
+  KEY_METRICS.forEach(metric => {
+    const audit = lhr.audits[metric];
+    if (audit && audit.scoreDisplayMode !== 'notApplicable') {
+      metrics[metric] = {
+        title: audit.title,
+        value: audit.displayValue,
+        numericValue: audit.numericValue,
+        numericUnit: audit.numericUnit,
+        score: audit.score,
+        description: audit.description
+      };
+    }
+  });
+  
+  const accessibilityIssues = Object.values(lhr.audits)
+    .filter(audit => audit.group === 'accessibility' && audit.score !== 1);
+  
+  return { scores, metrics, accessibilityIssues };
+}
+
+/**
+ * 列出可访问性类别下的全部审计及其结果，用于JUnit等逐项报告
+ * @param {object} lhr - Lighthouse结果(lhr)
+ * @returns {Array<object>} [{ id, title, score, scoreDisplayMode, weight, items }]，未测试可访问性时为空数组
+ */
+function collectAccessibilityAudits(lhr) {
+  const category = lhr.categories && lhr.categories.accessibility;
+  if (!category || !category.auditRefs) return [];
+  
+  return category.auditRefs
+    .filter(ref => lhr.audits[ref.id])
+    .map(ref => {
+      const audit = lhr.audits[ref.id];
+      return {
+        id: ref.id,
+        title: audit.title,
+        score: audit.score,
+        scoreDisplayMode: audit.scoreDisplayMode,
+        weight: ref.weight,
+        items: audit.details?.items?.length || 0
+      };
+    });
+}
+
+/**
+ * 生成Lighthouse运行参数
+ * Lighthouse只读取顶层的设置项，嵌套的settings对象会被忽略，所以节流等参数都放在顶层
+ * @param {object} config - runLighthouseTest合并后的配置
+ * @param {object} deviceSettings - toLighthouseSettings返回的设备模拟参数
+ * @param {number} port - Chrome远程调试端口
+ * @returns {object} 传给lighthouse()的flags
+ */
+function buildLighthouseFlags(config, deviceSettings, port) {
+  return {
+    logLevel: 'info',
+    output: config.outputFormat,
+    onlyCategories: config.onlyCategories,
+    port,
+    // 多次运行时每次审计前清除缓存，避免后续运行命中前一次的热缓存
+    disableStorageReset: config.runs <= 1,
+    throttlingMethod: 'simulate',
+    throttling: { ...deviceSettings.throttling, ...config.throttling },
+    maxWaitForLoad: 60000, // 增加页面加载等待时间
+    formFactor: deviceSettings.formFactor,
+    screenEmulation: deviceSettings.screenEmulation,
+    emulatedUserAgent: deviceSettings.emulatedUserAgent,
+    extraHeaders: config.headers,
+    // 添加额外的设置以解决导航标记问题
+    skipAudits: ['uses-http2']
+  };
+}
+
 /**
  * 使用Playwright和Lighthouse衡量网页性能和识别可访问性问题
  * @param {string} url - 要测试的网页URL
  * @param {object} options - 配置选项
+ * @param {string|object} options.storageState - 登录态，审计前注入到Chrome中
+ * @param {object} options.sharedBrowser - launchSharedBrowser返回的共享浏览器，提供时不再单独启动Chrome
+ * @param {string|object} options.device - 设备预设名称或预设对象 (默认: 'desktop')
+ * @param {object} options.devicePresets - 自定义设备预设
+ * @param {number} options.runs - 审计次数，大于1时选用中位数运行并记录各得分和指标的统计值 (默认: 1)
+ * @param {object} options.headers - 审计请求附加的HTTP请求头
+ * @param {object} options.throttling - 覆盖设备预设中的节流参数
  */
 async function runLighthouseTest(testUrl, options = {}) {
   console.log(`开始测试网页: ${testUrl}`);
@@ -29,10 +145,14 @@ async function runLighthouseTest(testUrl, options = {}) {
     outputFormat: 'html',
     onlyCategories: ['performance', 'accessibility', 'best-practices', 'seo'],
     port: 9222,
-    createUrlSubDir: true
+    createUrlSubDir: true,
+    device: 'desktop',
+    runs: 1
   };
   
   const config = { ...defaultOptions, ...options };
+  const device = getDevicePreset(config.device, config.devicePresets);
+  const deviceSettings = toLighthouseSettings(device);
   
   // 创建基于URL的子目录
   let outputDir = config.outputDir;
@@ -53,30 +173,42 @@ async function runLighthouseTest(testUrl, options = {}) {
   
   let chrome;
   try {
-    // 启动Chrome
-    console.log('启动Chrome浏览器...');
-    chrome = await chromeLauncher.launch({
-      chromeFlags: [
-        '--headless',
-        '--disable-gpu',
-        '--no-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-extensions',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-background-networking',
-        '--disable-component-update',
-        '--disable-client-side-phishing-detection'
-      ],
-      logLevel: 'error',
-      connectionPollInterval: 500,
-      maxConnectionRetries: 15,
-      startingPort: config.port,
-      chromeStartupTimeout: 120000 // 增加Chrome启动超时时间到120秒
-    });
+    if (config.sharedBrowser) {
+      // 使用共享的Playwright Chromium，进程由调用方管理
+      console.log('使用共享的Playwright Chromium运行Lighthouse...');
+      chrome = { port: config.sharedBrowser.port, external: true };
+    } else {
+      // 启动Chrome
+      console.log('启动Chrome浏览器...');
+      chrome = await chromeLauncher.launch({
+        chromeFlags: [
+          '--headless',
+          '--disable-gpu',
+          '--no-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-extensions',
+          '--disable-component-extensions-with-background-pages',
+          '--disable-background-networking',
+          '--disable-component-update',
+          '--disable-client-side-phishing-detection'
+        ],
+        logLevel: 'error',
+        connectionPollInterval: 500,
+        maxConnectionRetries: 15,
+        startingPort: config.port,
+        chromeStartupTimeout: 120000 // 增加Chrome启动超时时间到120秒
+      });
+      
+      // 确保Chrome已完全启动
+      console.log(`Chrome已启动，调试端口: ${chrome.port}`);
+      await new Promise(resolve => setTimeout(resolve, 3000)); // 增加等待时间
+    }
     
-    // 确保Chrome已完全启动
-    console.log(`Chrome已启动，调试端口: ${chrome.port}`);
-    await new Promise(resolve => setTimeout(resolve, 3000)); // 增加等待时间
+    // 注入登录态
+    if (config.storageState) {
+      console.log('注入登录态到Chrome...');
+      await applyStorageState(chrome.port, config.storageState);
+    }
     
     // 获取Lighthouse模块
     const lighthouse = await getLighthouse();
@@ -84,112 +216,104 @@ async function runLighthouseTest(testUrl, options = {}) {
       throw new Error('无法加载Lighthouse模块');
     }
     
-    // 配置Lighthouse选项
-    const lighthouseOptions = {
-      logLevel: 'info',
-      output: config.outputFormat,
-      onlyCategories: config.onlyCategories,
-      port: chrome.port,
-      disableStorageReset: true,
-      throttlingMethod: 'simulate',
-      maxWaitForLoad: 60000, // 增加页面加载等待时间
-      formFactor: 'desktop',
-      screenEmulation: {
-        mobile: false,
-        width: 1350,
-        height: 940,
-        deviceScaleFactor: 1,
-        disabled: false,
-      },
-      emulatedUserAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/98.0.4758.102 Safari/537.36',
-      // 添加额外的设置以解决导航标记问题
-      skipAudits: ['uses-http2'],
-      settings: {
-        onlyAudits: null,
-        onlyCategories: config.onlyCategories,
-        skipAudits: ['uses-http2'],
-        maxWaitForLoad: 60000,
-        throttlingMethod: 'simulate',
-        throttling: {
-          rttMs: 40,
-          throughputKbps: 10240,
-          cpuSlowdownMultiplier: 1,
-          requestLatencyMs: 0,
-          downloadThroughputKbps: 0,
-          uploadThroughputKbps: 0
-        }
-      }
-    };
+    // 配置Lighthouse选项，设备模拟参数来自设备预设
+    console.log(`设备预设: ${device.name}`);
+    const lighthouseOptions = buildLighthouseFlags(config, deviceSettings, chrome.port);
     
     // 运行Lighthouse审计，添加重试机制
     console.log('运行Lighthouse审计...');
     console.log(`使用端口 ${chrome.port} 连接到Chrome...`);
     
-    let runnerResult;
-    let retryCount = 0;
-    const maxRetries = 2;
-    
-    while (retryCount <= maxRetries) {
-      try {
-        console.log(`Lighthouse审计尝试 ${retryCount + 1}/${maxRetries + 1}`);
-        runnerResult = await lighthouse(testUrl, lighthouseOptions);
-        break; // 成功则跳出循环
-      } catch (lhError) {
-        console.error(`Lighthouse审计失败 (尝试 ${retryCount + 1}/${maxRetries + 1}):`, lhError.message);
-        
-        if (lhError.message.includes('start lh:driver:navigate')) {
-          console.log('检测到导航标记问题，调整配置后重试...');
-          // 调整配置以解决导航标记问题
-          lighthouseOptions.settings = {
-            ...lighthouseOptions.settings,
-            skipAudits: ['uses-http2', 'screenshot-thumbnails', 'full-page-screenshot'],
-            throttlingMethod: 'provided',
-            throttling: {
-              rttMs: 0,
-              throughputKbps: 0,
-              cpuSlowdownMultiplier: 1
-            }
-          };
-        }
-        
-        if (retryCount < maxRetries) {
-          retryCount++;
-          // 指数退避策略
-          const waitTime = Math.pow(2, retryCount) * 2000;
-          console.log(`等待 ${waitTime/1000} 秒后重试...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+    // 多次运行以降低单次审计的波动
+    const runnerResults = [];
+    for (let run = 1; run <= config.runs; run++) {
+      if (config.runs > 1) {
+        console.log(`\nLighthouse第 ${run}/${config.runs} 次运行`);
+      }
+      
+      let runnerResult;
+      let retryCount = 0;
+      const maxRetries = 2;
+      
+      while (retryCount <= maxRetries) {
+        try {
+          console.log(`Lighthouse审计尝试 ${retryCount + 1}/${maxRetries + 1}`);
+          runnerResult = await lighthouse(testUrl, lighthouseOptions);
+          break; // 成功则跳出循环
+        } catch (lhError) {
+          console.error(`Lighthouse审计失败 (尝试 ${retryCount + 1}/${maxRetries + 1}):`, lhError.message);
           
-          // 重启Chrome以确保干净的环境
-          try {
-            await chrome.kill();
-            console.log('重启Chrome浏览器...');
-            chrome = await chromeLauncher.launch({
-              chromeFlags: [
-                '--headless',
-                '--disable-gpu',
-                '--no-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-extensions'
-              ],
-              logLevel: 'error',
-              connectionPollInterval: 500,
-              maxConnectionRetries: 15,
-              startingPort: config.port
+          if (lhError.message.includes('start lh:driver:navigate')) {
+            console.log('检测到导航标记问题，调整配置后重试...');
+            // 调整配置以解决导航标记问题
+            Object.assign(lighthouseOptions, {
+              skipAudits: ['uses-http2', 'screenshot-thumbnails', 'full-page-screenshot'],
+              throttlingMethod: 'provided',
+              throttling: {
+                rttMs: 0,
+                throughputKbps: 0,
+                cpuSlowdownMultiplier: 1
+              }
             });
-            lighthouseOptions.port = chrome.port;
-            console.log(`Chrome已重启，新调试端口: ${chrome.port}`);
-            await new Promise(resolve => setTimeout(resolve, 3000));
-          } catch (restartError) {
-            console.error('重启Chrome失败:', restartError.message);
           }
-        } else {
-          throw lhError; // 重试次数用尽，抛出错误
+          
+          if (retryCount < maxRetries) {
+            retryCount++;
+            // 指数退避策略
+            const waitTime = Math.pow(2, retryCount) * 2000;
+            console.log(`等待 ${waitTime/1000} 秒后重试...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+            
+            // 共享浏览器由调用方管理，不重启
+            if (chrome.external) {
+              continue;
+            }
+            
+            // 重启Chrome以确保干净的环境
+            try {
+              await chrome.kill();
+              console.log('重启Chrome浏览器...');
+              chrome = await chromeLauncher.launch({
+                chromeFlags: [
+                  '--headless',
+                  '--disable-gpu',
+                  '--no-sandbox',
+                  '--disable-dev-shm-usage',
+                  '--disable-extensions'
+                ],
+                logLevel: 'error',
+                connectionPollInterval: 500,
+                maxConnectionRetries: 15,
+                startingPort: config.port
+              });
+              lighthouseOptions.port = chrome.port;
+              console.log(`Chrome已重启，新调试端口: ${chrome.port}`);
+              await new Promise(resolve => setTimeout(resolve, 3000));
+              if (config.storageState) {
+                await applyStorageState(chrome.port, config.storageState);
+              }
+            } catch (restartError) {
+              console.error('重启Chrome失败:', restartError.message);
+            }
+          } else {
+            throw lhError; // 重试次数用尽，抛出错误
+          }
         }
       }
+      
+      if (!runnerResult) {
+        throw new Error('Lighthouse审计未返回结果');
+      }
+      runnerResults.push(runnerResult);
     }
     
-    if (!runnerResult) {
-      throw new Error('Lighthouse审计未返回结果');
+    // 选出中位数运行作为代表报告，并统计各次运行的得分和指标
+    const lhrs = runnerResults.map(result => result.lhr);
+    const medianRunIndex = selectMedianRun(lhrs);
+    const runnerResult = runnerResults[medianRunIndex];
+    const stats = runnerResults.length > 1 ? aggregateRuns(lhrs, KEY_METRICS) : null;
+    if (stats) {
+      console.log(`\n共运行 ${runnerResults.length} 次，选用第 ${medianRunIndex + 1} 次作为中位数运行`);
     }
     
     // 处理报告
@@ -205,36 +329,30 @@ async function runLighthouseTest(testUrl, options = {}) {
       const scores = {};
       const categories = runnerResult.lhr.categories;
       
-      // 收集所有类别的分数
+      // 收集所有类别的分数，多次运行时使用中位数
       Object.keys(categories).forEach(key => {
-        scores[key] = categories[key].score * 100;
+        scores[key] = stats && stats.scores[key] ? stats.scores[key].median : categories[key].score * 100;
         console.log(`${categories[key].title}评分: ${scores[key].toFixed(1)}`);
       });
       
       // 输出性能指标
       console.log('\n主要性能指标:');
       const metrics = runnerResult.lhr.audits;
-      const keyMetrics = [
-        'first-contentful-paint',
-        'largest-contentful-paint',
-        'speed-index',
-        'total-blocking-time',
-        'cumulative-layout-shift',
-        'interactive',
-        'server-response-time',
-        'max-potential-fid'
-      ];
       
       const metricsData = {};
-      keyMetrics.forEach(metric => {
+      KEY_METRICS.forEach(metric => {
         if (metrics[metric]) {
+          // 多次运行时数值取各次的中位数，显示值也由中位数格式化，不使用中位数运行的displayValue
+          const median = stats && stats.metrics[metric] ? stats.metrics[metric].median : null;
           metricsData[metric] = {
             title: metrics[metric].title,
-            value: metrics[metric].displayValue,
+            value: median !== null ? formatMetricValue(median, metrics[metric].numericUnit) : metrics[metric].displayValue,
+            numericValue: median !== null ? median : metrics[metric].numericValue,
+            numericUnit: metrics[metric].numericUnit,
             score: metrics[metric].score,
             description: metrics[metric].description
           };
-          console.log(`- ${metrics[metric].title}: ${metrics[metric].displayValue}`);
+          console.log(`- ${metrics[metric].title}: ${metricsData[metric].value}`);
           if (metrics[metric].score < 0.9) {
             console.log(`  改进建议: ${metrics[metric].description}`);
           }
@@ -262,23 +380,38 @@ async function runLighthouseTest(testUrl, options = {}) {
       // 创建JSON摘要报告
       const summaryData = {
         url: testUrl,
+        device: device.name,
         timestamp,
+        runs: runnerResults.length,
         scores,
         metrics: metricsData,
         accessibilityIssues: accessibilityIssues.map(issue => ({
           title: issue.title,
           description: issue.description,
           impact: issue.details?.items?.length || 0
-        }))
+        })),
+        accessibilityAudits: collectAccessibilityAudits(runnerResult.lhr)
       };
+      if (stats) {
+        summaryData.medianRun = medianRunIndex + 1;
+        summaryData.stats = stats;
+      }
       
       const summaryPath = path.join(outputDir, `summary-${timestamp}.json`);
       fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2));
       console.log(`摘要报告已保存至: ${summaryPath}`);
       
+      // 未通过的可访问性和最佳实践审计导出为SARIF，可上传到代码扫描工具
+      const sarif = writeSarifReport(runnerResult.lhr, path.join(outputDir, `findings-${timestamp}.sarif`), { device: device.name });
+      console.log(`SARIF报告已保存至: ${sarif.filePath}（${sarif.results} 条结果）`);
+      
       return {
         filePath,
         summaryPath,
+        sarifPath: sarif.filePath,
+        device: device.name,
+        runs: runnerResults.length,
+        stats,
         scores,
         metrics: metricsData,
         accessibilityIssues
@@ -290,8 +423,8 @@ async function runLighthouseTest(testUrl, options = {}) {
     console.error('Lighthouse测试失败:', error);
     throw error; // 重新抛出错误以便调用者处理
   } finally {
-    // 关闭Chrome
-    if (chrome) {
+    // 关闭Chrome（共享浏览器由调用方关闭）
+    if (chrome && !chrome.external) {
       try {
         await chrome.kill();
         console.log('Chrome浏览器已关闭');
@@ -307,6 +440,13 @@ async function runLighthouseTest(testUrl, options = {}) {
  * @param {string} url - 要截图的网页URL
  * @param {string} outputPath - 截图保存路径
  * @param {object} options - 截图选项
+ * @param {string|object} options.storageState - 登录态，用于创建截图上下文
+ * @param {object} options.sharedBrowser - launchSharedBrowser返回的共享浏览器，提供时不再单独启动浏览器
+ * @param {string|object} options.device - 设备预设名称或预设对象，决定视口、缩放比例和UA (默认: 'desktop')
+ * @param {number} options.deviceScaleFactor - 覆盖设备预设中的缩放比例
+ * @param {object} options.headers - 页面请求附加的HTTP请求头
+ * @param {Array<string>} options.mask - 截图时遮盖的元素选择器
+ * @param {string} options.animations - 为 'disabled' 时截图前停止CSS动画和过渡
  * @returns {Promise<string>} 截图保存路径
  */
 async function captureScreenshot(url, outputPath, options = {}) {
@@ -322,13 +462,23 @@ async function captureScreenshot(url, outputPath, options = {}) {
     fullPage: true,
     timeout: 60000, // 增加默认超时时间到60秒
     waitUntil: 'domcontentloaded', // 改为更可靠的导航完成条件
-    deviceScaleFactor: 1,
-    retryCount: 2 // 添加重试次数
+    retryCount: 2, // 添加重试次数
+    device: 'desktop'
   };
   
-  const screenshotOptions = { ...defaultOptions, ...options };
+  const { sharedBrowser, ...rest } = options;
+  const screenshotOptions = { ...defaultOptions, ...rest };
+  const contextOptions = toPlaywrightContextOptions(
+    getDevicePreset(screenshotOptions.device, screenshotOptions.devicePresets)
+  );
+  if (screenshotOptions.deviceScaleFactor) {
+    contextOptions.deviceScaleFactor = screenshotOptions.deviceScaleFactor;
+  }
+  if (screenshotOptions.headers) {
+    contextOptions.extraHTTPHeaders = screenshotOptions.headers;
+  }
   
-  const browser = await chromium.launch({
+  const browser = sharedBrowser ? sharedBrowser.browser : await chromium.launch({
     args: ['--disable-dev-shm-usage', '--no-sandbox'] // 添加更稳定的启动参数
   });
   
@@ -339,8 +489,8 @@ async function captureScreenshot(url, outputPath, options = {}) {
     while (retryAttempt <= screenshotOptions.retryCount) {
       try {
         const context = await browser.newContext({
-          deviceScaleFactor: screenshotOptions.deviceScaleFactor,
-          viewport: { width: 1280, height: 720 } // 设置一个标准视口大小
+          ...contextOptions,
+          storageState: screenshotOptions.storageState
         });
         const page = await context.newPage();
         
@@ -384,7 +534,9 @@ async function captureScreenshot(url, outputPath, options = {}) {
         // 捕获截图
         await page.screenshot({ 
           path: outputPath, 
-          fullPage: screenshotOptions.fullPage 
+          fullPage: screenshotOptions.fullPage,
+          ...(screenshotOptions.animations && { animations: screenshotOptions.animations }),
+          ...(screenshotOptions.mask && { mask: screenshotOptions.mask.map(selector => page.locator(selector)) })
         });
         
         console.log(`截图已保存至: ${outputPath}`);
@@ -417,7 +569,10 @@ async function captureScreenshot(url, outputPath, options = {}) {
     
     throw lastError; // 如果所有重试都失败，抛出最后一个错误
   } finally {
-    await browser.close();
+    // 共享浏览器由调用方关闭
+    if (!sharedBrowser) {
+      await browser.close();
+    }
   }
 }
 
@@ -425,6 +580,17 @@ async function captureScreenshot(url, outputPath, options = {}) {
  * 运行完整的网页测试，包括截图和Lighthouse性能分析
  * @param {string} testUrl - 要测试的网页URL
  * @param {object} options - 测试选项
+ * @param {object} options.budget - 性能预算 { scores, metrics }，提供时检查测试结果是否超出预算
+ * @param {string|Function} options.setup - 登录脚本路径或函数，测试前运行一次并保存登录态
+ * @param {string} options.storageState - 已有的登录态文件路径，未提供setup时使用
+ * @param {string} options.browser - 浏览器模式: 'chrome-launcher' 为截图和审计分别启动浏览器，
+ *   'playwright' 启动一个Playwright Chromium供登录脚本、截图和审计共用
+ * @param {string|object} options.device - 设备预设名称或预设对象，截图和审计使用相同的设备模拟 (默认: 'desktop')
+ * @param {object} options.devicePresets - 自定义设备预设
+ * @param {number} options.runs - 每个URL的Lighthouse审计次数 (默认: 1)
+ * @param {object} options.headers - 截图和审计请求附加的HTTP请求头
+ * @param {object} options.throttling - 覆盖设备预设中的Lighthouse节流参数
+ * @param {object} options.visualRegression - 视觉回归测试选项，启用时将截图与基准截图比较，见visual-regression.js
  * @returns {Promise<object>} 测试结果
  */
 async function runFullTest(testUrl, options = {}) {
@@ -435,10 +601,15 @@ async function runFullTest(testUrl, options = {}) {
     outputFormat: 'html',
     createUrlSubDir: true,
     categories: ['performance', 'accessibility', 'best-practices', 'seo'],
-    captureScreenshot: true
+    captureScreenshot: true,
+    browser: 'chrome-launcher',
+    device: 'desktop',
+    runs: 1
   };
   
   const config = { ...defaultOptions, ...options };
+  const device = getDevicePreset(config.device, config.devicePresets);
+  const visualOptions = resolveVisualOptions(config.visualRegression);
   
   // 创建基于URL的子目录
   let outputDir = config.outputDir;
@@ -457,14 +628,53 @@ async function runFullTest(testUrl, options = {}) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
   
+  let sharedBrowser;
+  let authDir;
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const results = {};
+    const results = { device: device.name };
+    
+    // 使用Playwright Chromium时，整个测试只启动一个浏览器进程
+    if (config.browser === 'playwright') {
+      sharedBrowser = await launchSharedBrowser();
+    }
     
-    // 捕获截图
+    // 运行登录脚本，截图和Lighthouse共用同一份登录态
+    // 登录态保存在本次测试独有的临时目录中，并行测试互不覆盖，测试结束后删除
+    let storageState = config.storageState;
+    if (config.setup) {
+      authDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lighthouse-auth-'));
+      storageState = await runSetupScript(config.setup, testUrl, path.join(authDir, 'storage-state.json'), { sharedBrowser });
+    }
+    
+    // 捕获截图，启用视觉回归测试时停止动画并遮盖动态内容，减少与基准截图的无关差异
     if (config.captureScreenshot) {
       const screenshotPath = path.join(outputDir, `screenshot-${timestamp}.png`);
-      results.screenshotPath = await captureScreenshot(testUrl, screenshotPath);
+      results.screenshotPath = await captureScreenshot(testUrl, screenshotPath, {
+        ...config.screenshotOptions,
+        ...(visualOptions && { animations: 'disabled', mask: visualOptions.mask }),
+        storageState,
+        sharedBrowser,
+        device,
+        headers: config.headers
+      });
+      
+      // 与基准截图比较
+      if (visualOptions) {
+        results.visual = compareScreenshot(testUrl, results.screenshotPath, {
+          ...visualOptions,
+          device,
+          baselineDir: visualOptions.baselineDir || path.join(config.outputDir, 'baselines'),
+          outputDir,
+          timestamp
+        });
+        console.log(`视觉回归: ${formatVisualResult(results.visual)}`);
+        if (results.visual.diffPath) {
+          console.log(`对比图: ${results.visual.diffPath}`);
+        }
+      }
+    } else if (visualOptions) {
+      console.warn('未启用截图，跳过视觉回归测试');
     }
     
     // 运行Lighthouse测试
@@ -472,15 +682,55 @@ async function runFullTest(testUrl, options = {}) {
       outputDir,
       outputFormat: config.outputFormat,
       onlyCategories: config.categories,
-      createUrlSubDir: false // 已经创建了子目录
+      createUrlSubDir: false, // 已经创建了子目录
+      storageState,
+      sharedBrowser,
+      device,
+      runs: config.runs,
+      headers: config.headers,
+      throttling: config.throttling
     });
     
+    // 检查性能预算
+    if (config.budget) {
+      console.log('\n性能预算检查:');
+      results.budget = evaluateBudget(results.lighthouse, config.budget);
+      printBudgetResult(testUrl, results.budget);
+    }
+    
     console.log('\n测试完成!');
     return results;
   } catch (error) {
     console.error('测试过程中发生错误:', error);
     throw error;
+  } finally {
+    if (sharedBrowser) {
+      await sharedBrowser.close();
+    }
+    if (authDir) {
+      fs.rmSync(authDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * 使用多个设备预设依次运行完整测试
+ * @param {string} testUrl - 要测试的网页URL
+ * @param {object} options - 测试选项，同runFullTest
+ * @param {Array<string|object>} options.devices - 设备预设列表
+ * @returns {Promise<object>} { url, devices: { 预设名称: runFullTest结果 } }
+ */
+async function runMultiDeviceTest(testUrl, options = {}) {
+  const { devices = ['desktop'], ...testOptions } = options;
+  const results = { url: testUrl, devices: {} };
+  
+  for (const device of devices) {
+    const preset = getDevicePreset(device, testOptions.devicePresets);
+    console.log(`\n===== 设备预设: ${preset.name} =====`);
+    results.devices[preset.name] = await runFullTest(testUrl, { ...testOptions, device: preset });
   }
+  
+  return results;
 }
 
 // 如果直接运行此脚本
@@ -503,5 +753,10 @@ module.exports = {
   runLighthouseTest,
   captureScreenshot,
   runFullTest,
-  getLighthouse
+  runMultiDeviceTest,
+  summarizeLhr,
+  collectAccessibilityAudits,
+  buildLighthouseFlags,
+  getLighthouse,
+  KEY_METRICS
 };
\ No newline at end of file
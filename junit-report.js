@@ -0,0 +1,227 @@
+/**
+ * JUnit XML报告
+ * 将批量测试结果转换为CI系统可以直接展示的JUnit XML：每个网站是一个测试套件，
+ * 每个类别得分、指标预算、视觉回归和可访问性审计是一个测试用例，测试出错的网站记为error
+ */
+const fs = require('fs');
+const path = require('path');
+const { formatViolation } = require('./budget.js');
+const { toBaseUnit, formatMetricValue } = require('./metrics.js');
+const { readSummaryFile } = require('./result-store.js');
+const { formatVisualResult } = require('./visual-regression.js');
+
+/**
+ * 转义XML文本和属性值
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(value) {
+  return String(value)
+    // 去掉XML 1.0不允许的控制字符
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 生成可访问性审计的测试用例
+ * 摘要中有accessibilityAudits时每个审计一个用例；早期摘要只记录了未通过的问题，只为这些问题生成用例
+ * @param {object|null} summary - 摘要数据
+ * @returns {Array<object>} 测试用例
+ */
+function buildAccessibilityCases(summary) {
+  if (!summary) return [];
+  
+  if (Array.isArray(summary.accessibilityAudits)) {
+    return summary.accessibilityAudits.map(audit => {
+      const testCase = { classname: 'accessibility', name: audit.id };
+      if (audit.score === null || audit.scoreDisplayMode === 'notApplicable' || audit.scoreDisplayMode === 'manual') {
+        testCase.skipped = audit.scoreDisplayMode === 'manual' ? '需要人工检查' : '不适用';
+      } else if (audit.score < 1) {
+        testCase.failure = {
+          type: 'accessibility',
+          message: `${audit.title}: 得分 ${audit.score} 低于要求 1${audit.items ? `，影响 ${audit.items} 个元素` : ''}`
+        };
+      }
+      return testCase;
+    });
+  }
+  
+  return (summary.accessibilityIssues || []).map(issue => ({
+    classname: 'accessibility',
+    name: issue.title,
+    failure: {
+      type: 'accessibility',
+      message: `${issue.title}: 未通过${issue.impact ? `，影响 ${issue.impact} 个元素` : ''}`,
+      details: issue.description
+    }
+  }));
+}
+
+/**
+ * 生成单个网站的测试套件
+ * @param {object} result - 批量测试结果条目
+ * @returns {object} { name, properties, cases }
+ */
+function buildSuite(result) {
+  const suite = {
+    name: `${result.name || result.url}${result.device ? ` (${result.device})` : ''}`,
+    properties: { url: result.url, device: result.device, recordId: result.recordId, report: result.reportPath },
+    cases: []
+  };
+  
+  if (result.error) {
+    suite.cases.push({
+      classname: 'lighthouse',
+      name: '测试运行',
+      error: { type: 'error', message: result.error }
+    });
+    return suite;
+  }
+  
+  const summary = readSummaryFile(result.summaryPath);
+  const limits = result.budgetLimits || {};
+  const violations = result.budget ? result.budget.violations : [];
+  const findViolation = (type, key) => violations.find(violation => violation.type === type && violation.key === key);
+  
+  // 类别得分：有得分预算时比较预算，否则只记录得分
+  Object.entries(result.scores || {}).forEach(([category, score]) => {
+    const testCase = { classname: 'scores', name: category, output: `得分 ${score.toFixed(1)}` };
+    const limit = limits.scores && limits.scores[category];
+    if (limit !== undefined) {
+      testCase.output += `，预算 ${limit}`;
+    }
+    const violation = findViolation('score', category);
+    if (violation) {
+      testCase.failure = { type: 'budget', message: formatViolation(violation) };
+    }
+    suite.cases.push(testCase);
+  });
+  
+  // 指标预算：每个设置了上限的指标一个用例，通过时从摘要中读取实际值
+  Object.entries(limits.metrics || {}).forEach(([metric, limit]) => {
+    const testCase = { classname: 'budget', name: metric };
+    const violation = findViolation('metric', metric);
+    if (violation) {
+      testCase.failure = { type: 'budget', message: formatViolation(violation) };
+    } else {
+      const actual = toBaseUnit(summary && summary.metrics && summary.metrics[metric]);
+      testCase.output = actual ? `实际 ${formatMetricValue(actual.value, actual.unit)}，预算 ${formatMetricValue(limit, actual.unit)}` : `预算 ${limit}`;
+    }
+    suite.cases.push(testCase);
+  });
+  
+  // 视觉回归：未通过记为failure，比较出错记为error
+  if (result.visual) {
+    const testCase = { classname: 'visual', name: '截图对比', output: formatVisualResult(result.visual) };
+    if (result.visual.status === 'failed') {
+      testCase.failure = { type: 'visual', message: formatVisualResult(result.visual), details: result.visual.diffPath ? `对比图: ${result.visual.diffPath}` : undefined };
+    } else if (result.visual.status === 'error') {
+      testCase.error = { type: 'visual', message: result.visual.error };
+    }
+    suite.cases.push(testCase);
+  }
+  
+  suite.cases.push(...buildAccessibilityCases(summary));
+  return suite;
+}
+
+/**
+ * 渲染单个测试用例
+ * @param {object} testCase - 测试用例
+ * @param {string} suiteName - 所属套件名称
+ * @returns {string} XML片段
+ */
+function renderCase(testCase, suiteName) {
+  const attributes = `name="${escapeXml(testCase.name)}" classname="${escapeXml(`${suiteName}.${testCase.classname}`)}" time="0"`;
+  const children = [];
+  
+  if (testCase.error) {
+    children.push(`<error message="${escapeXml(testCase.error.message)}" type="${testCase.error.type}">${escapeXml(testCase.error.message)}</error>`);
+  }
+  if (testCase.failure) {
+    const body = testCase.failure.details ? `${testCase.failure.message}\n${testCase.failure.details}` : testCase.failure.message;
+    children.push(`<failure message="${escapeXml(testCase.failure.message)}" type="${testCase.failure.type}">${escapeXml(body)}</failure>`);
+  }
+  if (testCase.skipped) {
+    children.push(`<skipped message="${escapeXml(testCase.skipped)}"/>`);
+  }
+  if (testCase.output) {
+    children.push(`<system-out>${escapeXml(testCase.output)}</system-out>`);
+  }
+  
+  if (children.length === 0) {
+    return `    <testcase ${attributes}/>`;
+  }
+  return `    <testcase ${attributes}>\n${children.map(child => `      ${child}`).join('\n')}\n    </testcase>`;
+}
+
+/**
+ * 统计套件中各类用例的数量
+ * @param {Array<object>} cases - 测试用例
+ * @returns {object} { tests, failures, errors, skipped }
+ */
+function countCases(cases) {
+  return {
+    tests: cases.length,
+    failures: cases.filter(testCase => testCase.failure).length,
+    errors: cases.filter(testCase => testCase.error).length,
+    skipped: cases.filter(testCase => testCase.skipped).length
+  };
+}
+
+/**
+ * 生成JUnit XML
+ * @param {Array<object>} results - 批量测试结果，与batch-summary.json中的results相同
+ * @param {object} options - 选项
+ * @param {string} options.name - 根节点名称 (默认: 'lighthouse')
+ * @param {string} options.timestamp - 测试时间，ISO格式 (默认: 当前时间)
+ * @returns {string} XML内容
+ */
+function renderJUnitXml(results, options = {}) {
+  const timestamp = options.timestamp || new Date().toISOString();
+  const suites = results.map(buildSuite);
+  const total = countCases(suites.flatMap(suite => suite.cases));
+  
+  const suiteXml = suites.map(suite => {
+    const counts = countCases(suite.cases);
+    const properties = Object.entries(suite.properties)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`);
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="0" timestamp="${timestamp.replace(/\.\d+Z$/, '')}">`,
+      ...(properties.length > 0 ? ['    <properties>', ...properties, '    </properties>'] : []),
+      ...suite.cases.map(testCase => renderCase(testCase, suite.name)),
+      '  </testsuite>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(options.name || 'lighthouse')}" tests="${total.tests}" failures="${total.failures}" errors="${total.errors}" skipped="${total.skipped}" time="0">`,
+    ...suiteXml,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * 保存JUnit XML报告
+ * @param {Array<object>} results - 批量测试结果
+ * @param {string} filePath - 输出文件路径
+ * @param {object} options - 同renderJUnitXml
+ * @returns {string} 输出文件路径
+ */
+function writeJUnitReport(results, filePath, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, renderJUnitXml(results, options));
+  return filePath;
+}
+
+module.exports = {
+  renderJUnitXml,
+  writeJUnitReport
+};
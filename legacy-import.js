@@ -0,0 +1,445 @@
+/**
+ * 导入早期版本的结果文件
+ * 扫描reports目录中的history-*.json、summary-*.json和batch-summary.json，
+ * 将不同时期的结构统一为结果存储的记录结构，合并同一次测试在多个文件中的数据并去重
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { SCHEMA_VERSION, openStore } = require('./result-store.js');
+
+// 同一次测试的摘要文件和历史记录之间允许的最大时间差，历史记录在测试完成后才保存
+const HISTORY_MATCH_WINDOW = 10 * 60 * 1000;
+
+// 截图在Lighthouse测试之前捕获，截图与摘要文件之间允许的最大时间差
+const SCREENSHOT_MATCH_WINDOW = 5 * 60 * 1000;
+
+// 没有单位的指标，其余指标的显示值按时间解析
+const UNITLESS_METRICS = ['cumulative-layout-shift'];
+
+/**
+ * 将文件名中的时间转换为ISO时间，如 2024-06-01T08-00-00-000Z -> 2024-06-01T08:00:00.000Z
+ * @param {string} value - 文件名中的时间
+ * @returns {string|null} ISO时间，格式不符时返回null
+ */
+function parseFileTimestamp(value) {
+  const match = /(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(value || '');
+  return match ? `${match[1]}:${match[2]}:${match[3]}.${match[4]}Z` : null;
+}
+
+/**
+ * 解析Lighthouse的显示值，用于早期只保存了displayValue的指标
+ * @param {string} metricId - 指标ID
+ * @param {string} displayValue - 显示值，如 "1.2 s"、"850 ms"、"0.05"
+ * @returns {object|null} { numericValue, numericUnit }，无法解析时返回null
+ */
+function parseDisplayValue(metricId, displayValue) {
+  if (typeof displayValue !== 'string') return null;
+  const text = displayValue.replace(/\u00a0/g, ' ').replace(/,/g, '');
+  
+  if (UNITLESS_METRICS.includes(metricId)) {
+    const match = /(\d+(?:\.\d+)?)/.exec(text);
+    return match ? { numericValue: Number(match[1]), numericUnit: 'unitless' } : null;
+  }
+  
+  const match = /(\d+(?:\.\d+)?)\s*(ms|s)\b/.exec(text);
+  if (!match) return null;
+  const value = Number(match[1]);
+  return { numericValue: match[2] === 's' ? value * 1000 : value, numericUnit: 'millisecond' };
+}
+
+/**
+ * 统一指标结构，补充缺少的numericValue和numericUnit
+ * @param {object} metrics - 早期记录中的指标
+ * @returns {object} 指标 { id: { title, value, numericValue, numericUnit, score } }
+ */
+function normalizeMetrics(metrics) {
+  if (!metrics || typeof metrics !== 'object') return {};
+  return Object.fromEntries(Object.entries(metrics).map(([id, metric]) => {
+    if (!metric || typeof metric !== 'object') {
+      return [id, { value: metric }];
+    }
+    if (typeof metric.numericValue === 'number') {
+      return [id, metric];
+    }
+    return [id, { ...metric, ...parseDisplayValue(id, metric.value) }];
+  }));
+}
+
+/**
+ * 读取JSON文件，支持优化版批量测试压缩后的.gz文件
+ * @param {string} filePath - 文件路径
+ * @returns {*} 解析后的内容
+ */
+function readJsonFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const text = filePath.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+  return JSON.parse(text);
+}
+
+/**
+ * 递归列出目录中的全部文件
+ * @param {string} dir - 目录
+ * @returns {Array<string>} 绝对路径
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+  });
+}
+
+/**
+ * 按文件类型整理扫描到的文件
+ * 同时存在x.json和x.json.gz时只使用未压缩的文件
+ * @param {string} reportsDir - 报告根目录
+ * @returns {object} { history, summaries, batches, byName }
+ */
+function scanReports(reportsDir) {
+  const files = listFiles(reportsDir);
+  const existing = new Set(files);
+  const usable = files.filter(file => !(file.endsWith('.gz') && existing.has(file.slice(0, -3))));
+  const byName = new Map();
+  usable.forEach(file => {
+    const name = path.basename(file).replace(/\.gz$/, '');
+    if (!byName.has(name)) byName.set(name, file);
+  });
+  
+  const isJson = file => /\.json(\.gz)?$/.test(file);
+  return {
+    history: usable.filter(file => isJson(file) && /^history-/.test(path.basename(file))),
+    summaries: usable.filter(file => isJson(file) && /^summary-/.test(path.basename(file))),
+    batches: usable.filter(file => /^batch-summary\.json(\.gz)?$/.test(path.basename(file))),
+    byName
+  };
+}
+
+/**
+ * 查找早期记录中的文件路径
+ * 早期记录中的路径相对于运行时的工作目录，这里按文件名在扫描结果中查找
+ * @param {string} filePath - 记录中的路径
+ * @param {Map} byName - scanReports返回的文件名索引
+ * @returns {string|null} 绝对路径
+ */
+function findLegacyFile(filePath, byName) {
+  if (!filePath) return null;
+  if (path.isAbsolute(filePath) && fs.existsSync(filePath)) return filePath;
+  return byName.get(path.basename(filePath).replace(/\.gz$/, '')) || null;
+}
+
+/**
+ * 查找摘要文件对应的Lighthouse报告和截图
+ * 报告与摘要文件使用相同的时间戳，截图在同一目录中且时间稍早
+ * @param {string} summaryFile - 摘要文件路径
+ * @param {string} timestamp - 文件名中的时间戳
+ * @param {Map} byName - scanReports返回的文件名索引
+ * @returns {object} { report, screenshot }
+ */
+function findSummaryArtifacts(summaryFile, timestamp, byName) {
+  const report = ['html', 'json'].map(ext => byName.get(`lighthouse-${timestamp}.${ext}`)).find(Boolean) || null;
+  
+  const dir = path.dirname(summaryFile);
+  const summaryTime = new Date(parseFileTimestamp(timestamp)).getTime();
+  let screenshot = null;
+  let closest = Infinity;
+  byName.forEach((file, name) => {
+    if (!name.startsWith('screenshot-') || path.dirname(file) !== dir) return;
+    const time = new Date(parseFileTimestamp(name)).getTime();
+    const gap = summaryTime - time;
+    if (gap >= 0 && gap <= SCREENSHOT_MATCH_WINDOW && gap < closest) {
+      closest = gap;
+      screenshot = file;
+    }
+  });
+  return { report, screenshot };
+}
+
+/**
+ * 解析摘要文件
+ * @param {string} file - summary-*.json路径
+ * @param {Map} byName - 文件名索引
+ * @returns {object} 导入条目
+ * @throws {Error} 无法识别时
+ */
+function parseSummaryFile(file, byName) {
+  const data = readJsonFile(file);
+  if (!data || typeof data !== 'object' || !data.url || !data.scores) {
+    throw new Error('缺少url或scores字段');
+  }
+  const fileTimestamp = /summary-(.+?)\.json/.exec(path.basename(file))[1];
+  const timestamp = parseFileTimestamp(data.timestamp) || parseFileTimestamp(fileTimestamp);
+  if (!timestamp) {
+    throw new Error('无法确定测试时间');
+  }
+  
+  const { report, screenshot } = findSummaryArtifacts(file, fileTimestamp, byName);
+  return {
+    key: file,
+    timestamp,
+    record: {
+      url: data.url,
+      device: data.device,
+      scores: data.scores,
+      metrics: normalizeMetrics(data.metrics),
+      runs: data.runs || 1,
+      stats: data.stats,
+      accessibilityIssues: Array.isArray(data.accessibilityIssues) ? data.accessibilityIssues.length : undefined
+    },
+    artifacts: { summary: file, report, screenshot }
+  };
+}
+
+/**
+ * 解析历史记录文件
+ * @param {string} file - history-*.json路径
+ * @returns {object} 导入条目
+ * @throws {Error} 无法识别时
+ */
+function parseHistoryFile(file) {
+  const data = readJsonFile(file);
+  if (!data || typeof data !== 'object' || !data.url || !data.scores) {
+    throw new Error('缺少url或scores字段');
+  }
+  const timestamp = data.timestamp || parseFileTimestamp(path.basename(file));
+  if (!timestamp || Number.isNaN(new Date(timestamp).getTime())) {
+    throw new Error('无法确定测试时间');
+  }
+  
+  // 较新的历史记录保存了相对于history目录的文件路径
+  const historyDir = path.dirname(file);
+  const artifacts = Object.fromEntries(
+    Object.entries(data.artifacts || {}).map(([name, relative]) => [name, path.resolve(historyDir, relative)])
+  );
+  return {
+    key: file,
+    timestamp,
+    record: {
+      url: data.url,
+      device: data.device,
+      release: data.release,
+      golden: data.golden || undefined,
+      budget: data.budget,
+      scores: data.scores,
+      metrics: normalizeMetrics(data.metrics),
+      runs: data.runs || 1,
+      stats: data.stats
+    },
+    artifacts
+  };
+}
+
+/**
+ * 解析批量测试汇总文件
+ * @param {string} file - batch-summary.json路径
+ * @param {Map} byName - 文件名索引
+ * @returns {Array<object>} 每个网站的导入条目
+ * @throws {Error} 无法识别时
+ */
+function parseBatchFile(file, byName) {
+  const data = readJsonFile(file);
+  if (!data || !Array.isArray(data.results)) {
+    throw new Error('缺少results数组');
+  }
+  const batchId = path.basename(path.dirname(file));
+  const batchTimestamp = data.timestamp || parseFileTimestamp(batchId);
+  
+  return data.results.map((result, index) => {
+    if (!result || !result.url) {
+      throw new Error(`results[${index}]缺少url字段`);
+    }
+    const report = findLegacyFile(result.reportPath, byName);
+    const reportTimestamp = report ? (/lighthouse-(.+?)\.(?:html|json)/.exec(path.basename(report)) || [])[1] : null;
+    // 报告与摘要文件使用相同的时间戳，可以用来与摘要文件合并
+    const summary = reportTimestamp ? byName.get(`summary-${reportTimestamp}.json`) || null : null;
+    return {
+      key: summary || `${file}#${index}`,
+      // 新版本的批量汇总记录了结果存储中的记录id
+      recordId: result.recordId,
+      timestamp: parseFileTimestamp(reportTimestamp) || batchTimestamp,
+      record: {
+        url: result.url,
+        name: result.name,
+        tags: result.tags,
+        device: result.device,
+        batchId,
+        scores: result.scores,
+        runs: result.runs,
+        stats: result.stats,
+        budgetResult: result.budget,
+        error: result.error
+      },
+      artifacts: { report, summary, screenshot: findLegacyFile(result.screenshotPath, byName) }
+    };
+  });
+}
+
+/**
+ * 将历史记录条目与同一次测试的摘要文件对应起来
+ * 优先使用历史记录中保存的摘要路径，否则选同一URL、得分相同且时间在历史记录之前最近的摘要
+ * @param {object} entry - 历史记录条目
+ * @param {Array<object>} summaries - 摘要文件条目
+ * @returns {string} 合并使用的键
+ */
+function matchHistoryEntry(entry, summaries) {
+  if (entry.artifacts.summary) {
+    const summary = findSummaryKey(entry.artifacts.summary, summaries);
+    if (summary) return summary;
+  }
+  
+  const historyTime = new Date(entry.timestamp).getTime();
+  const sameScores = (a, b) => Object.keys(a).every(category => a[category] === b[category]);
+  const candidates = summaries
+    .filter(summary =>
+      summary.record.url === entry.record.url &&
+      sameScores(entry.record.scores, summary.record.scores))
+    .map(summary => ({ summary, gap: historyTime - new Date(summary.timestamp).getTime() }))
+    .filter(({ gap }) => gap >= 0 && gap <= HISTORY_MATCH_WINDOW)
+    .sort((a, b) => a.gap - b.gap);
+  return candidates.length > 0 ? candidates[0].summary.key : entry.key;
+}
+
+/**
+ * 按路径查找摘要条目的键
+ * @param {string} summaryPath - 摘要文件路径
+ * @param {Array<object>} summaries - 摘要文件条目
+ * @returns {string|null} 键
+ */
+function findSummaryKey(summaryPath, summaries) {
+  const name = path.basename(summaryPath).replace(/\.gz$/, '');
+  const found = summaries.find(summary => path.basename(summary.key).replace(/\.gz$/, '') === name);
+  return found ? found.key : null;
+}
+
+/**
+ * 合并同一次测试的多个条目，先出现的字段优先
+ * @param {Array<object>} entries - 导入条目，按摘要、历史记录、批量汇总的顺序
+ * @returns {object} { timestamp, record, artifacts, files }
+ */
+function mergeEntries(entries) {
+  const merged = { timestamp: null, record: {}, artifacts: {}, files: [] };
+  entries.forEach(entry => {
+    merged.timestamp = merged.timestamp || entry.timestamp;
+    Object.entries(entry.record).forEach(([key, value]) => {
+      if (value !== undefined && merged.record[key] === undefined) merged.record[key] = value;
+    });
+    Object.entries(entry.artifacts).forEach(([key, value]) => {
+      if (value && !merged.artifacts[key]) merged.artifacts[key] = value;
+    });
+    merged.files.push(entry.file);
+  });
+  return merged;
+}
+
+/**
+ * 将合并后的条目转换为结果存储的记录
+ * 记录id由来源文件决定，重复导入时得到相同的id
+ * @param {object} merged - mergeEntries的返回值
+ * @param {string} key - 合并使用的键
+ * @param {string} reportsDir - 报告根目录
+ * @returns {object} 存储记录
+ */
+function toStoreRecord(merged, key, reportsDir) {
+  const baseDir = path.resolve(reportsDir);
+  const digest = crypto.createHash('sha256').update(path.relative(baseDir, key)).digest('hex').slice(0, 6);
+  const timestamp = new Date(merged.timestamp).toISOString();
+  const record = {
+    schema: SCHEMA_VERSION,
+    id: `run-${timestamp.replace(/[:.]/g, '-')}-${digest}`,
+    timestamp,
+    date: new Date(timestamp).toLocaleString('zh-CN'),
+    source: 'import',
+    tags: [],
+    ...merged.record,
+    artifacts: Object.fromEntries(
+      Object.entries(merged.artifacts).map(([name, file]) => [name, path.relative(baseDir, file).split(path.sep).join('/')])
+    ),
+    imported: {
+      at: new Date().toISOString(),
+      files: [...new Set(merged.files)].map(file => path.relative(baseDir, file).split(path.sep).join('/'))
+    }
+  };
+  if (record.error) {
+    delete record.scores;
+  }
+  return record;
+}
+
+/**
+ * 扫描报告目录并导入早期的结果文件
+ * @param {string} reportsDir - 报告根目录 (默认: './reports')
+ * @param {object} options - 选项
+ * @param {boolean} options.dryRun - 只分析不写入结果存储
+ * @returns {object} { scanned, imported, skipped, records, failures: [{ file, reason }] }
+ */
+function importLegacyResults(reportsDir = './reports', options = {}) {
+  if (!fs.existsSync(reportsDir)) {
+    throw new Error(`报告目录不存在: ${reportsDir}`);
+  }
+  const scan = scanReports(path.resolve(reportsDir));
+  const failures = [];
+  const parse = (file, parser) => {
+    try {
+      return [].concat(parser(file)).map(entry => ({ ...entry, file }));
+    } catch (error) {
+      failures.push({ file: path.relative(path.resolve(reportsDir), file), reason: error.message });
+      return [];
+    }
+  };
+  
+  const summaries = scan.summaries.flatMap(file => parse(file, item => parseSummaryFile(item, scan.byName)));
+  const history = scan.history.flatMap(file => parse(file, parseHistoryFile));
+  const batches = scan.batches.flatMap(file => parse(file, item => parseBatchFile(item, scan.byName)));
+  
+  // 按同一次测试分组: 摘要文件为主，历史记录和批量汇总中的条目合并到对应的摘要上
+  const groups = new Map();
+  const addToGroup = (key, entry) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  };
+  summaries.forEach(entry => addToGroup(entry.key, entry));
+  history.forEach(entry => addToGroup(matchHistoryEntry(entry, summaries), entry));
+  batches.forEach(entry => addToGroup(findSummaryKey(entry.key, summaries) || entry.key, entry));
+  
+  // 已经在结果存储中的测试（新版本运行时直接写入的记录或之前导入的记录）不再重复导入
+  const store = openStore(reportsDir);
+  const existing = store.query({ includeErrors: true });
+  const storedIds = new Set(existing.map(record => record.id));
+  const storedSummaries = new Set(existing
+    .filter(record => record.artifacts && record.artifacts.summary)
+    .map(record => store.resolveArtifact(record, 'summary')));
+  
+  const records = [];
+  let skipped = 0;
+  groups.forEach((entries, key) => {
+    const merged = mergeEntries(entries);
+    const record = toStoreRecord(merged, key, reportsDir);
+    if (storedIds.has(record.id) ||
+      entries.some(entry => entry.recordId && storedIds.has(entry.recordId)) ||
+      (merged.artifacts.summary && storedSummaries.has(merged.artifacts.summary))) {
+      skipped++;
+      return;
+    }
+    records.push(record);
+  });
+  
+  records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (!options.dryRun) {
+    records.forEach(record => store.append(record));
+  }
+  
+  return {
+    scanned: scan.history.length + scan.summaries.length + scan.batches.length,
+    imported: records.length,
+    skipped,
+    records,
+    failures
+  };
+}
+
+module.exports = {
+  parseFileTimestamp,
+  parseDisplayValue,
+  normalizeMetrics,
+  importLegacyResults
+};
@@ -0,0 +1,282 @@
+/**
+ * Markdown汇总报告
+ * 生成适合粘贴到Pull Request评论或写入GitHub Actions步骤摘要的批量测试结果：
+ * 带状态图标的得分表、预算违规列表，以及与上一次测试的对比和可折叠的可访问性问题
+ */
+const fs = require('fs');
+const path = require('path');
+const { formatViolation } = require('./budget.js');
+const { formatMetricValue } = require('./metrics.js');
+const { compareResults } = require('./comparison.js');
+const { readSummaryFile } = require('./result-store.js');
+const { formatVisualResult } = require('./visual-regression.js');
+
+// 得分表中的类别及显示名称，与HTML汇总报告一致
+const CATEGORY_LABELS = {
+  performance: '性能',
+  accessibility: '可访问性',
+  'best-practices': '最佳实践',
+  seo: 'SEO'
+};
+
+/**
+ * 根据得分返回状态图标，分档与Lighthouse报告一致
+ * @param {number} score - 得分 (0-100)
+ * @returns {string} 状态图标
+ */
+function scoreEmoji(score) {
+  if (score >= 90) return '🟢';
+  if (score >= 50) return '🟠';
+  return '🔴';
+}
+
+/**
+ * 转义表格单元格中的Markdown字符
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * 格式化带符号的差值
+ * @param {number} diff - 差值
+ * @param {string} unit - 指标单位，得分不传
+ * @returns {string} 如 '+3.0'、'-120 ms'
+ */
+function formatDelta(diff, unit) {
+  const sign = diff > 0 ? '+' : diff < 0 ? '-' : '±';
+  return unit ? `${sign}${formatMetricValue(Math.abs(diff), unit)}` : `${sign}${Math.abs(diff).toFixed(1)}`;
+}
+
+/**
+ * 获取网站的显示名称
+ * @param {object} result - 批量测试结果条目
+ * @returns {string} 名称，多设备测试时附带设备
+ */
+function getLabel(result) {
+  return `${result.name || result.url}${result.device ? ` (${result.device})` : ''}`;
+}
+
+/**
+ * 获取未通过的可访问性审计
+ * @param {object|null} summary - 摘要数据
+ * @returns {Array<object>} [{ id, title, items }]
+ */
+function getAccessibilityIssues(summary) {
+  if (!summary) return [];
+  if (Array.isArray(summary.accessibilityAudits)) {
+    return summary.accessibilityAudits
+      .filter(audit => audit.score !== null && audit.score < 1 && audit.scoreDisplayMode !== 'manual' && audit.scoreDisplayMode !== 'notApplicable')
+      .map(audit => ({ id: audit.id, title: audit.title, items: audit.items }));
+  }
+  // 早期摘要只有问题标题和影响的元素数
+  return (summary.accessibilityIssues || []).map(issue => ({ id: issue.title, title: issue.title, items: issue.impact }));
+}
+
+/**
+ * 为每个成功的网站准备对比数据
+ * @param {Array<object>} results - 批量测试结果
+ * @param {ResultStore} store - 结果存储，未提供时不与上一次测试对比
+ * @returns {Array<object>} [{ result, comparison, issues, previousIssues }]
+ */
+function collectSiteData(results, store) {
+  return results.map(result => {
+    const site = { result, comparison: null, issues: [], previousIssues: null };
+    if (result.error) return site;
+    
+    site.issues = getAccessibilityIssues(readSummaryFile(result.summaryPath));
+    const record = store && result.recordId ? store.get(result.recordId) : null;
+    const previous = record ? store.previous(record) : null;
+    if (previous) {
+      site.previous = previous;
+      site.comparison = compareResults(record, previous);
+      const previousSummary = readSummaryFile(store.resolveArtifact(previous, 'summary'));
+      site.previousIssues = previousSummary ? getAccessibilityIssues(previousSummary) : null;
+    }
+    return site;
+  });
+}
+
+/**
+ * 生成得分表
+ * @param {Array<object>} sites - collectSiteData返回的数据
+ * @returns {Array<string>} Markdown行
+ */
+function renderScoreTable(sites) {
+  const categories = Object.keys(CATEGORY_LABELS)
+    .filter(category => sites.some(site => site.result.scores && site.result.scores[category] !== undefined));
+  
+  // 有网站启用了视觉回归测试时增加一列
+  const showVisual = sites.some(site => site.result.visual);
+  const headers = ['网站', ...categories.map(category => CATEGORY_LABELS[category]), '预算', ...(showVisual ? ['视觉回归'] : [])];
+  const row = cells => `| ${cells.join(' | ')} |`;
+  const lines = [row(headers), row(headers.map(() => '------'))];
+  
+  sites.forEach(({ result, comparison }) => {
+    const name = escapeCell(getLabel(result));
+    if (result.error) {
+      // 错误信息放在第一个得分列，其余列留空
+      lines.push(row([name, `❌ 测试失败: ${escapeCell(result.error)}`, ...headers.slice(2).map(() => '')]));
+      return;
+    }
+    
+    const cells = categories.map(category => {
+      const score = result.scores[category];
+      if (score === undefined) return '-';
+      const change = comparison && comparison.scores[category];
+      return `${scoreEmoji(score)} ${score.toFixed(0)}${change ? ` (${formatDelta(change.diff)})` : ''}`;
+    });
+    
+    let budget = '-';
+    if (result.budget) {
+      budget = result.budget.passed ? '✅ 通过' : `❌ 超出 ${result.budget.violations.length} 项`;
+    }
+    const visual = result.visual
+      ? { passed: '✅ 通过', new: '🆕 新基准', failed: '❌ 未通过', error: '⚠️ 出错' }[result.visual.status]
+      : '-';
+    lines.push(row([name, ...cells, budget, ...(showVisual ? [visual] : [])]));
+  });
+  return lines;
+}
+
+/**
+ * 生成与上一次测试的对比，每个网站一个可折叠区域
+ * @param {Array<object>} sites - collectSiteData返回的数据
+ * @returns {Array<string>} Markdown行，没有可对比的网站时为空数组
+ */
+function renderComparisons(sites) {
+  const compared = sites.filter(site => site.comparison);
+  if (compared.length === 0) return [];
+  
+  const lines = ['### 与上一次测试对比', ''];
+  compared.forEach(({ result, comparison, previous }) => {
+    const metrics = Object.values(comparison.metrics);
+    const degraded = comparison.degraded.length + metrics.filter(metric => metric.status === 'degraded').length;
+    const improved = comparison.improved.length + metrics.filter(metric => metric.status === 'improved').length;
+    const status = degraded > 0 ? '⚠️' : '✅';
+    
+    lines.push('<details>');
+    lines.push(`<summary>${status} ${getLabel(result)}: ${degraded} 项退步，${improved} 项提升（对比 ${previous.date || previous.timestamp}）</summary>`);
+    lines.push('');
+    lines.push('| 指标 | 上一次 | 本次 | 变化 |');
+    lines.push('|------|--------|------|------|');
+    Object.entries(comparison.scores).forEach(([category, change]) => {
+      const mark = change.diff > 1 ? ' 🔼' : change.diff < -1 ? ' 🔽' : '';
+      lines.push(`| ${escapeCell(CATEGORY_LABELS[category] || category)} | ${change.previous.toFixed(1)} | ${change.current.toFixed(1)} | ${formatDelta(change.diff)}${mark} |`);
+    });
+    metrics.forEach(metric => {
+      const mark = metric.status === 'improved' ? ' 🔼' : metric.status === 'degraded' ? ' 🔽' : '';
+      lines.push(`| ${escapeCell(metric.name)} | ${formatMetricValue(metric.previousValue, metric.unit)} | ${formatMetricValue(metric.currentValue, metric.unit)} | ${formatDelta(metric.diff, metric.unit)}${mark} |`);
+    });
+    lines.push('');
+    lines.push('</details>');
+  });
+  lines.push('');
+  return lines;
+}
+
+/**
+ * 生成可折叠的可访问性问题列表，有上一次测试的摘要时标出新增的问题
+ * @param {Array<object>} sites - collectSiteData返回的数据
+ * @returns {Array<string>} Markdown行，没有问题时为空数组
+ */
+function renderAccessibilityIssues(sites) {
+  const withIssues = sites.filter(site => site.issues.length > 0);
+  if (withIssues.length === 0) return [];
+  
+  const lines = ['### 可访问性问题', ''];
+  withIssues.forEach(({ result, issues, previousIssues }) => {
+    const isNew = issue => previousIssues !== null && !previousIssues.some(previousIssue => previousIssue.id === issue.id);
+    const newCount = issues.filter(isNew).length;
+    
+    lines.push('<details>');
+    lines.push(`<summary>${getLabel(result)}: ${issues.length} 个问题${newCount > 0 ? `（新增 ${newCount} 个）` : ''}</summary>`);
+    lines.push('');
+    issues.forEach(issue => {
+      lines.push(`- ${isNew(issue) ? '🆕 ' : ''}${issue.title}${issue.items ? `（影响 ${issue.items} 个元素）` : ''}`);
+    });
+    lines.push('');
+    lines.push('</details>');
+  });
+  lines.push('');
+  return lines;
+}
+
+/**
+ * 生成Markdown格式的汇总报告
+ * @param {Object} data - 汇总数据，与batch-summary.json相同
+ * @param {object} options - 选项
+ * @param {ResultStore} options.store - 结果存储，提供时与各网站上一次的测试对比
+ * @param {string} options.title - 标题 (默认: 'Lighthouse 批量测试结果')
+ * @returns {string} Markdown内容
+ */
+function generateMarkdownReport(data, options = {}) {
+  const sites = collectSiteData(data.results, options.store);
+  const lines = [
+    `## ${options.title || 'Lighthouse 批量测试结果'}`,
+    '',
+    `测试时间: ${new Date(data.timestamp).toLocaleString()} · 共 ${data.totalWebsites} 个网站，成功 ${data.successfulTests}，失败 ${data.failedTests}，超出预算 ${data.budgetFailures}${data.visualFailures ? `，视觉回归未通过 ${data.visualFailures}` : ''}`,
+    '',
+    ...renderScoreTable(sites),
+    '',
+    `图例: 🟢 90-100 · 🟠 50-89 · 🔴 0-49${sites.some(site => site.comparison) ? '；括号中为与上一次测试相比的变化' : ''}`,
+    ''
+  ];
+  
+  const overBudget = data.results.filter(result => result.budget && !result.budget.passed);
+  if (overBudget.length > 0) {
+    lines.push('### 超出预算', '');
+    overBudget.forEach(result => {
+      lines.push(`- **${getLabel(result)}**`);
+      result.budget.violations.forEach(violation => lines.push(`  - ${formatViolation(violation)}`));
+    });
+    lines.push('');
+  }
+  
+  const visualFailures = data.results.filter(result => result.visual && result.visual.status === 'failed');
+  if (visualFailures.length > 0) {
+    lines.push('### 视觉回归未通过', '');
+    visualFailures.forEach(result => {
+      lines.push(`- **${getLabel(result)}**: ${formatVisualResult(result.visual)}，确认变化后运行 \`node cli.js accept ${result.recordId}\` 更新基准截图`);
+    });
+    lines.push('');
+  }
+  
+  lines.push(...renderComparisons(sites));
+  lines.push(...renderAccessibilityIssues(sites));
+  return lines.join('\n');
+}
+
+/**
+ * 保存Markdown报告
+ * @param {string} markdown - Markdown内容
+ * @param {object} options - 选项
+ * @param {string} options.file - 输出文件路径
+ * @param {boolean} options.stepSummary - 是否追加到GitHub Actions的步骤摘要($GITHUB_STEP_SUMMARY)
+ * @returns {Array<string>} 写入的文件路径
+ */
+function writeMarkdownReport(markdown, options = {}) {
+  const written = [];
+  if (options.file) {
+    fs.mkdirSync(path.dirname(options.file), { recursive: true });
+    fs.writeFileSync(options.file, markdown);
+    written.push(options.file);
+  }
+  if (options.stepSummary) {
+    const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+    if (summaryFile) {
+      fs.appendFileSync(summaryFile, `${markdown}\n`);
+      written.push(summaryFile);
+    } else {
+      console.warn('未设置GITHUB_STEP_SUMMARY环境变量，跳过写入步骤摘要');
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  generateMarkdownReport,
+  writeMarkdownReport
+};
@@ -0,0 +1,68 @@
+/**
+ * 指标的单位和优化方向
+ * 对比和回归检测共用，按Lighthouse的numericValue和numericUnit比较指标
+ */
+
+// 各指标的优化方向: lower 表示数值越小越好，higher 表示数值越大越好
+// 未列出的指标按 lower 处理
+const METRIC_DIRECTIONS = {
+  'first-contentful-paint': 'lower',
+  'largest-contentful-paint': 'lower',
+  'speed-index': 'lower',
+  'total-blocking-time': 'lower',
+  'cumulative-layout-shift': 'lower',
+  'interactive': 'lower',
+  'server-response-time': 'lower',
+  'max-potential-fid': 'lower',
+  'first-meaningful-paint': 'lower',
+  'total-byte-weight': 'lower',
+  'dom-size': 'lower'
+};
+
+// 单位换算: Lighthouse的numericUnit -> [基础单位, 换算系数]
+const UNIT_CONVERSIONS = {
+  millisecond: ['millisecond', 1],
+  second: ['millisecond', 1000],
+  byte: ['byte', 1],
+  unitless: ['unitless', 1],
+  element: ['element', 1]
+};
+
+/**
+ * 将指标的numericValue换算为基础单位
+ * @param {object} metric - 指标 { numericValue, numericUnit }
+ * @returns {object|null} { value, unit }，缺少数值时返回null
+ */
+function toBaseUnit(metric) {
+  if (!metric || typeof metric.numericValue !== 'number' || Number.isNaN(metric.numericValue)) {
+    return null;
+  }
+  const [unit, factor] = UNIT_CONVERSIONS[metric.numericUnit] || [metric.numericUnit || 'unitless', 1];
+  return { value: metric.numericValue * factor, unit };
+}
+
+/**
+ * 格式化指标数值，用于报告中的变化量
+ * @param {number} value - 基础单位的数值
+ * @param {string} unit - 基础单位
+ * @returns {string} 格式化后的文本
+ */
+function formatMetricValue(value, unit) {
+  if (unit === 'millisecond') {
+    return Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+  }
+  if (unit === 'byte') {
+    return `${(value / 1024).toFixed(1)} KiB`;
+  }
+  if (unit === 'unitless') {
+    return value.toFixed(3);
+  }
+  return `${value}`;
+}
+
+module.exports = {
+  METRIC_DIRECTIONS,
+  UNIT_CONVERSIONS,
+  toBaseUnit,
+  formatMetricValue
+};
@@ -0,0 +1,486 @@
+/**
+ * 定时监控
+ * 常驻进程，按配置中的cron计划定时测试网站，每次运行的结果写入结果存储
+ * 各计划的运行依次排队执行，同一计划上一次运行尚未结束时跳过本次触发，运行状态写入状态文件
+ */
+const fs = require('fs');
+const path = require('path');
+const { runFullTest } = require('./index.js');
+const { ConfigError, loadConfig, resolveTestOptions, resolveSites } = require('./config.js');
+const { expandSitemaps } = require('./sitemap.js');
+const { expandCrawls } = require('./crawler.js');
+const { openStore, recordRun, toBatchResult } = require('./result-store.js');
+const { notifyBatch } = require('./notifier.js');
+const { parseCron, nextRun } = require('./cron.js');
+
+// 状态文件名，默认保存在报告目录中
+const STATUS_FILE = 'monitor-status.json';
+
+// 定时器单次等待的最长时间，超过时分段等待，系统休眠或调整时间后不会错过触发
+const MAX_TIMER_DELAY = 60 * 1000;
+
+/**
+ * 由配置生成监控计划
+ * monitor.schedules中的计划按标签或URL选择网站，网站条目中的schedule为只测试该网站的计划
+ * @param {object} config - 网站配置
+ * @returns {Array<object>} [{ name, cron, tags, urls }]
+ */
+function buildSchedules(config) {
+  const schedules = ((config.monitor && config.monitor.schedules) || []).map((schedule, index) => ({
+    name: schedule.name || `计划${index + 1}`,
+    cron: schedule.cron,
+    tags: schedule.tags,
+    urls: schedule.urls
+  }));
+  
+  (config.websites || []).forEach(entry => {
+    if (typeof entry === 'object' && entry.schedule) {
+      schedules.push({ name: entry.name || entry.url, cron: entry.schedule, urls: [entry.url] });
+    }
+  });
+  return schedules;
+}
+
+/**
+ * 读取监控状态文件
+ * @param {string} statusPath - 状态文件路径
+ * @returns {object|null} 状态，文件不存在或无法解析时返回null
+ */
+function readMonitorStatus(statusPath) {
+  if (!fs.existsSync(statusPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(statusPath, 'utf8'));
+  } catch (error) {
+    console.warn(`无法读取监控状态文件 ${statusPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 检查进程是否仍在运行
+ * @param {number} pid - 进程id
+ * @returns {boolean} 是否在运行
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    // 信号0只检查进程是否存在，不会影响进程
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * 定时监控
+ */
+class Monitor {
+  /**
+   * @param {string} configPath - 配置文件路径
+   * @param {object} options - 选项
+   * @param {object} options.testOptions - 覆盖配置文件中testOptions的选项
+   * @param {string} options.statusFile - 状态文件路径 (默认: monitor.statusFile或报告目录中的monitor-status.json)
+   * @param {boolean} options.notify - 为false时不发送配置的Webhook通知
+   * @param {boolean} options.notifyDryRun - 只输出通知内容，不发送请求
+   */
+  constructor(configPath = './websites.json', options = {}) {
+    this.configPath = configPath;
+    this.options = options;
+    this.jobs = [];
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.active = false;
+    this.stopping = false;
+    this.startedAt = null;
+    this.stoppedAt = null;
+  }
+  
+  /**
+   * 读取配置中的监控计划，恢复状态文件中记录的上一次运行
+   * @throws {ConfigError} 配置无效或没有监控计划时
+   */
+  load() {
+    const config = loadConfig(this.configPath);
+    const schedules = buildSchedules(config);
+    if (schedules.length === 0) {
+      throw new ConfigError(`配置文件中没有监控计划，请在monitor.schedules中添加计划，或为网站设置schedule: ${this.configPath}`);
+    }
+    
+    const testOptions = resolveTestOptions(config, this.options.testOptions);
+    this.reportsDir = testOptions.outputDir || './reports';
+    this.statusPath = this.options.statusFile || (config.monitor && config.monitor.statusFile) || path.join(this.reportsDir, STATUS_FILE);
+    
+    // 名称和cron表达式都相同的计划沿用重启前的运行记录
+    const previous = readMonitorStatus(this.statusPath);
+    const previousJobs = (previous && previous.jobs) || [];
+    this.jobs = schedules.map(schedule => {
+      const saved = previousJobs.find(job => job.name === schedule.name && job.cron === schedule.cron) || {};
+      return {
+        ...schedule,
+        schedule: parseCron(schedule.cron),
+        state: 'idle',
+        nextRun: null,
+        currentRun: null,
+        lastRun: saved.lastRun || null,
+        lastSuccessAt: saved.lastSuccessAt || null,
+        runCount: saved.runCount || 0,
+        skipped: saved.skipped || 0,
+        lastSkippedAt: saved.lastSkippedAt || null
+      };
+    });
+  }
+  
+  /**
+   * 启动监控，按计划定时运行直到调用stop
+   */
+  start() {
+    this.load();
+    this.active = true;
+    this.stopping = false;
+    this.startedAt = new Date().toISOString();
+    this.stoppedAt = null;
+    
+    const now = new Date();
+    console.log(`开始监控，配置文件: ${this.configPath}，共 ${this.jobs.length} 个计划`);
+    this.jobs.forEach(job => {
+      job.nextRun = nextRun(job.schedule, now);
+      console.log(`- ${job.name} (${job.cron}): 下一次运行 ${job.nextRun.toLocaleString()}`);
+    });
+    console.log(`状态文件: ${this.statusPath}`);
+    
+    this.writeStatus();
+    this.scheduleTick();
+  }
+  
+  /**
+   * 设置定时器，在最近一次计划触发时检查
+   */
+  scheduleTick() {
+    if (!this.active) return;
+    const upcoming = this.jobs.filter(job => job.nextRun).map(job => job.nextRun.getTime());
+    if (upcoming.length === 0) return;
+    
+    const delay = Math.min(Math.max(Math.min(...upcoming) - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+  
+  /**
+   * 触发已到时间的计划，并计算下一次运行时间
+   * 系统休眠等原因错过多次触发时只运行一次
+   */
+  tick() {
+    const now = new Date();
+    this.jobs.forEach(job => {
+      if (job.nextRun && job.nextRun <= now) {
+        this.trigger(job);
+        job.nextRun = nextRun(job.schedule, now);
+      }
+    });
+    this.writeStatus();
+    this.scheduleTick();
+  }
+  
+  /**
+   * 将计划加入运行队列，上一次运行尚未结束时跳过
+   * @param {object} job - 计划
+   * @returns {Promise<object|null>} 本次运行的结果，跳过时为null
+   */
+  trigger(job) {
+    if (job.state !== 'idle') {
+      job.skipped++;
+      job.lastSkippedAt = new Date().toISOString();
+      console.warn(`[监控] 计划 ${job.name} 的上一次运行${job.state === 'queued' ? '仍在排队' : '尚未结束'}，跳过本次触发`);
+      return Promise.resolve(null);
+    }
+    
+    // 同时运行多个Lighthouse测试会互相影响结果，所有计划依次执行
+    job.state = 'queued';
+    const run = this.queue.then(() => this.runJob(job));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * 运行一次计划，任何错误都记录在运行结果中，不会中断监控
+   * @param {object} job - 计划
+   * @returns {Promise<object|null>} 运行结果 { batchId, status, startedAt, finishedAt, duration, totalWebsites, failedTests, budgetFailures, errors, error }，停止监控时排队的计划返回null
+   */
+  async runJob(job) {
+    if (this.stopping) {
+      job.state = 'idle';
+      return null;
+    }
+    
+    job.state = 'running';
+    const startedAt = new Date();
+    const batchId = `monitor-${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+    job.currentRun = { batchId, startedAt: startedAt.toISOString() };
+    this.writeStatus();
+    console.log(`\n[监控] 开始运行计划 ${job.name} (${batchId})`);
+    
+    let lastRun;
+    try {
+      const results = await this.runSites(job, batchId);
+      const failed = results.filter(result => result.error);
+      lastRun = {
+        status: failed.length === 0 ? 'success' : failed.length === results.length ? 'failed' : 'partial',
+        totalWebsites: results.length,
+        failedTests: failed.length,
+        budgetFailures: results.filter(result => result.budget && !result.budget.passed).length,
+        errors: failed.map(result => ({ url: result.url, device: result.device, error: result.error }))
+      };
+    } catch (error) {
+      console.error(`[监控] 计划 ${job.name} 运行失败:`, error);
+      lastRun = { status: 'failed', error: error.message };
+    }
+    
+    const finishedAt = new Date();
+    job.lastRun = {
+      batchId,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - startedAt,
+      ...lastRun
+    };
+    if (lastRun.status === 'success') {
+      job.lastSuccessAt = job.lastRun.finishedAt;
+    }
+    job.runCount++;
+    job.currentRun = null;
+    job.state = 'idle';
+    this.writeStatus();
+    
+    console.log(`[监控] 计划 ${job.name} 运行结束: ${lastRun.status}，用时 ${(job.lastRun.duration / 1000).toFixed(1)} 秒${job.nextRun ? `，下一次运行 ${job.nextRun.toLocaleString()}` : ''}`);
+    return job.lastRun;
+  }
+  
+  /**
+   * 测试计划选中的网站，结果写入结果存储
+   * 每次运行都重新读取配置，修改网站列表、测试选项或预算后无需重启监控
+   * @param {object} job - 计划
+   * @param {string} batchId - 本次运行的id，作为结果存储中的批量测试id
+   * @returns {Promise<Array<object>>} 批量汇总格式的测试结果
+   */
+  async runSites(job, batchId) {
+    let config = loadConfig(this.configPath);
+    // 只测试websites中列出的网站时不需要读取sitemap和爬取页面
+    const listedUrls = (config.websites || []).map(entry => (typeof entry === 'string' ? entry : entry.url));
+    if (!job.urls || job.urls.some(url => !listedUrls.includes(url))) {
+      config = (await expandCrawls(await expandSitemaps(config), this.configPath)).config;
+    }
+    
+    let sites = resolveSites(config, this.configPath, { testOptions: this.options.testOptions, tags: job.tags });
+    if (job.urls) {
+      sites = sites.filter(site => job.urls.includes(site.url));
+    }
+    if (sites.length === 0) {
+      throw new Error('没有匹配计划的网站，请检查计划的tags和urls');
+    }
+    
+    const tasks = sites.flatMap(site => {
+      const devices = site.testOptions.devices && site.testOptions.devices.length > 0 ? site.testOptions.devices : [undefined];
+      return devices.map(device => ({ site, device }));
+    });
+    
+    for (let i = 0; i < tasks.length; i++) {
+      const { site, device } = tasks[i];
+      console.log(`[监控] [${i + 1}/${tasks.length}] 测试网站: ${site.name}${device ? ` (设备: ${device})` : ''}`);
+      
+      const taskOptions = {
+        ...site.testOptions,
+        ...(device && { device }),
+        devicePresets: config.devicePresets,
+        budget: site.budget,
+        setup: site.setup
+      };
+      const runMeta = {
+        source: 'monitor',
+        outputDir: this.reportsDir,
+        batchId,
+        name: site.name,
+        tags: site.tags,
+        testOptions: taskOptions
+      };
+      
+      // 单个网站失败时记录错误，继续测试其余网站
+      try {
+        const results = await runFullTest(site.url, taskOptions);
+        recordRun(site.url, results, runMeta);
+      } catch (error) {
+        console.error(`[监控] 测试网站 ${site.url} 时发生错误:`, error);
+        recordRun(site.url, null, { ...runMeta, error: error.message });
+      }
+    }
+    
+    const store = openStore(this.reportsDir);
+    const results = store.query({ batchId, includeErrors: true, order: 'asc' })
+      .map(record => toBatchResult(store, record));
+    
+    // 按配置发送Webhook通知，monitor.notify为false时只在批量测试中发送
+    const monitorNotify = !config.monitor || config.monitor.notify !== false;
+    if (this.options.notify !== false && monitorNotify) {
+      try {
+        await notifyBatch({ batchId, results }, config.notifications, { store, dryRun: this.options.notifyDryRun });
+      } catch (error) {
+        console.error(`[监控] 发送通知失败: ${error.message}`);
+      }
+    }
+    return results;
+  }
+  
+  /**
+   * 立即运行全部计划一次，不启动定时器
+   * @returns {Promise<Array<object>>} 每个计划的运行结果
+   */
+  async runOnce() {
+    this.load();
+    this.startedAt = new Date().toISOString();
+    const runs = await Promise.all(this.jobs.map(job => this.trigger(job)));
+    this.stoppedAt = new Date().toISOString();
+    this.writeStatus();
+    return runs;
+  }
+  
+  /**
+   * 停止监控，不再触发新的运行，等待正在运行的计划结束，排队中的计划不再运行
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.stopping = true;
+    clearTimeout(this.timer);
+    
+    const running = this.jobs.find(job => job.state === 'running');
+    if (running) {
+      console.log(`[监控] 正在停止，等待计划 ${running.name} 运行结束...`);
+    }
+    await this.queue;
+    this.stoppedAt = new Date().toISOString();
+    this.writeStatus();
+    console.log('[监控] 已停止');
+  }
+  
+  /**
+   * 获取当前状态
+   * @returns {object} { pid, configPath, state, startedAt, stoppedAt, updatedAt, jobs }
+   */
+  getStatus() {
+    return {
+      pid: process.pid,
+      configPath: path.resolve(this.configPath),
+      state: this.active ? 'running' : 'stopped',
+      startedAt: this.startedAt,
+      stoppedAt: this.stoppedAt,
+      updatedAt: new Date().toISOString(),
+      jobs: this.jobs.map(job => ({
+        name: job.name,
+        cron: job.cron,
+        tags: job.tags,
+        urls: job.urls,
+        state: job.state,
+        nextRun: job.nextRun ? job.nextRun.toISOString() : null,
+        currentRun: job.currentRun,
+        lastRun: job.lastRun,
+        lastSuccessAt: job.lastSuccessAt,
+        runCount: job.runCount,
+        skipped: job.skipped,
+        lastSkippedAt: job.lastSkippedAt
+      }))
+    };
+  }
+  
+  /**
+   * 保存状态文件，先写临时文件再重命名，读取方不会读到写了一半的内容
+   */
+  writeStatus() {
+    try {
+      fs.mkdirSync(path.dirname(this.statusPath), { recursive: true });
+      const tempPath = `${this.statusPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.getStatus(), null, 2));
+      fs.renameSync(tempPath, this.statusPath);
+    } catch (error) {
+      console.error(`[监控] 保存状态文件失败: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 以常驻进程运行监控，收到SIGINT或SIGTERM时等待当前运行结束后退出
+ * 未捕获的异常和被拒绝的Promise只记录日志，不会结束监控进程
+ * @param {string} configPath - 配置文件路径
+ * @param {object} options - 同Monitor
+ * @returns {Promise<Monitor>} 监控停止后resolve
+ */
+function runMonitor(configPath = './websites.json', options = {}) {
+  const monitor = new Monitor(configPath, options);
+  monitor.start();
+  
+  const onError = error => console.error('[监控] 未处理的错误:', error);
+  process.on('uncaughtException', onError);
+  process.on('unhandledRejection', onError);
+  
+  return new Promise(resolve => {
+    const shutdown = signal => {
+      console.log(`\n[监控] 收到 ${signal}`);
+      process.removeListener('SIGINT', shutdown);
+      process.removeListener('SIGTERM', shutdown);
+      monitor.stop().then(() => {
+        process.removeListener('uncaughtException', onError);
+        process.removeListener('unhandledRejection', onError);
+        resolve(monitor);
+      });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  });
+}
+
+/**
+ * 格式化状态文件的内容，用于命令行输出
+ * @param {object} status - 状态
+ * @returns {string} 状态说明
+ */
+function formatMonitorStatus(status) {
+  const alive = status.state === 'running' && isProcessAlive(status.pid);
+  const lines = [
+    alive
+      ? `监控运行中 (pid ${status.pid})，启动于 ${new Date(status.startedAt).toLocaleString()}`
+      : `监控未运行，状态更新于 ${new Date(status.updatedAt).toLocaleString()}`
+  ];
+  
+  status.jobs.forEach(job => {
+    lines.push('');
+    lines.push(`${job.name} (${job.cron})`);
+    if (alive && job.state === 'running' && job.currentRun) {
+      lines.push(`  正在运行: ${job.currentRun.batchId}，开始于 ${new Date(job.currentRun.startedAt).toLocaleString()}`);
+    }
+    if (job.lastRun) {
+      const run = job.lastRun;
+      const detail = run.error
+        ? `错误: ${run.error}`
+        : `${run.totalWebsites} 个网站，失败 ${run.failedTests}，超出预算 ${run.budgetFailures}`;
+      lines.push(`  上一次运行: ${run.status}，${new Date(run.finishedAt).toLocaleString()}，用时 ${(run.duration / 1000).toFixed(1)} 秒，${detail}`);
+    } else {
+      lines.push('  尚未运行');
+    }
+    if (job.lastSuccessAt && (!job.lastRun || job.lastRun.status !== 'success')) {
+      lines.push(`  上一次成功: ${new Date(job.lastSuccessAt).toLocaleString()}`);
+    }
+    if (alive && job.nextRun) {
+      lines.push(`  下一次运行: ${new Date(job.nextRun).toLocaleString()}`);
+    }
+    lines.push(`  运行 ${job.runCount} 次，跳过 ${job.skipped} 次${job.lastSkippedAt ? `（最近一次 ${new Date(job.lastSkippedAt).toLocaleString()}）` : ''}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  STATUS_FILE,
+  Monitor,
+  buildSchedules,
+  readMonitorStatus,
+  formatMonitorStatus,
+  runMonitor
+};
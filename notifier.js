@@ -0,0 +1,475 @@
+/**
+ * Webhook通知
+ * 批量测试中有网站出错、超出预算、检测到回归或批量测试完成时，向配置的Webhook发送通知
+ * 支持通用JSON以及Slack、飞书、钉钉机器人的消息格式，发送失败时自动重试，dry-run模式只输出不发送
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { formatViolation } = require('./budget.js');
+const { formatMetricValue } = require('./metrics.js');
+const { compareResults } = require('./comparison.js');
+const { detectRegressions } = require('./regression.js');
+const { VALID_NOTIFICATION_EVENTS } = require('./config-schema.js');
+
+// 默认发送参数
+const DEFAULT_OPTIONS = {
+  retries: 3,        // 失败后的重试次数
+  retryDelay: 1000,  // 首次重试前的等待时间，之后每次翻倍，毫秒
+  timeout: 10000     // 单次请求超时时间，毫秒
+};
+
+/**
+ * 获取网站的显示名称
+ * @param {object} site - 事件中的网站信息
+ * @returns {string} 名称，多设备测试时附带设备
+ */
+function getLabel(site) {
+  return `${site.name || site.url}${site.device ? ` (${site.device})` : ''}`;
+}
+
+/**
+ * 格式化得分或指标的数值
+ * @param {object} change - 回归检测结果
+ * @param {number} value - 数值
+ * @returns {string} 格式化后的文本
+ */
+function formatChangeValue(change, value) {
+  return change.type === 'score' ? value.toFixed(1) : formatMetricValue(value, change.unit);
+}
+
+/**
+ * 由批量测试结果条目和对比结果生成事件中的网站信息
+ * @param {object} result - 批量测试结果条目
+ * @param {object|null} comparison - 与上一次测试的对比结果
+ * @returns {object} 网站信息
+ */
+function buildSitePayload(result, comparison) {
+  const site = {
+    url: result.url,
+    name: result.name,
+    device: result.device,
+    recordId: result.recordId
+  };
+  if (result.error) {
+    return { ...site, error: result.error };
+  }
+  
+  return {
+    ...site,
+    scores: result.scores,
+    // 与上一次测试相比的变化，没有上一次测试时为null
+    deltas: comparison ? {
+      previousRecordId: comparison.previousRecordId,
+      scores: Object.fromEntries(Object.entries(comparison.scores).map(([category, change]) => [category, change.diff])),
+      metrics: Object.fromEntries(Object.entries(comparison.metrics).map(([metric, change]) => [metric, { diff: change.diff, unit: change.unit }]))
+    } : null,
+    reportPath: result.reportPath,
+    screenshotPath: result.screenshotPath,
+    summaryPath: result.summaryPath
+  };
+}
+
+/**
+ * 根据批量测试结果生成通知事件
+ * @param {object} batch - 批量测试信息 { batchId, summaryDir, results, totalTime }
+ * @param {object} options - 选项
+ * @param {ResultStore} options.store - 结果存储，用于计算变化量和回归检测
+ * @param {object|false} options.regression - 回归检测参数，见regression.js的DEFAULT_OPTIONS，为false时不检测
+ * @returns {Array<object>} 事件列表 [{ event, timestamp, batchId, site | batch }]
+ */
+function buildBatchEvents(batch, options = {}) {
+  const { store } = options;
+  const timestamp = new Date().toISOString();
+  const events = [];
+  const sites = [];
+  let regressionCount = 0;
+  
+  batch.results.forEach(result => {
+    const record = store && result.recordId ? store.get(result.recordId) : null;
+    
+    if (result.error) {
+      const site = buildSitePayload(result, null);
+      sites.push(site);
+      events.push({ event: 'site-error', timestamp, batchId: batch.batchId, site });
+      return;
+    }
+    
+    const previous = record ? store.previous(record) : null;
+    const comparison = previous ? { ...compareResults(record, previous), previousRecordId: previous.id } : null;
+    const site = buildSitePayload(result, comparison);
+    sites.push(site);
+    
+    if (result.budget && !result.budget.passed) {
+      events.push({
+        event: 'budget-violation',
+        timestamp,
+        batchId: batch.batchId,
+        site: { ...site, violations: result.budget.violations }
+      });
+    }
+    
+    // 缓存命中的记录是之前某次测试的结果，已经检测过，不再重复报告回归
+    if (record && !(record.run && record.run.cached) && options.regression !== false) {
+      // 以本次测试之前的记录为基线，缓存复用的记录不参与
+      const history = store.query({ url: record.url, to: record.timestamp })
+        .filter(candidate => !(candidate.run && candidate.run.cached));
+      const detection = detectRegressions(record, history, options.regression || {});
+      if (detection.regressions.length > 0) {
+        regressionCount++;
+        const changes = [...Object.values(detection.scores), ...Object.values(detection.metrics)]
+          .filter(change => change.change === 'degraded');
+        events.push({
+          event: 'regression',
+          timestamp,
+          batchId: batch.batchId,
+          site: {
+            ...site,
+            regressions: changes.map(change => ({
+              type: change.type,
+              key: change.key,
+              current: change.current,
+              baselineMean: change.baselineMean,
+              diff: change.diff,
+              unit: change.unit,
+              confidence: change.confidence,
+              method: change.method
+            })),
+            samples: detection.samples
+          }
+        });
+      }
+    }
+  });
+  
+  const summaryFile = name => (batch.summaryDir ? path.join(batch.summaryDir, name) : undefined);
+  events.push({
+    event: 'batch-complete',
+    timestamp,
+    batchId: batch.batchId,
+    batch: {
+      totalWebsites: batch.results.length,
+      successfulTests: batch.results.filter(result => !result.error).length,
+      failedTests: batch.results.filter(result => result.error).length,
+      budgetFailures: batch.results.filter(result => result.budget && !result.budget.passed).length,
+      regressions: regressionCount,
+      totalTime: batch.totalTime,
+      summaryDir: batch.summaryDir,
+      reports: {
+        html: summaryFile('batch-summary.html'),
+        json: summaryFile('batch-summary.json'),
+        markdown: summaryFile('batch-summary.md')
+      },
+      sites
+    }
+  });
+  
+  return events;
+}
+
+/**
+ * 生成事件的文字说明，用于聊天机器人消息
+ * @param {object} event - 通知事件
+ * @returns {object} { title, lines }
+ */
+function describeEvent(event) {
+  const site = event.site;
+  switch (event.event) {
+    case 'site-error':
+      return {
+        title: `❌ 测试失败: ${getLabel(site)}`,
+        lines: [site.url, `错误: ${site.error}`]
+      };
+    case 'budget-violation':
+      return {
+        title: `⚠️ 超出性能预算: ${getLabel(site)}`,
+        lines: [
+          ...site.violations.map(violation => `• ${formatViolation(violation)}`),
+          ...(site.reportPath ? [`报告: ${site.reportPath}`] : [])
+        ]
+      };
+    case 'regression':
+      return {
+        title: `📉 检测到性能回归: ${getLabel(site)}`,
+        lines: [
+          ...site.regressions.map(change =>
+            `• ${change.key}: ${formatChangeValue(change, change.current)}（基线 ${formatChangeValue(change, change.baselineMean)}，置信度 ${(change.confidence * 100).toFixed(0)}%）`
+          ),
+          ...(site.reportPath ? [`报告: ${site.reportPath}`] : [])
+        ]
+      };
+    case 'batch-complete': {
+      const batch = event.batch;
+      const ok = batch.failedTests === 0 && batch.budgetFailures === 0 && batch.regressions === 0;
+      const scoreLines = batch.sites.map(item => {
+        if (item.error) return `• ${getLabel(item)}: 测试失败`;
+        const scores = Object.entries(item.scores || {}).map(([category, score]) => {
+          const delta = item.deltas && item.deltas.scores[category];
+          return `${category} ${score.toFixed(0)}${delta ? ` (${delta > 0 ? '+' : ''}${delta.toFixed(1)})` : ''}`;
+        });
+        return `• ${getLabel(item)}: ${scores.join(', ')}`;
+      });
+      return {
+        title: `${ok ? '✅' : '⚠️'} 批量测试完成: 共 ${batch.totalWebsites} 个网站`,
+        lines: [
+          `成功 ${batch.successfulTests}，失败 ${batch.failedTests}，超出预算 ${batch.budgetFailures}，回归 ${batch.regressions}`,
+          ...scoreLines,
+          ...(batch.reports.html ? [`汇总报告: ${batch.reports.html}`] : [])
+        ]
+      };
+    }
+    default:
+      return { title: event.event, lines: [] };
+  }
+}
+
+/**
+ * 计算飞书和钉钉机器人的签名
+ * @param {string} format - 'feishu' 或 'dingtalk'
+ * @param {string} secret - 机器人的签名密钥
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {string} Base64编码的签名
+ */
+function signWebhook(format, secret, timestamp) {
+  // 飞书以 "时间戳(秒)\n密钥" 作为HMAC密钥对空消息签名，钉钉以密钥对 "时间戳(毫秒)\n密钥" 签名
+  if (format === 'feishu') {
+    return crypto.createHmac('sha256', `${Math.floor(timestamp / 1000)}\n${secret}`).update('').digest('base64');
+  }
+  return crypto.createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64');
+}
+
+/**
+ * 按Webhook的格式生成请求
+ * @param {object} webhook - Webhook配置 { url, format, secret, headers }
+ * @param {object} event - 通知事件
+ * @param {number} now - 当前毫秒时间戳，用于签名
+ * @returns {object} { url, headers, body }
+ */
+function buildRequest(webhook, event, now = Date.now()) {
+  const format = webhook.format || 'json';
+  const headers = { 'Content-Type': 'application/json', ...webhook.headers };
+  let url = webhook.url;
+  let body;
+  
+  if (format === 'json') {
+    body = event;
+  } else {
+    const { title, lines } = describeEvent(event);
+    if (format === 'slack') {
+      body = {
+        text: `${title}\n${lines.join('\n')}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+          ...(lines.length > 0 ? [{ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } }] : [])
+        ]
+      };
+    } else if (format === 'feishu') {
+      body = {
+        msg_type: 'post',
+        content: {
+          post: {
+            zh_cn: { title, content: lines.map(line => [{ tag: 'text', text: line }]) }
+          }
+        }
+      };
+      if (webhook.secret) {
+        body.timestamp = String(Math.floor(now / 1000));
+        body.sign = signWebhook('feishu', webhook.secret, now);
+      }
+    } else if (format === 'dingtalk') {
+      // 钉钉的markdown消息需要空行分段
+      body = {
+        msgtype: 'markdown',
+        markdown: { title, text: [`### ${title}`, ...lines].join('\n\n') }
+      };
+      if (webhook.secret) {
+        const target = new URL(url);
+        target.searchParams.set('timestamp', String(now));
+        target.searchParams.set('sign', signWebhook('dingtalk', webhook.secret, now));
+        url = target.toString();
+      }
+    }
+  }
+  
+  return { url, headers, body };
+}
+
+/**
+ * 检查聊天机器人的响应，飞书和钉钉在请求被拒绝时仍然返回HTTP 200
+ * @param {string} format - 消息格式
+ * @param {string} text - 响应内容
+ * @returns {string|null} 错误说明，成功时返回null
+ */
+function checkResponseBody(format, text) {
+  if (format !== 'feishu' && format !== 'dingtalk') return null;
+  try {
+    const data = JSON.parse(text);
+    const code = format === 'feishu' ? (data.code !== undefined ? data.code : data.StatusCode) : data.errcode;
+    if (code && code !== 0) {
+      return `${code} ${data.msg || data.errmsg || ''}`.trim();
+    }
+  } catch (error) {
+    // 响应不是JSON时只看HTTP状态码
+  }
+  return null;
+}
+
+/**
+ * Webhook通知发送器
+ */
+class Notifier {
+  /**
+   * @param {object} config - 配置文件中的notifications字段 { webhooks, retries, retryDelay, timeout, regression }
+   * @param {object} options - 选项
+   * @param {boolean} options.dryRun - 只输出将要发送的内容，不发送请求
+   */
+  constructor(config = {}, options = {}) {
+    this.config = { ...DEFAULT_OPTIONS, ...config };
+    this.dryRun = Boolean(options.dryRun);
+    this.webhooks = (config.webhooks || [])
+      .map(webhook => ({ ...webhook, url: webhook.url || (webhook.urlEnv && process.env[webhook.urlEnv]) }))
+      .map(webhook => ({ ...webhook, secret: webhook.secret || (webhook.secretEnv && process.env[webhook.secretEnv]) }))
+      .filter(webhook => {
+        if (!webhook.url) {
+          console.warn(`Webhook ${webhook.name || ''}缺少url${webhook.urlEnv ? `（环境变量 ${webhook.urlEnv} 未设置）` : ''}，已跳过`);
+          return false;
+        }
+        return true;
+      });
+  }
+  
+  /**
+   * 获取Webhook的显示名称，URL中通常包含令牌，只显示主机名
+   * @param {object} webhook - Webhook配置
+   * @returns {string} 名称
+   */
+  describe(webhook) {
+    if (webhook.name) return webhook.name;
+    try {
+      return new URL(webhook.url).host;
+    } catch (error) {
+      return 'webhook';
+    }
+  }
+  
+  /**
+   * 发送单个请求，网络错误、HTTP 429和5xx时按指数退避重试
+   * @param {object} webhook - Webhook配置
+   * @param {object} request - buildRequest返回的请求
+   * @returns {Promise<object>} { ok, status, attempts, error }
+   */
+  async send(webhook, request) {
+    const maxAttempts = this.config.retries + 1;
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let retryable = true;
+      try {
+        const response = await fetch(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal: AbortSignal.timeout(this.config.timeout)
+        });
+        const text = await response.text();
+        if (response.ok) {
+          const rejected = checkResponseBody(webhook.format, text);
+          if (!rejected) {
+            return { ok: true, status: response.status, attempts: attempt };
+          }
+          // 签名错误、关键词不匹配等请求被拒绝的情况重试也不会成功
+          lastError = `请求被拒绝: ${rejected}`;
+          retryable = false;
+        } else {
+          lastError = `HTTP ${response.status}`;
+          retryable = response.status === 429 || response.status >= 500;
+        }
+      } catch (error) {
+        lastError = error.message;
+      }
+      
+      if (!retryable || attempt === maxAttempts) {
+        return { ok: false, attempts: attempt, error: lastError };
+      }
+      const waitTime = this.config.retryDelay * Math.pow(2, attempt - 1);
+      console.warn(`发送通知到 ${this.describe(webhook)} 失败 (${lastError})，${waitTime / 1000} 秒后重试 (${attempt}/${this.config.retries})`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+    return { ok: false, attempts: maxAttempts, error: lastError };
+  }
+  
+  /**
+   * 把事件发送到订阅了该事件的全部Webhook
+   * @param {object} event - 通知事件
+   * @returns {Promise<Array<object>>} 发送结果 [{ webhook, event, ok, status, attempts, error, dryRun }]
+   */
+  async notify(event) {
+    const deliveries = [];
+    for (const webhook of this.webhooks) {
+      const events = webhook.events || VALID_NOTIFICATION_EVENTS;
+      if (!events.includes(event.event)) continue;
+      
+      const request = buildRequest(webhook, event);
+      const name = this.describe(webhook);
+      if (this.dryRun) {
+        console.log(`[dry-run] ${event.event} -> ${name} (${webhook.format || 'json'})`);
+        console.log(JSON.stringify(request.body, null, 2));
+        deliveries.push({ webhook: name, event: event.event, ok: true, dryRun: true, body: request.body });
+        continue;
+      }
+      
+      const result = await this.send(webhook, request);
+      if (!result.ok) {
+        console.error(`发送通知到 ${name} 失败: ${result.error}`);
+      }
+      deliveries.push({ webhook: name, event: event.event, ...result });
+    }
+    return deliveries;
+  }
+  
+  /**
+   * 依次发送多个事件，发送失败不会抛出错误
+   * @param {Array<object>} events - 通知事件
+   * @returns {Promise<Array<object>>} 全部发送结果
+   */
+  async notifyAll(events) {
+    const deliveries = [];
+    for (const event of events) {
+      deliveries.push(...await this.notify(event));
+    }
+    return deliveries;
+  }
+}
+
+/**
+ * 批量测试完成后发送通知
+ * @param {object} batch - 批量测试信息 { batchId, summaryDir, results, totalTime }
+ * @param {object} config - 配置文件中的notifications字段
+ * @param {object} options - 选项
+ * @param {ResultStore} options.store - 结果存储
+ * @param {boolean} options.dryRun - 只输出不发送
+ * @returns {Promise<Array<object>>} 发送结果，未配置Webhook时为空数组
+ */
+async function notifyBatch(batch, config, options = {}) {
+  if (!config || !config.webhooks || config.webhooks.length === 0) return [];
+  
+  const notifier = new Notifier(config, { dryRun: options.dryRun });
+  const events = buildBatchEvents(batch, { store: options.store, regression: config.regression });
+  console.log(`\n发送通知: ${events.map(event => event.event).join(', ')}`);
+  const deliveries = await notifier.notifyAll(events);
+  
+  const failed = deliveries.filter(delivery => !delivery.ok);
+  if (failed.length > 0) {
+    console.error(`${failed.length} 条通知发送失败`);
+  } else if (deliveries.length > 0) {
+    console.log(`${deliveries.length} 条通知${options.dryRun ? '已生成（dry-run，未发送）' : '已发送'}`);
+  }
+  return deliveries;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  Notifier,
+  buildBatchEvents,
+  buildRequest,
+  notifyBatch
+};
@@ -5,24 +5,22 @@
 const { runFullTest, runLighthouseTest, captureScreenshot } = require('./index.js');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { evaluateBudget, formatViolation } = require('./budget.js');
+const { formatVisualResult } = require('./visual-regression.js');
+const { ConfigError, loadConfig, resolveTestOptions, resolveSites } = require('./config.js');
+const { expandSitemaps } = require('./sitemap.js');
+const { expandCrawls, saveCrawlGraph } = require('./crawler.js');
+const { openStore, recordRun, hashConfig, toBatchResult } = require('./result-store.js');
+const { writeJUnitReport } = require('./junit-report.js');
+const { mergeSarifFiles } = require('./sarif-report.js');
+const { generateMarkdownReport } = require('./markdown-report.js');
+const { notifyBatch } = require('./notifier.js');
 const util = require('util');
 const zlib = require('zlib');
 
 // 压缩工具
 const gzip = util.promisify(zlib.gzip);
 
-// 读取配置文件
-function loadConfig(configPath = './websites.json') {
-  try {
-    const configData = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configData);
-  } catch (error) {
-    console.error(`读取配置文件失败: ${error.message}`);
-    return { websites: [] };
-  }
-}
-
 /**
  * 资源管理器 - 控制并发浏览器实例数量
  */
@@ -32,7 +30,7 @@ class ResourceManager {
     this.running = 0;
     this.queue = [];
   }
-
+  
   async acquire() {
     if (this.running < this.maxConcurrent) {
       this.running++;
@@ -44,7 +42,7 @@ class ResourceManager {
       this.queue.push(resolve);
     });
   }
-
+  
   release() {
     if (this.queue.length > 0) {
       // 从队列中取出下一个等待的任务并执行
@@ -58,123 +56,63 @@ class ResourceManager {
 
 /**
  * 结果缓存管理器 - 避免短时间内重复测试
+ * 缓存直接读取结果存储中相同URL和测试选项的最近一次记录，不再单独保存缓存文件
  */
 class ResultCache {
-  constructor(cacheDuration = 3600000) { // 默认缓存1小时
-    this.cache = new Map();
+  constructor(cacheDuration = 3600000, store = openStore()) { // 默认缓存1小时
     this.cacheDuration = cacheDuration;
-    this.cacheDir = path.join('./cache');
-    
-    // 确保缓存目录存在
-    if (!fs.existsSync(this.cacheDir)) {
-      fs.mkdirSync(this.cacheDir, { recursive: true });
-    }
-    
-    // 加载持久化缓存
-    this.loadCache();
+    this.store = store;
   }
-
-  // 生成缓存键
-  generateKey(url, options) {
-    const data = JSON.stringify({ url, options });
-    return crypto.createHash('md5').update(data).digest('hex');
+  
+  // 查找有效期内的记录，跳过缓存复用时写入的记录，否则有效期会从每次复用时重新计算
+  find(url, options) {
+    if (!(this.cacheDuration > 0)) return null;
+    const records = this.store.query({
+      url,
+      configHash: hashConfig(options),
+      from: Date.now() - this.cacheDuration
+    });
+    const record = records.find(candidate => !(candidate.run && candidate.run.cached));
+    if (!record || !record.visual) return record || null;
+    
+    // 之后用accept命令更新过该URL和设备的基准截图时，记录中的视觉回归结果已经过期
+    const accepted = this.store.query({ url, device: record.device }).some(other =>
+      other.visual && other.visual.acceptedAt && other.visual.acceptedAt > record.timestamp);
+    return accepted ? null : record;
   }
-
+  
   // 检查是否有有效缓存
   has(url, options) {
-    const key = this.generateKey(url, options);
-    if (!this.cache.has(key)) return false;
-    
-    const { timestamp } = this.cache.get(key);
-    const isValid = (Date.now() - timestamp) < this.cacheDuration;
-    
-    // 如果缓存无效，删除它
-    if (!isValid) {
-      this.cache.delete(key);
-      const cacheFile = path.join(this.cacheDir, `${key}.json`);
-      if (fs.existsSync(cacheFile)) {
-        fs.unlinkSync(cacheFile);
-      }
-    }
-    
-    return isValid;
+    return this.find(url, options) !== null;
   }
-
-  // 获取缓存结果
+  
+  // 获取缓存结果，转换为runFullTest返回值的结构
+  // 性能预算不影响测试结果，不计入配置哈希，按当前的预算重新检查
   get(url, options) {
-    const key = this.generateKey(url, options);
-    if (!this.has(url, options)) return null;
+    const record = this.find(url, options);
+    if (!record) return null;
     
-    try {
-      const cacheFile = path.join(this.cacheDir, `${key}.json`);
-      if (fs.existsSync(cacheFile)) {
-        const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-        console.log(`使用缓存结果: ${url}`);
-        return data.result;
+    console.log(`使用缓存结果: ${url} (${record.id})`);
+    return {
+      device: record.device,
+      cachedRecordId: record.id,
+      screenshotPath: this.store.resolveArtifact(record, 'screenshot'),
+      budget: options.budget ? evaluateBudget(record, options.budget) : undefined,
+      visual: record.visual && {
+        ...record.visual,
+        baselinePath: this.store.resolveArtifact(record, 'baseline'),
+        diffPath: this.store.resolveArtifact(record, 'diff')
+      },
+      lighthouse: {
+        scores: record.scores,
+        metrics: record.metrics,
+        runs: record.runs,
+        stats: record.stats,
+        filePath: this.store.resolveArtifact(record, 'report'),
+        summaryPath: this.store.resolveArtifact(record, 'summary'),
+        sarifPath: this.store.resolveArtifact(record, 'sarif')
       }
-    } catch (error) {
-      console.error(`读取缓存失败: ${error.message}`);
-    }
-    
-    return null;
-  }
-
-  // 设置缓存结果
-  async set(url, options, result) {
-    const key = this.generateKey(url, options);
-    const cacheData = {
-      timestamp: Date.now(),
-      result
     };
-    
-    this.cache.set(key, { timestamp: cacheData.timestamp });
-    
-    try {
-      // 将结果写入文件
-      const cacheFile = path.join(this.cacheDir, `${key}.json`);
-      fs.writeFileSync(cacheFile, JSON.stringify(cacheData));
-    } catch (error) {
-      console.error(`保存缓存失败: ${error.message}`);
-    }
-  }
-
-  // 加载持久化缓存
-  loadCache() {
-    try {
-      const files = fs.readdirSync(this.cacheDir);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const key = file.replace('.json', '');
-          const cacheFile = path.join(this.cacheDir, file);
-          const data = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-          this.cache.set(key, { timestamp: data.timestamp });
-        }
-      }
-      console.log(`已加载 ${this.cache.size} 个缓存项`);
-    } catch (error) {
-      console.error(`加载缓存失败: ${error.message}`);
-    }
-  }
-
-  // 清理过期缓存
-  cleanup() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [key, { timestamp }] of this.cache.entries()) {
-      if ((now - timestamp) >= this.cacheDuration) {
-        this.cache.delete(key);
-        const cacheFile = path.join(this.cacheDir, `${key}.json`);
-        if (fs.existsSync(cacheFile)) {
-          fs.unlinkSync(cacheFile);
-          cleaned++;
-        }
-      }
-    }
-    
-    if (cleaned > 0) {
-      console.log(`已清理 ${cleaned} 个过期缓存项`);
-    }
   }
 }
 
@@ -188,8 +126,9 @@ class ResultCache {
  */
 async function testWebsite(website, options, resourceManager, resultCache, maxRetries = 3) {
   // 检查缓存
-  if (resultCache.has(website, options)) {
-    return resultCache.get(website, options);
+  const cached = resultCache.get(website, options);
+  if (cached) {
+    return cached;
   }
   
   // 获取资源许可
@@ -270,9 +209,6 @@ async function testWebsite(website, options, resourceManager, resultCache, maxRe
           console.log(`- ${category}得分: ${results.lighthouse.scores[category].toFixed(1)}`);
         });
         
-        // 缓存结果
-        await resultCache.set(website, options, results);
-        
         // 释放资源
         resourceManager.release();
         
@@ -375,6 +311,11 @@ async function cleanupOldReports(reportsDir = './reports', maxAgeDays = 30) {
  * 优化版批量测试多个网站
  * @param {string} configPath - 配置文件路径
  * @param {object} options - 批量测试选项
+ * @param {object} options.testOptions - 覆盖配置文件中testOptions的选项
+ * @param {object} options.budgets - 性能预算，未提供时从配置文件加载
+ * @param {Array<string>} options.tags - 只测试带有任一标签的网站
+ * @param {boolean} options.notify - 为false时不发送配置的Webhook通知
+ * @param {boolean} options.notifyDryRun - 只输出通知内容，不发送请求
  */
 async function optimizedBatchTest(configPath = './websites.json', options = {}) {
   console.log(`开始优化版批量网站测试，配置文件: ${configPath}`);
@@ -386,79 +327,93 @@ async function optimizedBatchTest(configPath = './websites.json', options = {})
     cacheDuration: 3600000,   // 缓存时间 (1小时)
     compressReports: true,    // 是否压缩报告
     cleanupOldReports: true,  // 是否清理旧报告
-    maxReportAgeDays: 30      // 报告最大保留天数
+    maxReportAgeDays: 30,     // 报告最大保留天数
+    testOptions: {},          // 覆盖配置文件中的测试选项
+    budgets: null,            // 性能预算，未提供时从配置文件加载
+    tags: []                  // 只测试带有任一标签的网站
   };
   
   const batchOptions = { ...defaultOptions, ...options };
   
-  // 加载配置
-  const config = loadConfig(configPath);
+  // 加载配置，配置无效时抛出ConfigError，不会开始测试
+  // 配置了sitemaps或crawl时，从sitemap和爬虫发现的页面追加到网站列表中
+  const { config, graphs: crawlGraphs } = await expandCrawls(await expandSitemaps(loadConfig(configPath)), configPath);
   
-  if (!config.websites || config.websites.length === 0) {
-    console.error('配置文件中未找到网站列表或列表为空');
+  // 解析每个网站的测试选项、性能预算和登录脚本，网站条目中的设置覆盖全局testOptions
+  const sites = resolveSites(config, configPath, batchOptions);
+  if (sites.length === 0) {
+    console.error('没有需要测试的网站，请检查标签、sitemap和爬虫的过滤规则');
     return;
   }
   
-  console.log(`找到 ${config.websites.length} 个网站需要测试`);
+  console.log(`找到 ${sites.length} 个网站需要测试`);
   console.log(`最大并发数: ${batchOptions.maxConcurrent}`);
   
+  // 使用配置文件中的选项或默认选项，命令行等传入的选项优先
+  const testOptions = resolveTestOptions(config, batchOptions.testOptions);
+  const reportsDir = testOptions.outputDir || './reports';
+  
   // 创建汇总报告目录
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const summaryDir = path.join('./reports', `batch-summary-${timestamp}`);
+  const batchId = `batch-summary-${timestamp}`;
+  const summaryDir = path.join(reportsDir, batchId);
   if (!fs.existsSync(summaryDir)) {
     fs.mkdirSync(summaryDir, { recursive: true });
   }
   
-  // 初始化资源管理器和缓存
-  const resourceManager = new ResourceManager(batchOptions.maxConcurrent);
-  const resultCache = new ResultCache(batchOptions.cacheDuration);
+  // 保存爬虫发现页面时的链接关系
+  const crawlGraphPath = saveCrawlGraph(crawlGraphs, summaryDir);
   
-  // 清理过期缓存
-  resultCache.cleanup();
+  // 初始化资源管理器和缓存，每个网站的结果都写入结果存储
+  const store = openStore(reportsDir);
+  const resourceManager = new ResourceManager(batchOptions.maxConcurrent);
+  const resultCache = new ResultCache(batchOptions.cacheDuration, store);
   
   // 清理旧报告
   if (batchOptions.cleanupOldReports) {
-    await cleanupOldReports('./reports', batchOptions.maxReportAgeDays);
+    await cleanupOldReports(reportsDir, batchOptions.maxReportAgeDays);
   }
   
-  // 汇总结果
-  const batchResults = [];
   const startTime = Date.now();
   
+  // 配置了多个设备预设时，每个网站在每个预设下各测试一次
+  const tasks = sites.flatMap(site => {
+    const devices = site.testOptions.devices && site.testOptions.devices.length > 0 ? site.testOptions.devices : [undefined];
+    return devices.map(device => ({ site, device }));
+  });
+  
   // 并行测试所有网站
-  const testPromises = config.websites.map(async (website, index) => {
+  const testPromises = tasks.map(async ({ site, device }, index) => {
+    const website = site.url;
+    const label = `${site.name}${device ? ` (设备: ${device})` : ''}`;
+    // 执行测试，附带该网站生效的性能预算和登录脚本
+    const taskOptions = {
+      ...site.testOptions,
+      ...(device && { device }),
+      devicePresets: config.devicePresets,
+      budget: site.budget,
+      setup: site.setup
+    };
+    const runMeta = {
+      source: 'batch',
+      outputDir: reportsDir,
+      batchId,
+      name: site.name,
+      tags: site.tags,
+      testOptions: taskOptions
+    };
+    
     try {
-      // 使用配置文件中的选项或默认选项
-      const testOptions = config.testOptions || {
-        outputFormat: 'html',
-        categories: ['performance', 'accessibility', 'best-practices', 'seo']
-      };
-      
-      // 执行测试
-      const results = await testWebsite(
-        website, 
-        testOptions, 
-        resourceManager, 
-        resultCache,
-        batchOptions.maxRetries
-      );
+      const results = await testWebsite(website, taskOptions, resourceManager, resultCache, batchOptions.maxRetries);
       
-      // 添加到批量结果
+      // 保存到结果存储
       if (results.error) {
-        batchResults.push({
-          url: website,
-          error: results.error
-        });
+        recordRun(website, null, { ...runMeta, error: results.error });
       } else {
-        batchResults.push({
-          url: website,
-          scores: results.lighthouse.scores,
-          reportPath: results.lighthouse.filePath,
-          screenshotPath: results.screenshotPath
-        });
+        recordRun(website, results, { ...runMeta, cached: Boolean(results.cachedRecordId) });
         
         // 压缩报告
-        if (batchOptions.compressReports) {
+        if (batchOptions.compressReports && !results.cachedRecordId) {
           await compressFile(results.lighthouse.filePath);
           if (results.lighthouse.summaryPath) {
             await compressFile(results.lighthouse.summaryPath);
@@ -466,32 +421,60 @@ async function optimizedBatchTest(configPath = './websites.json', options = {})
         }
       }
       
-      console.log(`完成 [${index+1}/${config.websites.length}] ${website}`);
+      console.log(`完成 [${index+1}/${tasks.length}] ${label}`);
     } catch (error) {
-      console.error(`处理网站 ${website} 时发生错误:`, error);
-      batchResults.push({
-        url: website,
-        error: error.message
-      });
+      console.error(`处理网站 ${label} 时发生错误:`, error);
+      recordRun(website, null, { ...runMeta, error: error.message });
     }
   });
   
   // 等待所有测试完成
   await Promise.all(testPromises);
   
+  // 从结果存储读取本次批量测试的全部结果
+  const batchResults = store.query({ batchId, includeErrors: true, order: 'asc' })
+    .map(record => toBatchResult(store, record));
+  
   // 计算总耗时
   const totalTime = (Date.now() - startTime) / 1000;
   
   // 生成汇总报告
-  await generateSummaryReport(batchResults, summaryDir, totalTime);
+  await generateSummaryReport(batchResults, summaryDir, totalTime, { store });
+  
+  // 按配置发送Webhook通知，发送失败不影响批量测试结果
+  if (options.notify !== false) {
+    await notifyBatch(
+      { batchId, summaryDir, results: batchResults, totalTime: totalTime },
+      config.notifications,
+      { store, dryRun: options.notifyDryRun }
+    );
+  }
+  
+  console.log(`\n批量测试完成! 共测试 ${sites.length} 个网站，总耗时: ${totalTime.toFixed(1)}秒`);
+  
+  // 输出预算违规汇总
+  const budgetFailures = batchResults.filter(r => r.budget && !r.budget.passed);
+  if (budgetFailures.length > 0) {
+    console.log(`\n${budgetFailures.length} 个网站超出性能预算:`);
+    budgetFailures.forEach(result => {
+      console.log(`${result.name || result.url}`);
+      result.budget.violations.forEach(violation => console.log(`- ${formatViolation(violation)}`));
+    });
+  }
   
-  console.log(`\n批量测试完成! 共测试 ${config.websites.length} 个网站，总耗时: ${totalTime.toFixed(1)}秒`);
+  // 输出视觉回归未通过的网站
+  const visualFailures = batchResults.filter(r => r.visual && r.visual.status === 'failed');
+  if (visualFailures.length > 0) {
+    console.log(`\n${visualFailures.length} 个网站视觉回归未通过:`);
+    visualFailures.forEach(result => console.log(`- ${result.name || result.url}${result.device ? ` (${result.device})` : ''}: ${formatVisualResult(result.visual)}`));
+  }
   console.log(`汇总报告保存在: ${summaryDir}`);
   
   return {
-    totalWebsites: config.websites.length,
+    totalWebsites: sites.length,
     results: batchResults,
     summaryDir,
+    crawlGraphPath,
     totalTime
   };
 }
@@ -501,8 +484,10 @@ async function optimizedBatchTest(configPath = './websites.json', options = {})
  * @param {Array} results - 批量测试结果
  * @param {string} outputDir - 输出目录
  * @param {number} totalTime - 总耗时(秒)
+ * @param {object} options - 选项
+ * @param {ResultStore} options.store - 结果存储，用于在Markdown报告中与上一次测试对比
  */
-async function generateSummaryReport(results, outputDir, totalTime) {
+async function generateSummaryReport(results, outputDir, totalTime, options = {}) {
   console.log('\n生成汇总报告...');
   
   // 创建JSON汇总报告
@@ -511,6 +496,8 @@ async function generateSummaryReport(results, outputDir, totalTime) {
     totalWebsites: results.length,
     successfulTests: results.filter(r => !r.error).length,
     failedTests: results.filter(r => r.error).length,
+    budgetFailures: results.filter(r => r.budget && !r.budget.passed).length,
+    visualFailures: results.filter(r => r.visual && r.visual.status === 'failed').length,
     totalTime,
     results: results
   };
@@ -544,29 +531,60 @@ async function generateSummaryReport(results, outputDir, totalTime) {
   fs.writeFileSync(jsonPath, JSON.stringify(summaryData, null, 2));
   
   // 生成HTML汇总报告
-  const htmlReport = generateHtmlReport(summaryData);
+  const htmlReport = generateHtmlReport(summaryData, outputDir);
   const htmlPath = path.join(outputDir, 'batch-summary.html');
   fs.writeFileSync(htmlPath, htmlReport);
   
+  // 生成Markdown报告，便于粘贴到Pull Request或写入CI步骤摘要
+  const markdownPath = path.join(outputDir, 'batch-summary.md');
+  fs.writeFileSync(markdownPath, generateMarkdownReport(summaryData, { store: options.store }));
+  
+  // 生成JUnit XML报告，供CI系统展示
+  const junitPath = writeJUnitReport(results, path.join(outputDir, 'junit.xml'), { timestamp: summaryData.timestamp });
+  
+  // 合并各网站的SARIF报告，供代码扫描工具上传
+  const sarif = mergeSarifFiles(results.map(r => r.sarifPath), path.join(outputDir, 'results.sarif'));
+  
   console.log(`汇总JSON报告: ${jsonPath}`);
   console.log(`汇总HTML报告: ${htmlPath}`);
+  console.log(`汇总Markdown报告: ${markdownPath}`);
+  console.log(`JUnit XML报告: ${junitPath}`);
+  console.log(`SARIF报告: ${sarif.filePath}（${sarif.results} 条结果）`);
   
   // 压缩汇总报告
   await compressFile(jsonPath);
 }
 
+/**
+ * 转义HTML文本和属性值
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * 生成HTML格式的汇总报告
  * @param {Object} data - 汇总数据
+ * @param {string} outputDir - 汇总报告目录，用于生成对比图的相对链接
  * @returns {string} HTML报告内容
  */
-function generateHtmlReport(data) {
+function generateHtmlReport(data, outputDir) {
   // 格式化日期
   const formatDate = (isoString) => {
     const date = new Date(isoString);
     return date.toLocaleString();
   };
   
+  // 有网站启用了视觉回归测试时增加一列
+  const showVisual = data.results.some(result => result.visual);
+  
   // 生成网站结果表格行
   const generateResultRows = () => {
     return data.results.map((result, index) => {
@@ -574,8 +592,8 @@ function generateHtmlReport(data) {
         return `
           <tr class="error-row">
             <td>${index + 1}</td>
-            <td>${result.url}</td>
-            <td colspan="4" class="error-message">测试失败: ${result.error}</td>
+            <td>${escapeHtml(`${result.name || result.url}${result.device ? ` (${result.device})` : ''}`)}</td>
+            <td colspan="${showVisual ? 6 : 5}" class="error-message">测试失败: ${escapeHtml(result.error)}</td>
           </tr>
         `;
       }
@@ -595,11 +613,33 @@ function generateHtmlReport(data) {
         })
         .join('');
       
+      // 生成预算检查单元格
+      let budgetColumn = '<td>N/A</td>';
+      if (result.budget) {
+        budgetColumn = result.budget.passed
+          ? '<td class="score-good">通过</td>'
+          : `<td class="score-poor" title="${escapeHtml(result.budget.violations.map(formatViolation).join('\n'))}">超出 ${result.budget.violations.length} 项</td>`;
+      }
+      
+      // 生成视觉回归单元格，有对比图时链接到对比图
+      let visualColumn = '';
+      if (showVisual) {
+        visualColumn = '<td>N/A</td>';
+        if (result.visual) {
+          const visualClass = { passed: 'score-good', new: 'score-good', failed: 'score-poor', error: 'score-average' }[result.visual.status];
+          const visualText = { passed: '通过', new: '新基准', failed: '未通过', error: '出错' }[result.visual.status];
+          const visualLink = result.visual.diffPath ? ` <a href="${escapeHtml(path.relative(outputDir, result.visual.diffPath).split(path.sep).map(encodeURIComponent).join('/'))}">对比图</a>` : '';
+          visualColumn = `<td class="${visualClass}" title="${escapeHtml(formatVisualResult(result.visual))}">${visualText}${visualLink}</td>`;
+        }
+      }
+      
       return `
         <tr>
           <td>${index + 1}</td>
-          <td>${result.url}</td>
+          <td>${escapeHtml(`${result.name || result.url}${result.device ? ` (${result.device})` : ''}`)}</td>
           ${scoreColumns}
+          ${budgetColumn}
+          ${visualColumn}
         </tr>
       `;
     }).join('');
@@ -627,6 +667,8 @@ function generateHtmlReport(data) {
       <tr class="average-row">
         <td colspan="2">平均分数</td>
         ${scoreColumns}
+        <td></td>
+        ${showVisual ? '<td></td>' : ''}
       </tr>
     `;
   };
@@ -735,6 +777,14 @@ function generateHtmlReport(data) {
           <span class="summary-label">失败测试数:</span>
           <span>${data.failedTests}</span>
         </div>
+        <div class="summary-item">
+          <span class="summary-label">超出预算数:</span>
+          <span>${data.budgetFailures}</span>
+        </div>
+        ${showVisual ? `<div class="summary-item">
+          <span class="summary-label">视觉回归未通过数:</span>
+          <span>${data.visualFailures}</span>
+        </div>` : ''}
         <div class="summary-item">
           <span class="summary-label">总耗时:</span>
           <span>${data.totalTime ? data.totalTime.toFixed(1) + '秒' : 'N/A'}</span>
@@ -751,6 +801,8 @@ function generateHtmlReport(data) {
             <th>可访问性</th>
             <th>最佳实践</th>
             <th>SEO</th>
+            <th>预算</th>
+            ${showVisual ? '<th>视觉回归</th>' : ''}
           </tr>
         </thead>
         <tbody>
@@ -773,7 +825,7 @@ if (require.main === module) {
     try {
       await optimizedBatchTest(configPath);
     } catch (error) {
-      console.error('批量测试失败:', error);
+      console.error('批量测试失败:', error instanceof ConfigError ? error.message : error);
       process.exit(1);
     }
   })();
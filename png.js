@@ -0,0 +1,246 @@
+/**
+ * PNG编解码
+ * 视觉回归测试需要逐像素比较截图，这里只实现Playwright截图和常见PNG文件用到的部分：
+ * 非隔行扫描的灰度、真彩色、调色板和带透明通道的图像，解码后统一转换为8位RGBA
+ */
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 各颜色类型每个像素的通道数
+const CHANNELS = {
+  0: 1, // 灰度
+  2: 3, // 真彩色
+  3: 1, // 调色板索引
+  4: 2, // 灰度 + 透明度
+  6: 4  // 真彩色 + 透明度
+};
+
+// CRC32查找表，按需生成
+let crcTable = null;
+
+/**
+ * 计算PNG数据块使用的CRC32校验值
+ * @param {Buffer} buffer - 数据
+ * @returns {number} 无符号32位校验值
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Paeth预测函数
+ * @param {number} a - 左侧字节
+ * @param {number} b - 上方字节
+ * @param {number} c - 左上方字节
+ * @returns {number} 预测值
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * 还原经过行过滤的扫描线
+ * @param {Buffer} data - 解压后的数据，每行以过滤类型字节开头
+ * @param {number} height - 行数
+ * @param {number} stride - 每行的字节数（不含过滤类型字节）
+ * @param {number} bpp - 每个像素的字节数
+ * @returns {Buffer} 去掉过滤类型字节的原始扫描线
+ */
+function unfilter(data, height, stride, bpp) {
+  if (data.length < height * (stride + 1)) {
+    throw new Error('PNG图像数据不完整');
+  }
+  
+  const output = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filterType = data[y * (stride + 1)];
+    const input = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    
+    for (let x = 0; x < stride; x++) {
+      const raw = data[input + x];
+      const left = x >= bpp ? output[row + x - bpp] : 0;
+      const up = y > 0 ? output[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? output[prev + x - bpp] : 0;
+      
+      let value;
+      switch (filterType) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`无效的PNG行过滤类型: ${filterType}`);
+      }
+      output[row + x] = value & 0xff;
+    }
+  }
+  return output;
+}
+
+/**
+ * 解码PNG图像
+ * @param {Buffer} buffer - PNG文件内容
+ * @returns {object} { width, height, data }，data为逐行排列的8位RGBA像素
+ */
+function decodePng(buffer) {
+  if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw new Error('不是有效的PNG文件');
+  }
+  
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (data.length < length) {
+      throw new Error(`PNG数据块 ${type} 不完整`);
+    }
+    offset += 12 + length;
+    
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  
+  if (!header) {
+    throw new Error('PNG文件缺少IHDR数据块');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || !(bitDepth === 8 || (bitDepth === 16 && colorType !== 3))) {
+    throw new Error(`不支持的PNG格式: 颜色类型 ${colorType}，位深 ${bitDepth}`);
+  }
+  if (interlace !== 0) {
+    throw new Error('不支持隔行扫描的PNG图像');
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG文件缺少调色板');
+  }
+  
+  const bytesPerSample = bitDepth / 8;
+  const bpp = channels * bytesPerSample;
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, width * bpp, bpp);
+  
+  // 16位图像只取高位字节
+  const sample = (index, channel) => pixels[index * bpp + channel * bytesPerSample];
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const out = i * 4;
+    if (colorType === 0 || colorType === 4) {
+      const gray = sample(i, 0);
+      data[out] = data[out + 1] = data[out + 2] = gray;
+      data[out + 3] = colorType === 4 ? sample(i, 1) : 255;
+    } else if (colorType === 3) {
+      const index = pixels[i];
+      data[out] = palette[index * 3];
+      data[out + 1] = palette[index * 3 + 1];
+      data[out + 2] = palette[index * 3 + 2];
+      data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+    } else {
+      data[out] = sample(i, 0);
+      data[out + 1] = sample(i, 1);
+      data[out + 2] = sample(i, 2);
+      data[out + 3] = colorType === 6 ? sample(i, 3) : 255;
+    }
+  }
+  
+  return { width, height, data };
+}
+
+/**
+ * 生成PNG数据块
+ * @param {string} type - 数据块类型
+ * @param {Buffer} data - 数据
+ * @returns {Buffer} 带长度和校验值的数据块
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 将RGBA像素编码为PNG
+ * @param {object} image - 图像
+ * @param {number} image.width - 宽度
+ * @param {number} image.height - 高度
+ * @param {Buffer|Uint8Array} image.data - 逐行排列的8位RGBA像素
+ * @returns {Buffer} PNG文件内容
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // 位深
+  header[9] = 6;  // 真彩色 + 透明度
+  
+  // 每行使用Sub过滤，截图中大面积的纯色区域压缩效果更好
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 1;
+    for (let x = 0; x < stride; x++) {
+      const value = data[y * stride + x];
+      const left = x >= 4 ? data[y * stride + x - 4] : 0;
+      raw[row + 1 + x] = (value - left) & 0xff;
+    }
+  }
+  
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng
+};
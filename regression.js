@@ -0,0 +1,164 @@
+/**
+ * 基于历史记录的统计回归检测
+ * 以最近N条历史记录为基线计算均值和离散程度，只有统计上显著的变化才判定为真实变化，其余视为噪声
+ */
+const { summarize, normalCdf, mannWhitneyU } = require('./aggregate.js');
+const { toBaseUnit, METRIC_DIRECTIONS } = require('./metrics.js');
+
+// 默认检测参数
+const DEFAULT_OPTIONS = {
+  window: 10,          // 参与基线计算的历史记录数
+  k: 2,                // 超出基线均值k个标准差才视为显著
+  alpha: 0.05,         // Mann-Whitney检验的显著性水平
+  minSamples: 3,       // 基线至少需要的记录数
+  minScoreSpread: 1,   // 得分的最小标准差，避免基线完全稳定时微小变化被判定为显著
+  minMetricSpread: 0.02 // 指标的最小标准差，占基线均值的比例
+};
+
+/**
+ * 获取记录中某个得分或指标的数值
+ * 多次运行的记录同时返回每次运行的原始数值
+ * @param {object} record - 历史记录
+ * @param {string} type - 'score' 或 'metric'
+ * @param {string} key - 类别或指标ID
+ * @returns {object|null} { value, runs }，缺少数值时返回null
+ */
+function getRecordValue(record, type, key) {
+  if (type === 'score') {
+    if (!record.scores || typeof record.scores[key] !== 'number') return null;
+    const stats = record.stats && record.stats.scores && record.stats.scores[key];
+    return { value: record.scores[key], runs: stats && stats.values ? stats.values : null };
+  }
+  
+  const metric = record.metrics && record.metrics[key];
+  const base = toBaseUnit(metric);
+  if (!base) return null;
+  // 多次运行的原始数值与numericValue单位相同，按同样的系数换算
+  const factor = metric.numericValue ? base.value / metric.numericValue : 1;
+  const stats = record.stats && record.stats.metrics && record.stats.metrics[key];
+  return {
+    value: base.value,
+    unit: base.unit,
+    runs: stats && stats.values ? stats.values.map(value => value * factor) : null
+  };
+}
+
+/**
+ * 检测单个得分或指标的变化是否显著
+ * @param {object} currentRecord - 当前记录
+ * @param {Array<object>} baselineRecords - 基线历史记录
+ * @param {string} type - 'score' 或 'metric'
+ * @param {string} key - 类别或指标ID
+ * @param {object} config - 检测参数
+ * @returns {object|null} 检测结果，当前记录缺少该项时返回null
+ */
+function detectChange(currentRecord, baselineRecords, type, key, config) {
+  const current = getRecordValue(currentRecord, type, key);
+  if (!current) return null;
+  
+  const baseline = baselineRecords
+    .map(record => getRecordValue(record, type, key))
+    .filter(item => item && (!current.unit || item.unit === current.unit));
+  const stats = summarize(baseline.map(item => item.value));
+  const direction = type === 'score' ? 'higher' : (METRIC_DIRECTIONS[key] || 'lower');
+  
+  const result = {
+    type,
+    key,
+    current: current.value,
+    unit: current.unit,
+    direction,
+    samples: baseline.length,
+    baselineMean: stats ? stats.mean : null,
+    baselineStdDev: stats ? stats.stdDev : null,
+    diff: stats ? current.value - stats.mean : null,
+    method: null,
+    zScore: null,
+    pValue: null,
+    confidence: null,
+    significant: false,
+    classification: 'insufficient-data',
+    change: 'unchanged'
+  };
+  
+  if (baseline.length < config.minSamples) {
+    return result;
+  }
+  
+  // 基线完全稳定时使用最小标准差，避免除以0
+  const minSpread = type === 'score' ? config.minScoreSpread : Math.abs(stats.mean) * config.minMetricSpread;
+  const spread = Math.max(stats.stdDev, minSpread);
+  result.zScore = spread > 0 ? result.diff / spread : 0;
+  
+  // 当前记录有多次运行时，用当前各次运行与基线全部运行的数值做秩和检验
+  const currentRuns = current.runs && current.runs.length > 1 ? current.runs : null;
+  const baselineRuns = baseline.flatMap(item => item.runs || [item.value]);
+  const test = currentRuns ? mannWhitneyU(currentRuns, baselineRuns) : null;
+  
+  if (test) {
+    result.method = 'mann-whitney';
+    result.pValue = test.pValue;
+    result.significant = test.pValue < config.alpha && Math.abs(result.zScore) >= 1;
+  } else {
+    result.method = 'z-score';
+    result.pValue = 2 * (1 - normalCdf(Math.abs(result.zScore)));
+    result.significant = Math.abs(result.zScore) >= config.k;
+  }
+  
+  result.confidence = 1 - result.pValue;
+  result.classification = result.significant ? 'real' : 'noise';
+  if (result.significant) {
+    const better = direction === 'lower' ? result.diff < 0 : result.diff > 0;
+    result.change = better ? 'improved' : 'degraded';
+  }
+  return result;
+}
+
+/**
+ * 检测当前记录相对最近N条历史记录的回归
+ * @param {object} currentRecord - 当前记录 { id, device, scores, metrics, stats }
+ * @param {Array<object>} records - 按时间降序排列的历史记录，可以包含当前记录
+ * @param {object} options - 检测参数，见DEFAULT_OPTIONS
+ * @returns {object} { window, samples, scores: { 类别: 检测结果 }, metrics: { 指标: 检测结果 }, regressions, improvements }
+ */
+function detectRegressions(currentRecord, records, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const baselineRecords = records
+    .filter(record =>
+      record.id !== currentRecord.id &&
+      (!currentRecord.device || !record.device || record.device === currentRecord.device)
+    )
+    .slice(0, config.window);
+  
+  const result = {
+    window: config.window,
+    k: config.k,
+    alpha: config.alpha,
+    samples: baselineRecords.length,
+    scores: {},
+    metrics: {},
+    regressions: [],
+    improvements: []
+  };
+  
+  Object.keys(currentRecord.scores || {}).forEach(category => {
+    const change = detectChange(currentRecord, baselineRecords, 'score', category, config);
+    if (change) result.scores[category] = change;
+  });
+  Object.keys(currentRecord.metrics || {}).forEach(metric => {
+    const change = detectChange(currentRecord, baselineRecords, 'metric', metric, config);
+    if (change) result.metrics[metric] = change;
+  });
+  
+  [...Object.values(result.scores), ...Object.values(result.metrics)].forEach(change => {
+    if (change.change === 'degraded') result.regressions.push(change.key);
+    if (change.change === 'improved') result.improvements.push(change.key);
+  });
+  
+  return result;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  detectRegressions
+};
@@ -0,0 +1,434 @@
+/**
+ * 测试结果存储
+ * 所有测试入口（单页测试、批量测试、版本对比）都把每次测试追加到同一个NDJSON文件中，
+ * 对比、趋势报告和批量汇总都从这里按URL、时间范围或标签查询，不再依赖分散的JSON文件和文件修改时间
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 记录结构的版本，结构变化时递增，读取时按版本兼容
+const SCHEMA_VERSION = 1;
+
+// 存储文件名，位于报告根目录下
+const STORE_FILE = 'results.ndjson';
+
+// 计算配置哈希时忽略的选项，这些选项不影响测试结果
+const CONFIG_HASH_IGNORED = ['outputDir', 'createUrlSubDir', 'devicePresets', 'setup', 'storageState', 'budget', 'port'];
+
+/**
+ * 获取存储文件路径
+ * @param {string} outputDir - 报告根目录 (默认: './reports')
+ * @returns {string} 存储文件路径
+ */
+function getStorePath(outputDir = './reports') {
+  return path.join(outputDir, STORE_FILE);
+}
+
+/**
+ * 按键名排序后序列化，保证相同内容得到相同的字符串
+ * @param {*} value - 任意值
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算测试选项的哈希，选项相同的测试结果可以互相比较和复用
+ * @param {object} testOptions - 测试选项
+ * @returns {string} 12位十六进制哈希
+ */
+function hashConfig(testOptions = {}) {
+  const relevant = Object.fromEntries(
+    Object.entries(testOptions).filter(([key]) => !CONFIG_HASH_IGNORED.includes(key))
+  );
+  return crypto.createHash('sha256').update(stableStringify(relevant)).digest('hex').slice(0, 12);
+}
+
+/**
+ * 生成记录id，同一毫秒内的记录用随机后缀区分
+ * @param {string} timestamp - ISO时间
+ * @returns {string} 记录id
+ */
+function createRecordId(timestamp) {
+  return `run-${timestamp.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * 将时间参数转换为毫秒时间戳
+ * @param {Date|string|number} value - 时间
+ * @returns {number} 毫秒时间戳
+ */
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * 追加写入的测试结果存储
+ * 文件中每行是一条记录或一条更新，更新只修改发布版本、黄金基准等标记，读取时合并到对应的记录上
+ */
+class ResultStore {
+  /**
+   * @param {string} storePath - 存储文件路径
+   */
+  constructor(storePath) {
+    this.storePath = storePath;
+    this.baseDir = path.dirname(path.resolve(storePath));
+    this.records = [];
+    this.byId = new Map();
+    this.loadedSize = -1;
+  }
+  
+  /**
+   * 读取存储文件，文件被其他进程追加后重新读取
+   */
+  load() {
+    const size = fs.existsSync(this.storePath) ? fs.statSync(this.storePath).size : 0;
+    if (size === this.loadedSize) return;
+    
+    this.records = [];
+    this.byId = new Map();
+    this.loadedSize = size;
+    if (size === 0) return;
+    
+    fs.readFileSync(this.storePath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // 写入中断留下的半行不影响其他记录
+        console.warn(`${this.storePath}:${index + 1} 无法解析，已跳过`);
+        return;
+      }
+      this.applyEntry(entry);
+    });
+  }
+  
+  /**
+   * 将一行内容合并到内存中的记录
+   * @param {object} entry - 记录或更新
+   */
+  applyEntry(entry) {
+    if (entry.op === 'update') {
+      const record = this.byId.get(entry.id);
+      if (record) Object.assign(record, entry.changes);
+      return;
+    }
+    if (this.byId.has(entry.id)) return;
+    this.records.push(entry);
+    this.byId.set(entry.id, entry);
+  }
+  
+  /**
+   * 追加一行内容到存储文件
+   * @param {object} entry - 记录或更新
+   */
+  write(entry) {
+    this.load();
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const line = `${JSON.stringify(entry)}\n`;
+    fs.appendFileSync(this.storePath, line);
+    this.loadedSize += Buffer.byteLength(line);
+    this.applyEntry(entry);
+  }
+  
+  /**
+   * 保存一条测试记录
+   * @param {object} record - 测试记录，缺少id、timestamp、schema时自动补充
+   * @returns {object} 保存的记录
+   */
+  append(record) {
+    const timestamp = record.timestamp || new Date().toISOString();
+    const stored = {
+      schema: SCHEMA_VERSION,
+      ...record,
+      id: record.id || createRecordId(timestamp),
+      timestamp
+    };
+    this.write(stored);
+    return stored;
+  }
+  
+  /**
+   * 更新记录的字段
+   * @param {string} id - 记录id
+   * @param {object} changes - 要修改的字段
+   * @returns {object} 更新后的记录
+   * @throws {Error} 记录不存在时
+   */
+  update(id, changes) {
+    this.load();
+    if (!this.byId.has(id)) {
+      throw new Error(`未找到测试记录: ${id}`);
+    }
+    this.write({ op: 'update', id, timestamp: new Date().toISOString(), changes });
+    return this.byId.get(id);
+  }
+  
+  /**
+   * 按id获取记录
+   * @param {string} id - 记录id
+   * @returns {object|null} 记录
+   */
+  get(id) {
+    this.load();
+    return this.byId.get(id) || null;
+  }
+  
+  /**
+   * 查询记录
+   * @param {object} filters - 查询条件，未指定的条件不过滤
+   * @param {string|Array<string>} filters.url - URL
+   * @param {Date|string|number} filters.from - 起始时间（包含）
+   * @param {Date|string|number} filters.to - 结束时间（包含）
+   * @param {Array<string>} filters.tags - 带有任一标签
+   * @param {string} filters.device - 设备预设名称
+   * @param {string} filters.source - 记录来源: test、batch、compare、monitor、import
+   * @param {string} filters.batchId - 批量测试id
+   * @param {string} filters.configHash - 测试选项哈希
+   * @param {boolean} filters.includeErrors - 是否包含测试失败的记录 (默认: false)
+   * @param {string} filters.order - 'desc' 或 'asc'，按测试时间排序 (默认: 'desc')
+   * @param {number} filters.limit - 最多返回的记录数
+   * @returns {Array<object>} 记录
+   */
+  query(filters = {}) {
+    this.load();
+    const urls = filters.url ? [].concat(filters.url) : null;
+    const from = filters.from !== undefined ? toTime(filters.from) : null;
+    const to = filters.to !== undefined ? toTime(filters.to) : null;
+    const tags = filters.tags && filters.tags.length > 0 ? filters.tags : null;
+    
+    const results = this.records.filter(record => {
+      const time = toTime(record.timestamp);
+      return (!urls || urls.includes(record.url)) &&
+        (from === null || time >= from) &&
+        (to === null || time <= to) &&
+        (!tags || (record.tags || []).some(tag => tags.includes(tag))) &&
+        (!filters.device || record.device === filters.device) &&
+        (!filters.source || record.source === filters.source) &&
+        (!filters.batchId || record.batchId === filters.batchId) &&
+        (!filters.configHash || record.configHash === filters.configHash) &&
+        (filters.includeErrors || !record.error);
+    });
+    
+    const direction = filters.order === 'asc' ? 1 : -1;
+    results.sort((a, b) => direction * (toTime(a.timestamp) - toTime(b.timestamp)));
+    return filters.limit ? results.slice(0, filters.limit) : results;
+  }
+  
+  /**
+   * 查找同一网站和设备在指定记录之前最近的一次成功测试
+   * 不包括同一次批量测试的记录和缓存复用的记录，用于计算与上一次测试的变化
+   * @param {object} record - 当前记录
+   * @returns {object|null} 上一次的记录
+   */
+  previous(record) {
+    return this.query({ url: record.url, device: record.device, to: record.timestamp }).find(candidate =>
+      candidate.id !== record.id &&
+      candidate.timestamp < record.timestamp &&
+      (!record.batchId || candidate.batchId !== record.batchId) &&
+      !(candidate.run && candidate.run.cached)
+    ) || null;
+  }
+  
+  /**
+   * 列出有测试记录的全部URL
+   * @returns {Array<string>} 按字母排序的URL
+   */
+  listUrls() {
+    this.load();
+    return [...new Set(this.records.filter(record => !record.error).map(record => record.url))].sort();
+  }
+  
+  /**
+   * 获取记录附带文件的绝对路径
+   * @param {object} record - 测试记录
+   * @param {string} name - 文件类型: report、summary、sarif、screenshot、baseline（基准截图）、diff（视觉回归对比图）
+   * @returns {string|null} 绝对路径，记录中没有该文件时返回null
+   */
+  resolveArtifact(record, name) {
+    const relative = record.artifacts && record.artifacts[name];
+    return relative ? path.resolve(this.baseDir, relative) : null;
+  }
+}
+
+// 按存储文件路径复用实例
+const stores = new Map();
+
+/**
+ * 打开报告目录中的结果存储
+ * @param {string} outputDir - 报告根目录 (默认: './reports')
+ * @returns {ResultStore} 存储实例
+ */
+function openStore(outputDir = './reports') {
+  const storePath = path.resolve(getStorePath(outputDir));
+  if (!stores.has(storePath)) {
+    stores.set(storePath, new ResultStore(storePath));
+  }
+  return stores.get(storePath);
+}
+
+/**
+ * 将runFullTest的返回值转换为存储记录
+ * @param {string} url - 网页URL
+ * @param {object} results - runFullTest返回的测试结果，测试失败时可以为null
+ * @param {object} meta - 运行信息
+ * @param {string} meta.source - 记录来源: test、batch、compare、monitor
+ * @param {string} meta.outputDir - 报告根目录，附带文件的路径相对于它保存
+ * @param {object} meta.testOptions - 测试选项，用于计算配置哈希和记录运行参数
+ * @param {string} meta.name - 网站名称
+ * @param {Array<string>} meta.tags - 网站标签
+ * @param {string} meta.batchId - 批量测试id
+ * @param {string} meta.release - 发布版本名称
+ * @param {string} meta.error - 测试失败的原因
+ * @param {boolean} meta.cached - 结果是否来自缓存
+ * @returns {object} 存储记录（尚未保存）
+ */
+function createRunRecord(url, results, meta = {}) {
+  const testOptions = meta.testOptions || {};
+  const baseDir = path.resolve(meta.outputDir || './reports');
+  const timestamp = new Date().toISOString();
+  const record = {
+    url,
+    timestamp,
+    date: new Date(timestamp).toLocaleString('zh-CN'),
+    source: meta.source || 'test',
+    name: meta.name,
+    tags: meta.tags || [],
+    device: (results && results.device) || testOptions.device,
+    batchId: meta.batchId,
+    release: meta.release,
+    configHash: hashConfig(testOptions),
+    run: {
+      runs: testOptions.runs || 1,
+      categories: testOptions.categories,
+      browser: testOptions.browser,
+      cached: meta.cached || undefined,
+      node: process.version
+    }
+  };
+  
+  if (meta.error || !results || !results.lighthouse) {
+    record.error = meta.error || '测试未返回有效结果';
+    return record;
+  }
+  
+  const lighthouse = results.lighthouse;
+  const artifacts = {
+    report: lighthouse.filePath,
+    summary: lighthouse.summaryPath,
+    sarif: lighthouse.sarifPath,
+    screenshot: results.screenshotPath
+  };
+  
+  // 视觉回归测试结果中的文件路径作为附带文件保存
+  let visual;
+  if (results.visual) {
+    const { baselinePath, diffPath, ...rest } = results.visual;
+    visual = rest;
+    artifacts.baseline = baselinePath;
+    artifacts.diff = diffPath;
+  }
+  
+  Object.assign(record, {
+    scores: lighthouse.scores,
+    metrics: lighthouse.metrics,
+    runs: lighthouse.runs || 1,
+    stats: lighthouse.stats || undefined,
+    budget: testOptions.budget || undefined,
+    budgetResult: results.budget || undefined,
+    accessibilityIssues: lighthouse.accessibilityIssues ? lighthouse.accessibilityIssues.length : undefined,
+    visual,
+    artifacts: Object.fromEntries(
+      Object.entries(artifacts)
+        .filter(([, filePath]) => filePath)
+        .map(([name, filePath]) => [name, path.relative(baseDir, path.resolve(filePath)).split(path.sep).join('/')])
+    )
+  });
+  return record;
+}
+
+/**
+ * 保存一次测试的结果
+ * @param {string} url - 网页URL
+ * @param {object} results - runFullTest返回的测试结果
+ * @param {object} meta - 运行信息，同createRunRecord
+ * @returns {object} 保存的记录
+ */
+function recordRun(url, results, meta = {}) {
+  return openStore(meta.outputDir).append(createRunRecord(url, results, meta));
+}
+
+/**
+ * 读取测试的摘要文件(summary-*.json)，获取指标实际值和可访问性问题等存储记录中没有的详情
+ * @param {string|null} summaryPath - 摘要文件路径
+ * @returns {object|null} 摘要数据，文件不存在或无法解析时返回null
+ */
+function readSummaryFile(summaryPath) {
+  if (!summaryPath || !fs.existsSync(summaryPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+  } catch (error) {
+    console.warn(`无法读取摘要文件 ${summaryPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 将存储记录转换为批量汇总中的结果条目
+ * @param {ResultStore} store - 结果存储
+ * @param {object} record - 存储记录
+ * @returns {object} { url, name, tags, device, scores, runs, stats, reportPath, screenshotPath, summaryPath, sarifPath, budget, budgetLimits, visual } 或 { url, name, tags, device, error }
+ */
+function toBatchResult(store, record) {
+  const entry = {
+    url: record.url,
+    name: record.name,
+    tags: record.tags,
+    device: record.device,
+    recordId: record.id
+  };
+  if (record.error) {
+    return { ...entry, error: record.error };
+  }
+  return {
+    ...entry,
+    scores: record.scores,
+    runs: record.runs,
+    stats: record.stats,
+    reportPath: store.resolveArtifact(record, 'report'),
+    screenshotPath: store.resolveArtifact(record, 'screenshot'),
+    summaryPath: store.resolveArtifact(record, 'summary'),
+    sarifPath: store.resolveArtifact(record, 'sarif'),
+    budget: record.budgetResult,
+    budgetLimits: record.budget,
+    visual: record.visual && {
+      ...record.visual,
+      baselinePath: store.resolveArtifact(record, 'baseline'),
+      diffPath: store.resolveArtifact(record, 'diff')
+    }
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ResultStore,
+  getStorePath,
+  hashConfig,
+  openStore,
+  createRunRecord,
+  recordRun,
+  readSummaryFile,
+  toBatchResult
+};
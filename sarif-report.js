@@ -0,0 +1,276 @@
+/**
+ * SARIF报告
+ * 将未通过的Lighthouse审计转换为SARIF 2.1结果，可上传到代码扫描工具，像lint问题一样跟踪和忽略
+ * 每个受影响的元素是一条结果，规则id为审计id，严重程度由审计在类别得分中的权重决定
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+// 默认导出的Lighthouse类别
+const DEFAULT_CATEGORIES = ['accessibility', 'best-practices'];
+
+// 审计权重到SARIF级别的映射，按权重从高到低匹配
+const SEVERITY_LEVELS = [
+  { minWeight: 7, level: 'error' },
+  { minWeight: 3, level: 'warning' },
+  { minWeight: 0, level: 'note' }
+];
+
+// 有得分且可能未通过的审计类型，informative、manual、notApplicable、error的审计不导出
+const SCORED_DISPLAY_MODES = ['binary', 'numeric', 'metricSavings'];
+
+/**
+ * 根据审计权重确定SARIF级别
+ * @param {number} weight - 审计在类别中的权重
+ * @returns {string} 'error'、'warning' 或 'note'
+ */
+function getSeverity(weight) {
+  return SEVERITY_LEVELS.find(item => (weight || 0) >= item.minWeight).level;
+}
+
+/**
+ * 从审计描述中提取帮助链接
+ * Lighthouse的审计描述以Markdown链接结尾，如 "[Learn more](https://...)"
+ * @param {string} description - 审计描述
+ * @returns {string|undefined} 帮助链接
+ */
+function getHelpUri(description) {
+  const match = /\]\((https?:\/\/[^)\s]+)\)/.exec(description || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * 去掉Markdown链接，只保留链接文字
+ * @param {string} text - Markdown文本
+ * @returns {string} 纯文本
+ */
+function stripMarkdown(text) {
+  return (text || '').replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/`/g, '').trim();
+}
+
+/**
+ * 获取审计详情中受影响的元素
+ * 可访问性审计的每个条目带有node，部分最佳实践审计的条目本身就是node
+ * @param {object} audit - Lighthouse审计结果
+ * @returns {Array<object>} [{ selector, snippet, nodeLabel, explanation, path }]
+ */
+function getAffectedNodes(audit) {
+  const items = (audit.details && audit.details.items) || [];
+  return items
+    .map(item => (item.node && item.node.type === 'node' ? item.node : item.type === 'node' ? item : null))
+    .filter(node => node && (node.selector || node.snippet));
+}
+
+/**
+ * 计算结果的指纹，同一页面上同一规则和元素的结果在多次测试之间保持一致，便于跟踪和忽略
+ * @param {string} pageUrl - 网页URL
+ * @param {string} ruleId - 规则id
+ * @param {string} selector - 元素选择器
+ * @returns {string} 指纹
+ */
+function fingerprint(pageUrl, ruleId, selector) {
+  return crypto.createHash('sha256').update(`${pageUrl}|${ruleId}|${selector || ''}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * 生成SARIF规则
+ * @param {object} audit - Lighthouse审计结果
+ * @param {string} category - 审计所属类别
+ * @param {number} weight - 审计权重
+ * @returns {object} SARIF reportingDescriptor
+ */
+function buildRule(audit, category, weight) {
+  const level = getSeverity(weight);
+  return {
+    id: audit.id,
+    name: audit.id,
+    shortDescription: { text: audit.title },
+    fullDescription: { text: stripMarkdown(audit.description) },
+    helpUri: getHelpUri(audit.description),
+    help: { text: stripMarkdown(audit.description), markdown: audit.description },
+    defaultConfiguration: { level },
+    properties: { category, weight, tags: [category] }
+  };
+}
+
+/**
+ * 由Lighthouse结果生成一次SARIF运行
+ * @param {object} lhr - Lighthouse结果(lhr)
+ * @param {object} options - 选项
+ * @param {Array<string>} options.categories - 导出的类别 (默认: accessibility, best-practices)
+ * @param {string} options.device - 设备预设名称，记录在结果属性中
+ * @returns {object} SARIF run
+ */
+function buildSarifRun(lhr, options = {}) {
+  const categories = options.categories || DEFAULT_CATEGORIES;
+  const pageUrl = lhr.finalDisplayedUrl || lhr.finalUrl || lhr.requestedUrl;
+  const rules = [];
+  const results = [];
+  
+  categories.forEach(category => {
+    const categoryResult = lhr.categories && lhr.categories[category];
+    if (!categoryResult) return;
+    
+    categoryResult.auditRefs.forEach(ref => {
+      const audit = lhr.audits[ref.id];
+      // 同一审计可能出现在多个类别中，只导出一次
+      if (!audit || rules.some(rule => rule.id === audit.id)) return;
+      if (!SCORED_DISPLAY_MODES.includes(audit.scoreDisplayMode) || audit.score === null || audit.score >= 1) return;
+      
+      const rule = buildRule(audit, category, ref.weight);
+      rules.push(rule);
+      
+      // 没有具体元素的审计（如控制台错误）以页面本身作为位置
+      const nodes = getAffectedNodes(audit);
+      (nodes.length > 0 ? nodes : [null]).forEach(node => {
+        const detail = node ? (node.explanation || node.nodeLabel) : audit.displayValue;
+        results.push({
+          ruleId: rule.id,
+          ruleIndex: rules.length - 1,
+          level: rule.defaultConfiguration.level,
+          message: { text: detail ? `${audit.title}: ${stripMarkdown(detail)}` : audit.title },
+          // 页面不是源文件，没有行列位置，region需要起始位置，GitHub代码扫描会拒绝只有snippet的region，
+          // 元素的HTML片段放在结果属性中
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: pageUrl }
+            },
+            ...(node && {
+              logicalLocations: [{
+                name: node.selector,
+                fullyQualifiedName: node.path || node.selector,
+                kind: 'element'
+              }]
+            })
+          }],
+          partialFingerprints: { 'lighthouseAuditNode/v1': fingerprint(pageUrl, rule.id, node && node.selector) },
+          properties: {
+            category,
+            score: audit.score,
+            url: pageUrl,
+            ...(options.device && { device: options.device }),
+            ...(node && node.nodeLabel && { nodeLabel: node.nodeLabel }),
+            ...(node && node.snippet && { snippet: node.snippet })
+          }
+        });
+      });
+    });
+  });
+  
+  return {
+    tool: {
+      driver: {
+        name: 'Lighthouse',
+        version: lhr.lighthouseVersion,
+        informationUri: 'https://developer.chrome.com/docs/lighthouse/',
+        rules
+      }
+    },
+    artifacts: [{ location: { uri: pageUrl } }],
+    invocations: [{
+      executionSuccessful: true,
+      endTimeUtc: lhr.fetchTime
+    }],
+    results
+  };
+}
+
+/**
+ * 把多次运行合并为一次运行，规则按id去重，结果的ruleIndex重新编号
+ * 代码扫描工具要求同一工具的结果放在同一次运行中
+ * @param {Array<object>} runs - SARIF run
+ * @returns {object} 合并后的SARIF run
+ */
+function mergeSarifRuns(runs) {
+  const rules = [];
+  const results = [];
+  const artifacts = [];
+  const invocations = [];
+  
+  runs.forEach(run => {
+    const runRules = run.tool.driver.rules || [];
+    runRules.forEach(rule => {
+      if (!rules.some(existing => existing.id === rule.id)) rules.push(rule);
+    });
+    (run.results || []).forEach(result => {
+      results.push({ ...result, ruleIndex: rules.findIndex(rule => rule.id === result.ruleId) });
+    });
+    (run.artifacts || []).forEach(artifact => {
+      if (!artifacts.some(existing => existing.location.uri === artifact.location.uri)) artifacts.push(artifact);
+    });
+    invocations.push(...(run.invocations || []));
+  });
+  
+  const driver = runs.length > 0 ? runs[0].tool.driver : { name: 'Lighthouse', informationUri: 'https://developer.chrome.com/docs/lighthouse/' };
+  return {
+    tool: { driver: { ...driver, rules } },
+    artifacts,
+    invocations,
+    results
+  };
+}
+
+/**
+ * 生成SARIF日志
+ * @param {Array<object>} runs - SARIF run
+ * @returns {object} SARIF日志
+ */
+function createSarifLog(runs) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs
+  };
+}
+
+/**
+ * 由Lighthouse结果保存SARIF报告
+ * @param {object} lhr - Lighthouse结果(lhr)
+ * @param {string} filePath - 输出文件路径
+ * @param {object} options - 同buildSarifRun
+ * @returns {object} { filePath, results } results为结果数量
+ */
+function writeSarifReport(lhr, filePath, options = {}) {
+  const run = buildSarifRun(lhr, options);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(createSarifLog([run]), null, 2));
+  return { filePath, results: run.results.length };
+}
+
+/**
+ * 合并多个SARIF文件，用于批量测试的汇总报告
+ * @param {Array<string>} filePaths - 各网站的SARIF文件路径，不存在的文件会被跳过
+ * @param {string} outputPath - 输出文件路径
+ * @returns {object} { filePath, results } results为结果数量
+ */
+function mergeSarifFiles(filePaths, outputPath) {
+  const runs = filePaths
+    .filter(filePath => filePath && fs.existsSync(filePath))
+    .flatMap(filePath => {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).runs || [];
+      } catch (error) {
+        console.warn(`无法读取SARIF文件 ${filePath}: ${error.message}`);
+        return [];
+      }
+    });
+  
+  const run = mergeSarifRuns(runs);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(createSarifLog([run]), null, 2));
+  return { filePath: outputPath, results: run.results.length };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  SEVERITY_LEVELS,
+  getSeverity,
+  buildSarifRun,
+  mergeSarifRuns,
+  writeSarifReport,
+  mergeSarifFiles
+};
@@ -0,0 +1,296 @@
+/**
+ * 基于sitemap的URL发现
+ * 读取sitemap.xml（支持sitemap索引和gzip压缩的sitemap），按include/exclude规则过滤并按路径前缀抽样
+ */
+const zlib = require('zlib');
+
+/**
+ * 下载sitemap内容，gzip压缩的文件会自动解压
+ * @param {string} url - sitemap地址
+ * @param {object} options - 选项
+ * @param {number} options.timeout - 请求超时时间，毫秒 (默认: 30000)
+ * @returns {Promise<string>} XML文本
+ */
+async function fetchSitemap(url, options = {}) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(options.timeout || 30000),
+    headers: { 'User-Agent': 'playwright-lighthouse-test sitemap reader' }
+  });
+  if (!response.ok) {
+    throw new Error(`下载sitemap失败: ${url} (HTTP ${response.status})`);
+  }
+  
+  // 服务器声明Content-Encoding时fetch已经解压，.xml.gz文件需要根据gzip文件头自行解压
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+/**
+ * 解码XML实体
+ * @param {string} text - XML文本
+ * @returns {string} 解码后的文本
+ */
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析sitemap XML
+ * @param {string} xml - XML文本
+ * @returns {object} { type: 'urlset'|'sitemapindex', locations: 页面或子sitemap地址 }
+ */
+function parseSitemap(xml) {
+  const isIndex = /<(?:\w+:)?sitemapindex[\s>]/.test(xml);
+  if (!isIndex && !/<(?:\w+:)?urlset[\s>]/.test(xml)) {
+    throw new Error('不是有效的sitemap，缺少urlset或sitemapindex元素');
+  }
+  
+  const entryTag = isIndex ? 'sitemap' : 'url';
+  const entryPattern = new RegExp(`<(?:\\w+:)?${entryTag}[\\s>][\\s\\S]*?</(?:\\w+:)?${entryTag}>`, 'g');
+  const locations = (xml.match(entryPattern) || [])
+    .map(entry => {
+      const match = entry.match(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/);
+      return match ? decodeXml(match[1].trim()) : null;
+    })
+    .filter(Boolean);
+  
+  return { type: isIndex ? 'sitemapindex' : 'urlset', locations };
+}
+
+/**
+ * 读取sitemap中的全部页面URL，sitemap索引会递归展开
+ * 索引中的子sitemap读取失败时跳过该文件，继续读取其余的sitemap
+ * @param {string} sitemapUrl - sitemap地址
+ * @param {object} options - 选项
+ * @param {number} options.maxSitemaps - 最多读取的sitemap文件数，防止索引循环引用 (默认: 50)
+ * @param {number} options.timeout - 单个请求的超时时间，毫秒
+ * @returns {Promise<Array<string>>} 去重后的页面URL
+ * @throws {Error} 顶层sitemap下载或解析失败时
+ */
+async function discoverSitemapUrls(sitemapUrl, options = {}) {
+  const maxSitemaps = options.maxSitemaps || 50;
+  const visited = new Set();
+  const pending = [sitemapUrl];
+  const urls = new Set();
+  
+  while (pending.length > 0) {
+    const current = pending.shift();
+    if (visited.has(current)) continue;
+    if (visited.size >= maxSitemaps) {
+      console.warn(`已达到sitemap文件数上限 ${maxSitemaps}，跳过剩余的 ${pending.length + 1} 个`);
+      break;
+    }
+    visited.add(current);
+    
+    console.log(`读取sitemap: ${current}`);
+    let sitemap;
+    try {
+      sitemap = parseSitemap(await fetchSitemap(current, options));
+    } catch (error) {
+      if (current === sitemapUrl) throw error;
+      console.error(`读取sitemap失败，已跳过: ${current}: ${error.message}`);
+      continue;
+    }
+    const { type, locations } = sitemap;
+    if (type === 'sitemapindex') {
+      // 子sitemap地址可能是相对路径
+      locations.forEach(location => pending.push(new URL(location, current).href));
+    } else {
+      locations.forEach(location => urls.add(new URL(location, current).href));
+    }
+  }
+  
+  return [...urls];
+}
+
+/**
+ * 将glob模式转换为正则表达式
+ * `**` 匹配任意字符，`*` 匹配除 / 以外的任意字符，`?` 匹配单个字符
+ * @param {string} pattern - glob模式
+ * @returns {RegExp} 正则表达式
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 检查URL是否匹配glob模式
+ * 以 / 开头的模式匹配路径和查询参数，其他模式匹配完整URL
+ * @param {string} url - 页面URL
+ * @param {string} pattern - glob模式
+ * @returns {boolean} 是否匹配
+ */
+function matchesGlob(url, pattern) {
+  const { pathname, search } = new URL(url);
+  const target = pattern.startsWith('/') ? `${pathname}${search}` : url;
+  return globToRegExp(pattern).test(target);
+}
+
+/**
+ * 按include/exclude规则过滤URL
+ * @param {Array<string>} urls - 页面URL
+ * @param {object} filters - 过滤规则
+ * @param {Array<string>} filters.include - 只保留匹配任一模式的URL，为空时保留全部
+ * @param {Array<string>} filters.exclude - 去掉匹配任一模式的URL
+ * @returns {Array<string>} 过滤后的URL
+ */
+function filterUrls(urls, filters = {}) {
+  const include = filters.include || [];
+  const exclude = filters.exclude || [];
+  return urls.filter(url =>
+    (include.length === 0 || include.some(pattern => matchesGlob(url, pattern))) &&
+    !exclude.some(pattern => matchesGlob(url, pattern))
+  );
+}
+
+/**
+ * 创建可复现的伪随机数生成器 (mulberry32)
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回 [0, 1) 之间随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 获取URL的路径前缀，例如prefixDepth为1时 /blog/2024/post 的前缀为 /blog
+ * @param {string} url - 页面URL
+ * @param {number} prefixDepth - 前缀包含的路径段数
+ * @returns {string} 路径前缀
+ */
+function getPathPrefix(url, prefixDepth = 1) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  return `/${segments.slice(0, prefixDepth).join('/')}`;
+}
+
+/**
+ * 按路径前缀分组，每组随机抽取若干页面
+ * @param {Array<string>} urls - 页面URL
+ * @param {object} sample - 抽样选项
+ * @param {number} sample.perPrefix - 每个路径前缀抽取的页面数
+ * @param {number} sample.prefixDepth - 分组使用的路径段数 (默认: 1)
+ * @param {number} sample.seed - 随机种子，相同的种子抽到相同的页面 (默认: 1)
+ * @returns {Array<string>} 抽样后的URL，保持原有顺序
+ */
+function sampleUrls(urls, sample = {}) {
+  if (!sample.perPrefix) return urls;
+  
+  const random = createRandom(sample.seed !== undefined ? sample.seed : 1);
+  const groups = new Map();
+  urls.forEach((url, index) => {
+    const prefix = getPathPrefix(url, sample.prefixDepth || 1);
+    if (!groups.has(prefix)) groups.set(prefix, []);
+    groups.get(prefix).push(index);
+  });
+  
+  const selected = [];
+  groups.forEach(indexes => {
+    // Fisher-Yates洗牌后取前N个
+    const shuffled = [...indexes];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    selected.push(...shuffled.slice(0, sample.perPrefix));
+  });
+  
+  return selected.sort((a, b) => a - b).map(index => urls[index]);
+}
+
+/**
+ * 按sitemap配置发现需要测试的URL
+ * @param {string|object} source - sitemap地址，或 { url, include, exclude, sample, limit, maxSitemaps }
+ * @param {object} options - 下载选项，同discoverSitemapUrls
+ * @returns {Promise<Array<string>>} 页面URL
+ */
+async function resolveSitemapSource(source, options = {}) {
+  const sitemap = typeof source === 'string' ? { url: source } : source;
+  const discovered = await discoverSitemapUrls(sitemap.url, { ...options, maxSitemaps: sitemap.maxSitemaps || options.maxSitemaps });
+  const filtered = filterUrls(discovered, sitemap);
+  let urls = sampleUrls(filtered, sitemap.sample);
+  if (sitemap.limit && urls.length > sitemap.limit) {
+    urls = urls.slice(0, sitemap.limit);
+  }
+  
+  console.log(`sitemap ${sitemap.url}: 发现 ${discovered.length} 个页面，过滤后 ${filtered.length} 个，选用 ${urls.length} 个`);
+  return urls;
+}
+
+/**
+ * 将配置中的sitemaps展开为网站条目，追加到websites之后
+ * sitemap条目中除发现规则外的字段（如tags、categories）会应用到发现的每个页面
+ * 某个sitemap读取失败时输出错误并跳过，不影响其他sitemap和websites中的网站
+ * @param {object} config - 网站配置
+ * @param {object} options - 下载选项，同discoverSitemapUrls
+ * @returns {Promise<object>} 新的配置，不修改传入的对象
+ */
+async function expandSitemaps(config, options = {}) {
+  if (!config.sitemaps || config.sitemaps.length === 0) {
+    return config;
+  }
+  
+  const websites = [...(config.websites || [])];
+  const known = new Set(websites.map(entry => (typeof entry === 'string' ? entry : entry.url)));
+  
+  for (const source of config.sitemaps) {
+    let urls;
+    try {
+      urls = await resolveSitemapSource(source, options);
+    } catch (error) {
+      console.error(`读取sitemap失败，已跳过: ${typeof source === 'string' ? source : source.url}: ${error.message}`);
+      continue;
+    }
+    const siteOptions = typeof source === 'string' ? {} : (({ url, include, exclude, sample, limit, maxSitemaps, ...rest }) => rest)(source);
+    urls.forEach(url => {
+      if (known.has(url)) return;
+      known.add(url);
+      websites.push(Object.keys(siteOptions).length > 0 ? { ...siteOptions, url } : url);
+    });
+  }
+  
+  return { ...config, websites };
+}
+
+module.exports = {
+  fetchSitemap,
+  parseSitemap,
+  discoverSitemapUrls,
+  globToRegExp,
+  matchesGlob,
+  filterUrls,
+  sampleUrls,
+  resolveSitemapSource,
+  expandSitemaps
+};
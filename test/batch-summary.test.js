@@ -0,0 +1,36 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole } = require('./helpers.js');
+const { generateSummaryReport } = require('../batch-test.js');
+
+before(() => silenceConsole());
+
+test('汇总HTML转义视觉回归说明、对比图链接和错误信息', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-summary-'));
+  try {
+    await generateSummaryReport([
+      {
+        url: 'https://www.example.com/',
+        scores: { performance: 90 },
+        visual: {
+          status: 'error',
+          error: 'bad "value" <img src=x onerror=alert(1)>',
+          diffPath: path.join(outputDir, 'example.com', 'diff "a"&b.png')
+        }
+      },
+      { url: 'https://www.example.com/<script>', error: '<b>超时</b>' }
+    ], outputDir);
+    
+    const html = fs.readFileSync(path.join(outputDir, 'batch-summary.html'), 'utf8');
+    assert.ok(html.includes('title="出错: bad &quot;value&quot; &lt;img src=x onerror=alert(1)&gt;"'));
+    assert.ok(html.includes('<a href="example.com/diff%20%22a%22%26b.png">对比图</a>'));
+    assert.ok(html.includes('https://www.example.com/&lt;script&gt;'));
+    assert.ok(html.includes('测试失败: &lt;b&gt;超时&lt;/b&gt;'));
+    assert.ok(!html.includes('<img src=x'));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readDevToolsPort } = require('../browser.js');
+
+// 只实现readDevToolsPort用到的CDP调用
+const fakeBrowser = args => ({
+  async newBrowserCDPSession() {
+    return {
+      send: async method => {
+        assert.equal(method, 'Browser.getBrowserCommandLine');
+        return { arguments: args };
+      },
+      detach: async () => {}
+    };
+  }
+});
+
+test('从用户数据目录的DevToolsActivePort读取系统分配的端口', async () => {
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtools-port-'));
+  try {
+    const browser = fakeBrowser(['--remote-debugging-port=0', `--user-data-dir=${userDataDir}`]);
+    setTimeout(() => fs.writeFileSync(path.join(userDataDir, 'DevToolsActivePort'), '41234\n/devtools/browser/abc'), 50);
+    assert.equal(await readDevToolsPort(browser), 41234);
+  } finally {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('没有端口文件或用户数据目录时报错', async () => {
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtools-port-'));
+  try {
+    await assert.rejects(readDevToolsPort(fakeBrowser([`--user-data-dir=${userDataDir}`]), 200), /DevToolsActivePort 超时/);
+    await assert.rejects(readDevToolsPort(fakeBrowser(['--headless'])), /无法获取浏览器的用户数据目录/);
+  } finally {
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
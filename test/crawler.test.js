@@ -0,0 +1,23 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceConsole } = require('./helpers.js');
+const { normalizeUrl, expandCrawls } = require('../crawler.js');
+
+before(() => silenceConsole());
+
+test('normalizeUrl去掉锚点、末尾斜杠和统计参数，查询参数按名称排序', () => {
+  assert.equal(normalizeUrl('https://WWW.Example.com/blog/?b=2&utm_source=x&a=1#top'), 'https://www.example.com/blog?a=1&b=2');
+  assert.equal(normalizeUrl('https://www.example.com/list?page=2', { ignoreQuery: true }), 'https://www.example.com/list');
+});
+
+test('expandCrawls记录爬取失败的种子URL后跳过，保留已有网站', async () => {
+  // 登录脚本不存在，爬取在打开页面前失败
+  const { config, graphs } = await expandCrawls({
+    websites: ['https://www.example.com/'],
+    crawl: [{ url: 'https://www.example.com/docs/', setup: './missing-login.js' }]
+  }, './websites.json');
+  
+  assert.deepEqual(config.websites, ['https://www.example.com/']);
+  assert.deepEqual(graphs, []);
+  assert.ok(console.error.mock.calls.some(call => call.arguments[0].includes('爬取失败，已跳过: https://www.example.com/docs/')));
+});
@@ -0,0 +1,44 @@
+// 夏令时测试需要固定时区，每个测试文件在单独的进程中运行
+process.env.TZ = 'America/New_York';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, checkCron } = require('../cron.js');
+
+test('周字段的范围跳过周末', () => {
+  // 2024-06-07是星期五
+  assert.deepEqual(nextRun('0 9 * * 1-5', new Date(2024, 5, 7, 8, 0)), new Date(2024, 5, 7, 9, 0));
+  assert.deepEqual(nextRun('0 9 * * 1-5', new Date(2024, 5, 7, 10, 0)), new Date(2024, 5, 10, 9, 0));
+  assert.deepEqual(nextRun('0 9 * * mon-fri', new Date(2024, 5, 8, 12, 0)), new Date(2024, 5, 10, 9, 0));
+  assert.deepEqual(nextRun('30 18 * * 5-7', new Date(2024, 5, 10, 0, 0)), new Date(2024, 5, 14, 18, 30));
+});
+
+test('日和周都有限制时满足任一即可触发', () => {
+  // 每月1日或每周一，2024-06-01是星期六
+  const schedule = parseCron('0 0 1 * 1');
+  assert.deepEqual(nextRun(schedule, new Date(2024, 4, 31, 12, 0)), new Date(2024, 5, 1, 0, 0));
+  assert.deepEqual(nextRun(schedule, new Date(2024, 5, 1, 12, 0)), new Date(2024, 5, 3, 0, 0));
+});
+
+test('夏令时开始时跳过的时间在跳过后立即触发', () => {
+  // 2024-03-10 America/New_York 从1:59 EST跳到3:00 EDT
+  assert.equal(nextRun('30 2 * * *', new Date('2024-03-10T05:00:00Z')).toISOString(), '2024-03-10T07:00:00.000Z');
+  assert.equal(nextRun('30 2 * * *', new Date('2024-03-10T06:30:00Z')).toISOString(), '2024-03-10T07:00:00.000Z');
+  assert.equal(nextRun('30 2 * * *', new Date('2024-03-10T07:00:00Z')).toISOString(), '2024-03-11T06:30:00.000Z');
+  // 不在跳过时段中的时间不受影响
+  assert.equal(nextRun('30 3 * * *', new Date('2024-03-10T05:00:00Z')).toISOString(), '2024-03-10T07:30:00.000Z');
+});
+
+test('夏令时结束时重复的一小时只触发一次', () => {
+  // 2024-11-03 America/New_York 从1:59 EDT回到1:00 EST
+  const first = nextRun('30 1 * * *', new Date('2024-11-03T04:00:00Z'));
+  assert.equal(first.toISOString(), '2024-11-03T05:30:00.000Z');
+  assert.equal(nextRun('30 1 * * *', first).toISOString(), '2024-11-04T06:30:00.000Z');
+});
+
+test('无效或永远不会触发的表达式', () => {
+  assert.match(checkCron('0 9 * *'), /应包含5个字段/);
+  assert.match(checkCron('0 25 * * *'), /超出范围/);
+  assert.match(checkCron('0 0 30 2 *'), /永远不会触发/);
+  assert.equal(checkCron('@daily'), null);
+});
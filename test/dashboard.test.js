@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole } = require('./helpers.js');
+const { createDashboardServer } = require('../dashboard.js');
+
+const token = 's3cret/+token';
+let reportsDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  silenceConsole();
+  reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-'));
+  server = createDashboardServer({ reportsDir, token });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+  fs.rmSync(reportsDir, { recursive: true, force: true });
+});
+
+const get = (pathname, headers = {}) => fetch(`${baseUrl}${pathname}`, { headers, redirect: 'manual' });
+
+test('设置令牌后查看页面和查询接口也需要令牌', async () => {
+  assert.equal((await get('/')).status, 401);
+  assert.equal((await get('/api/runs')).status, 401);
+  assert.equal((await get('/api/runs', { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await get('/api/runs', { Authorization: `Bearer ${token}` })).status, 200);
+  assert.equal((await get(`/api/runs?token=${encodeURIComponent(token)}`)).status, 200);
+});
+
+test('浏览器通过?token=打开页面时保存Cookie并跳转到去掉令牌的地址', async () => {
+  const response = await get(`/runs?limit=5&token=${encodeURIComponent(token)}`);
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/runs?limit=5');
+  const cookie = response.headers.get('set-cookie');
+  assert.match(cookie, /HttpOnly; SameSite=Strict/);
+  
+  const cookieHeader = cookie.split(';')[0];
+  assert.equal((await get('/runs?limit=5', { Cookie: `other=1; ${cookieHeader}` })).status, 200);
+  assert.equal((await get('/runs', { Cookie: 'lh_dashboard_token=wrong' })).status, 401);
+  
+  // 提交任务只接受Authorization头
+  const post = await fetch(`${baseUrl}/api/jobs`, {
+    method: 'POST',
+    headers: { Cookie: cookieHeader, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'test', url: 'https://www.example.com/' })
+  });
+  assert.equal(post.status, 401);
+});
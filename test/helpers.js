@@ -0,0 +1,44 @@
+/**
+ * 测试辅助函数
+ * 在本机随机端口启动HTTP服务作为测试夹具，测试不访问外部网络
+ */
+const http = require('http');
+const { mock } = require('node:test');
+
+/**
+ * 屏蔽被测模块的控制台输出，测试中可以通过 console.error.mock.calls 检查输出的内容
+ */
+function silenceConsole() {
+  ['log', 'warn', 'error'].forEach(name => mock.method(console, name, () => {}));
+}
+
+/**
+ * 启动本地HTTP服务
+ * @param {Function} handler - 请求处理函数 (req, res, body)，body为完整的请求内容
+ * @returns {Promise<object>} { url: 服务地址（不含末尾斜杠）, requests: 收到的请求 [{ method, url, headers, body }], close }
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('utf8');
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    handler(req, res, body);
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = {
+  silenceConsole,
+  startServer
+};
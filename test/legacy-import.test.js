@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole } = require('./helpers.js');
+const { openStore } = require('../result-store.js');
+const { importLegacyResults } = require('../legacy-import.js');
+
+let reportsDir;
+
+before(() => {
+  silenceConsole();
+  reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-import-'));
+});
+
+after(() => fs.rmSync(reportsDir, { recursive: true, force: true }));
+
+test('新版本批量汇总中recordId已在结果存储中的网站不再重复导入', () => {
+  const stored = openStore(reportsDir).append({
+    url: 'https://www.example.com/',
+    timestamp: '2024-06-09T08:00:00.000Z',
+    scores: { performance: 91 }
+  });
+  
+  const batchDir = path.join(reportsDir, 'batch-summary-2024-06-09T08-00-00-000Z');
+  fs.mkdirSync(batchDir);
+  fs.writeFileSync(path.join(batchDir, 'batch-summary.json'), JSON.stringify({
+    timestamp: '2024-06-09T08:00:00.000Z',
+    results: [
+      { url: 'https://www.example.com/', recordId: stored.id, scores: { performance: 91 } },
+      { url: 'https://www.example.com/about', scores: { performance: 88 } }
+    ]
+  }));
+  
+  const result = importLegacyResults(reportsDir, { dryRun: true });
+  assert.equal(result.skipped, 1);
+  assert.equal(result.imported, 1);
+  assert.equal(result.records[0].url, 'https://www.example.com/about');
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLighthouseFlags } = require('../index.js');
+const { resolveSites } = require('../config.js');
+const { getDevicePreset, toLighthouseSettings } = require('../devices.js');
+
+// 用Lighthouse自身的配置解析得到最终的configSettings，即lhr.configSettings
+async function resolveSettings(flags) {
+  const { initializeConfig } = await import('lighthouse/core/config/config.js');
+  const { resolvedConfig } = await initializeConfig('navigation', undefined, flags);
+  return resolvedConfig.settings;
+}
+
+const buildFlags = testOptions => {
+  const deviceSettings = toLighthouseSettings(getDevicePreset(testOptions.device));
+  return buildLighthouseFlags({ onlyCategories: ['performance'], outputFormat: 'html', ...testOptions }, deviceSettings, 9222);
+};
+
+test('设备预设的节流参数写入lhr.configSettings', async () => {
+  const settings = await resolveSettings(buildFlags({ device: 'desktop' }));
+  assert.equal(settings.throttlingMethod, 'simulate');
+  assert.equal(settings.throttling.rttMs, 40);
+  assert.equal(settings.throttling.throughputKbps, 10240);
+  assert.equal(settings.formFactor, 'desktop');
+  assert.deepEqual(settings.skipAudits, ['uses-http2']);
+  assert.equal(settings.maxWaitForLoad, 60000);
+});
+
+test('多次运行时每次审计前重置存储', () => {
+  assert.equal(buildFlags({ device: 'desktop', runs: 1 }).disableStorageReset, true);
+  assert.equal(buildFlags({ device: 'desktop', runs: 3 }).disableStorageReset, false);
+});
+
+test('网站和命令行的节流覆盖改变lhr.configSettings，未覆盖的字段沿用设备预设', async () => {
+  const config = {
+    testOptions: { device: 'mobile', throttling: { cpuSlowdownMultiplier: 6 } },
+    websites: [{ url: 'https://www.example.com/', throttling: { rttMs: 300 } }]
+  };
+  const [site] = resolveSites(config, './websites.json', { budgets: {}, testOptions: { throttling: { throughputKbps: 800 } } });
+  const settings = await resolveSettings(buildFlags(site.testOptions));
+  
+  assert.equal(settings.throttling.rttMs, 300);
+  assert.equal(settings.throttling.throughputKbps, 800);
+  assert.equal(settings.throttling.cpuSlowdownMultiplier, 6);
+  assert.equal(settings.throttling.requestLatencyMs, 562.5);
+});
@@ -0,0 +1,151 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silenceConsole, startServer } = require('./helpers.js');
+const { Notifier, buildRequest, buildBatchEvents } = require('../notifier.js');
+const { openStore } = require('../result-store.js');
+
+const event = {
+  event: 'site-error',
+  timestamp: '2024-06-09T08:00:00.000Z',
+  batchId: 'batch-summary-2024-06-09T08-00-00-000Z',
+  site: { url: 'https://www.example.com/', name: '示例', error: '导航超时' }
+};
+
+// 按路径返回预先设定的响应序列，最后一个响应重复使用
+const responses = {};
+let server;
+
+before(async () => {
+  silenceConsole();
+  server = await startServer((req, res) => {
+    const pathname = new URL(req.url, server.url).pathname;
+    const queue = responses[pathname] || [{ status: 200, body: '{}' }];
+    const { status, body } = queue.length > 1 ? queue.shift() : queue[0];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body);
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+  Object.keys(responses).forEach(key => delete responses[key]);
+});
+
+const createNotifier = webhook => new Notifier({ webhooks: [webhook], retries: 3, retryDelay: 1, timeout: 5000 });
+
+test('HTTP 5xx和429时重试，成功后停止', async () => {
+  responses['/hook'] = [{ status: 503, body: '' }, { status: 429, body: '' }, { status: 200, body: 'ok' }];
+  const [delivery] = await createNotifier({ url: `${server.url}/hook` }).notify(event);
+  
+  assert.equal(delivery.ok, true);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(server.requests.length, 3);
+  assert.deepEqual(JSON.parse(server.requests[0].body), event);
+  assert.equal(server.requests[0].headers['content-type'], 'application/json');
+});
+
+test('超过重试次数后返回失败，4xx不重试', async () => {
+  responses['/down'] = [{ status: 500, body: '' }];
+  const [failed] = await createNotifier({ url: `${server.url}/down` }).notify(event);
+  assert.equal(failed.ok, false);
+  assert.equal(failed.attempts, 4);
+  assert.equal(failed.error, 'HTTP 500');
+  
+  server.requests.length = 0;
+  responses['/forbidden'] = [{ status: 403, body: '' }];
+  const [rejected] = await createNotifier({ url: `${server.url}/forbidden` }).notify(event);
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.attempts, 1);
+  assert.equal(server.requests.length, 1);
+});
+
+test('飞书和钉钉返回HTTP 200但拒绝请求时不重试', async () => {
+  responses['/feishu'] = [{ status: 200, body: JSON.stringify({ code: 19021, msg: 'sign match fail or timestamp is not within one hour from current time' }) }];
+  const [feishu] = await createNotifier({ url: `${server.url}/feishu`, format: 'feishu' }).notify(event);
+  assert.equal(feishu.ok, false);
+  assert.equal(feishu.attempts, 1);
+  assert.match(feishu.error, /请求被拒绝: 19021/);
+  
+  responses['/dingtalk'] = [{ status: 200, body: JSON.stringify({ errcode: 310000, errmsg: 'keywords not in content' }) }];
+  const [dingtalk] = await createNotifier({ url: `${server.url}/dingtalk`, format: 'dingtalk' }).notify(event);
+  assert.equal(dingtalk.ok, false);
+  assert.equal(dingtalk.attempts, 1);
+  assert.match(dingtalk.error, /请求被拒绝: 310000 keywords not in content/);
+  
+  responses['/dingtalk-ok'] = [{ status: 200, body: JSON.stringify({ errcode: 0, errmsg: 'ok' }) }];
+  const [accepted] = await createNotifier({ url: `${server.url}/dingtalk-ok`, format: 'dingtalk' }).notify(event);
+  assert.equal(accepted.ok, true);
+  assert.equal(server.requests.length, 3);
+});
+
+test('飞书签名写入请求体，密钥和时间戳按飞书规则计算', () => {
+  const now = 1717920000123;
+  const { body } = buildRequest({ url: 'https://open.feishu.cn/open-apis/bot/v2/hook/token', format: 'feishu', secret: 'feishu-secret' }, event, now);
+  
+  const expected = crypto.createHmac('sha256', '1717920000\nfeishu-secret').update('').digest('base64');
+  assert.equal(body.timestamp, '1717920000');
+  assert.equal(body.sign, expected);
+  assert.equal(body.msg_type, 'post');
+});
+
+test('钉钉签名附加在URL查询参数中', () => {
+  const now = 1717920000123;
+  const { url, body } = buildRequest({ url: 'https://oapi.dingtalk.com/robot/send?access_token=token', format: 'dingtalk', secret: 'SECdingtalk' }, event, now);
+  
+  const expected = crypto.createHmac('sha256', 'SECdingtalk').update(`${now}\nSECdingtalk`).digest('base64');
+  const params = new URL(url).searchParams;
+  assert.equal(params.get('access_token'), 'token');
+  assert.equal(params.get('timestamp'), String(now));
+  assert.equal(params.get('sign'), expected);
+  assert.equal(body.msgtype, 'markdown');
+});
+
+test('没有密钥时不签名', () => {
+  const { url, body } = buildRequest({ url: 'https://oapi.dingtalk.com/robot/send?access_token=token', format: 'dingtalk' }, event);
+  assert.equal(new URL(url).searchParams.has('sign'), false);
+  assert.equal(buildRequest({ url: 'https://open.feishu.cn/hook', format: 'feishu' }, event).body.sign, undefined);
+  assert.equal(body.msgtype, 'markdown');
+});
+
+test('只向订阅了该事件的Webhook发送，dry-run不发送请求', async () => {
+  const notifier = new Notifier({
+    webhooks: [
+      { url: `${server.url}/errors`, events: ['site-error'] },
+      { url: `${server.url}/done`, events: ['batch-complete'] }
+    ],
+    retryDelay: 1
+  });
+  const deliveries = await notifier.notify(event);
+  assert.deepEqual(server.requests.map(request => request.url), ['/errors']);
+  assert.equal(deliveries.length, 1);
+  
+  const dryRun = await new Notifier({ webhooks: [{ url: `${server.url}/errors` }] }, { dryRun: true }).notify(event);
+  assert.equal(dryRun[0].dryRun, true);
+  assert.equal(server.requests.length, 1);
+});
+
+test('缓存命中的记录不重复发送回归事件', () => {
+  const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+  try {
+    const store = openStore(reportsDir);
+    const url = 'https://www.example.com/';
+    [95, 96, 94, 95, 96].forEach((performance, index) => {
+      store.append({ url, timestamp: `2024-06-0${index + 1}T08:00:00.000Z`, scores: { performance } });
+    });
+    const degraded = store.append({ url, timestamp: '2024-06-08T08:00:00.000Z', scores: { performance: 60 } });
+    const cached = store.append({ url, timestamp: '2024-06-09T08:00:00.000Z', scores: { performance: 60 }, run: { cached: true } });
+    
+    const eventsFor = record => buildBatchEvents({ batchId: 'batch', results: [{ url, recordId: record.id, scores: record.scores }] }, { store })
+      .map(item => item.event);
+    assert.deepEqual(eventsFor(degraded), ['regression', 'batch-complete']);
+    assert.deepEqual(eventsFor(cached), ['batch-complete']);
+  } finally {
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+  }
+});
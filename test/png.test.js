@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodePng, encodePng } = require('../png.js');
+
+// 测试只解码，数据块的CRC校验值不检查
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+};
+
+const buildPng = (width, height, colorType, rows, extraChunks = []) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...extraChunks,
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows.flat()))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+test('RGBA像素编码后解码得到相同的图像', () => {
+  const width = 7;
+  const height = 5;
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (i * 37 + (i >> 2) * 11) & 0xff;
+  }
+  
+  const decoded = decodePng(encodePng({ width, height, data }));
+  assert.equal(decoded.width, width);
+  assert.equal(decoded.height, height);
+  assert.ok(decoded.data.equals(data));
+});
+
+test('解码灰度、调色板图像和各种行过滤方式', () => {
+  // 第一行无过滤，第二行Up过滤，第三行Paeth过滤
+  const gray = decodePng(buildPng(2, 3, 0, [[0, 10, 200], [2, 5, 5], [4, 1, 1]]));
+  assert.deepEqual([...gray.data], [
+    10, 10, 10, 255, 200, 200, 200, 255,
+    15, 15, 15, 255, 205, 205, 205, 255,
+    16, 16, 16, 255, 206, 206, 206, 255
+  ]);
+  
+  const palette = chunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255]));
+  const transparency = chunk('tRNS', Buffer.from([128]));
+  const indexed = decodePng(buildPng(2, 1, 3, [[0, 0, 1]], [palette, transparency]));
+  assert.deepEqual([...indexed.data], [255, 0, 0, 128, 0, 0, 255, 255]);
+});
+
+test('不是PNG或格式不支持时报错', () => {
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /不是有效的PNG文件/);
+  assert.throws(() => decodePng(buildPng(1, 1, 5, [[0, 0]])), /不支持的PNG格式/);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectRegressions } = require('../regression.js');
+
+const record = (id, performance, extra = {}) => ({ id, device: 'desktop', scores: { performance }, ...extra });
+const history = [90, 92, 91, 89, 90, 91].map((score, index) => record(`run-${index}`, score));
+
+test('单次运行的记录使用z-score，超出k个标准差才判定为真实变化', () => {
+  const degraded = detectRegressions(record('current', 80), history);
+  assert.equal(degraded.scores.performance.method, 'z-score');
+  assert.equal(degraded.scores.performance.classification, 'real');
+  assert.equal(degraded.scores.performance.change, 'degraded');
+  assert.deepEqual(degraded.regressions, ['performance']);
+  
+  const noise = detectRegressions(record('current', 89), history);
+  assert.equal(noise.scores.performance.method, 'z-score');
+  assert.equal(noise.scores.performance.classification, 'noise');
+  assert.equal(noise.scores.performance.change, 'unchanged');
+  assert.deepEqual(noise.regressions, []);
+});
+
+test('多次运行的记录使用Mann-Whitney检验', () => {
+  const withRuns = (performance, values) => record('current', performance, { stats: { scores: { performance: { values } } } });
+  
+  const degraded = detectRegressions(withRuns(80, [79, 80, 81, 80, 78]), history);
+  assert.equal(degraded.scores.performance.method, 'mann-whitney');
+  assert.equal(degraded.scores.performance.classification, 'real');
+  assert.ok(degraded.scores.performance.pValue < 0.05);
+  
+  // 中位数偏低，但各次运行与基线重叠，判定为波动
+  const noise = detectRegressions(withRuns(87, [87, 93, 84, 92, 90]), history);
+  assert.equal(noise.scores.performance.method, 'mann-whitney');
+  assert.equal(noise.scores.performance.classification, 'noise');
+});
+
+test('指标越低越好，基线不足时不判定', () => {
+  const lcp = value => ({ 'largest-contentful-paint': { numericValue: value, numericUnit: 'millisecond' } });
+  const baseline = [2000, 2100, 1950, 2050].map((value, index) => record(`run-${index}`, 90, { metrics: lcp(value) }));
+  
+  const improved = detectRegressions(record('current', 90, { metrics: lcp(1200) }), baseline);
+  assert.equal(improved.metrics['largest-contentful-paint'].change, 'improved');
+  assert.deepEqual(improved.improvements, ['largest-contentful-paint']);
+  
+  const insufficient = detectRegressions(record('current', 80), history.slice(0, 2));
+  assert.equal(insufficient.scores.performance.classification, 'insufficient-data');
+  assert.equal(insufficient.samples, 2);
+});
+
+test('只与相同设备的记录比较，并排除当前记录', () => {
+  const current = record('current', 80);
+  const mixed = [current, ...history.map(item => ({ ...item, device: 'mobile' }))];
+  assert.equal(detectRegressions(current, mixed).samples, 0);
+});
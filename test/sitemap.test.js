@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { silenceConsole, startServer } = require('./helpers.js');
+const { parseSitemap, discoverSitemapUrls, resolveSitemapSource, expandSitemaps } = require('../sitemap.js');
+
+const urlset = urls => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${url}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = locations => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locations.map(location => `  <sitemap><loc>${location}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+let server;
+
+before(async () => {
+  silenceConsole();
+  server = await startServer((req, res) => {
+    const base = server.url;
+    const files = {
+      '/sitemap_index.xml': sitemapIndex(['/pages.xml', `${base}/posts.xml.gz`, '/missing.xml']),
+      '/pages.xml': urlset([`${base}/`, `${base}/about`, `${base}/blog/`]),
+      '/posts.xml.gz': zlib.gzipSync(urlset([`${base}/blog/hello`, `${base}/blog/draft-1`, `${base}/blog/2024/recap?ref=a&amp;b=1`])),
+      '/broken.xml': '<html>not a sitemap</html>'
+    };
+    if (!files[req.url]) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(files[req.url]);
+  });
+});
+
+after(() => server.close());
+
+test('parseSitemap区分urlset和sitemap索引并解码XML实体', () => {
+  assert.deepEqual(parseSitemap(urlset(['https://a.com/?x=1&amp;y=2'])), { type: 'urlset', locations: ['https://a.com/?x=1&y=2'] });
+  assert.equal(parseSitemap(sitemapIndex(['https://a.com/s.xml'])).type, 'sitemapindex');
+  assert.throws(() => parseSitemap('<html></html>'), /不是有效的sitemap/);
+});
+
+test('sitemap索引递归读取子sitemap，解压gzip文件并跳过读取失败的子sitemap', async () => {
+  const urls = await discoverSitemapUrls(`${server.url}/sitemap_index.xml`);
+  assert.deepEqual(urls, [
+    `${server.url}/`,
+    `${server.url}/about`,
+    `${server.url}/blog/`,
+    `${server.url}/blog/hello`,
+    `${server.url}/blog/draft-1`,
+    `${server.url}/blog/2024/recap?ref=a&b=1`
+  ]);
+});
+
+test('顶层sitemap读取失败时抛出错误', async () => {
+  await assert.rejects(discoverSitemapUrls(`${server.url}/missing.xml`), /HTTP 404/);
+  await assert.rejects(discoverSitemapUrls(`${server.url}/broken.xml`), /不是有效的sitemap/);
+});
+
+test('按include和exclude规则过滤发现的页面', async () => {
+  const urls = await resolveSitemapSource({
+    url: `${server.url}/sitemap_index.xml`,
+    include: ['/blog/**'],
+    exclude: ['/blog/draft-*']
+  });
+  assert.deepEqual(urls, [
+    `${server.url}/blog/`,
+    `${server.url}/blog/hello`,
+    `${server.url}/blog/2024/recap?ref=a&b=1`
+  ]);
+});
+
+test('expandSitemaps跳过读取失败的sitemap，保留其他来源的网站', async () => {
+  const config = await expandSitemaps({
+    websites: [`${server.url}/about`],
+    sitemaps: [
+      `${server.url}/missing.xml`,
+      { url: `${server.url}/pages.xml`, tags: ['sitemap'] }
+    ]
+  });
+  assert.deepEqual(config.websites, [
+    `${server.url}/about`,
+    { tags: ['sitemap'], url: `${server.url}/` },
+    { tags: ['sitemap'], url: `${server.url}/blog/` }
+  ]);
+  assert.ok(console.error.mock.calls.some(call => call.arguments[0].includes(`${server.url}/missing.xml`)));
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareImages } = require('../visual-regression.js');
+
+// 纯色图像，可以在指定区域填充另一种颜色
+const solidImage = (width, height, fill = [255, 255, 255, 255], block = null) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBlock = block && x >= block.x && x < block.x + block.size && y >= block.y && y < block.y + block.size;
+      data.set(inBlock ? block.color : fill, (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+test('相同的图像没有差异，改变的区域按像素计算差异比例', () => {
+  const identical = compareImages(solidImage(10, 10), solidImage(10, 10));
+  assert.equal(identical.diffPixels, 0);
+  assert.equal(identical.mismatchPercent, 0);
+  assert.equal(identical.sizeChanged, false);
+  
+  const changed = compareImages(solidImage(10, 10), solidImage(10, 10, undefined, { x: 4, y: 4, size: 2, color: [0, 0, 0, 255] }));
+  assert.equal(changed.diffPixels, 4);
+  assert.equal(changed.mismatchPercent, 4);
+});
+
+test('尺寸不同时在较大的画布上比较，超出范围的像素计为差异', () => {
+  const taller = compareImages(solidImage(10, 10), solidImage(10, 12));
+  assert.equal(taller.sizeChanged, true);
+  assert.equal(taller.width, 10);
+  assert.equal(taller.height, 12);
+  assert.equal(taller.totalPixels, 120);
+  assert.equal(taller.diffPixels, 20);
+  assert.equal(taller.mismatchPercent, 16.6667);
+  
+  const narrower = compareImages(solidImage(10, 10), solidImage(8, 10));
+  assert.equal(narrower.width, 10);
+  assert.equal(narrower.diffPixels, 20);
+  assert.equal(narrower.mismatchPercent, 20);
+  
+  // 宽度变小、高度变大时两部分都计入
+  const both = compareImages(solidImage(10, 10), solidImage(8, 12));
+  assert.equal(both.totalPixels, 120);
+  assert.equal(both.diffPixels, 120 - 80);
+  assert.equal(both.diff.data.length, 120 * 4);
+});
@@ -0,0 +1,498 @@
+/**
+ * 历史趋势报告
+ * 读取reports/<网站域名>/history中的历史记录，用内联SVG绘制各类别得分和关键指标随时间的变化
+ * 生成的HTML不依赖CDN和外部脚本，可以直接打开或作为CI产物保存
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { listHistory, listHistoryUrls, getArtifactPath } = require('./history.js');
+const { METRIC_DIRECTIONS, toBaseUnit, formatMetricValue } = require('./metrics.js');
+const { detectRegressions } = require('./regression.js');
+
+// 折线颜色，依次分配给各条曲线
+const SERIES_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22'];
+
+// 图表尺寸
+const CHART = {
+  width: 640,
+  height: 240,
+  padding: { top: 20, right: 20, bottom: 40, left: 64 }
+};
+
+/**
+ * 转义HTML和SVG文本
+ * @param {*} value - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 计算从HTML文件到目标文件的相对链接
+ * @param {string} fromFile - HTML文件路径
+ * @param {string|null} target - 目标文件的绝对路径
+ * @returns {string|null} 相对链接
+ */
+function relativeHref(fromFile, target) {
+  if (!target) return null;
+  return path.relative(path.dirname(path.resolve(fromFile)), target).split(path.sep).join('/');
+}
+
+/**
+ * 获取URL对应的文件名，根路径为index
+ * 附加URL哈希，/a-b 和 /a/b 这类替换特殊字符后相同的路径不会写到同一个文件
+ * @param {string} url - 网站URL
+ * @returns {string} 文件名（不含扩展名），如 pricing-3fa8b1c2
+ */
+function getTrendSlug(url) {
+  const { pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'index';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return `${slug}-${hash}`;
+}
+
+/**
+ * 获取单个URL趋势报告的保存路径
+ * @param {string} url - 网站URL
+ * @param {string} outputDir - 报告根目录 (默认: './reports')
+ * @returns {string} HTML文件路径
+ */
+function getTrendPath(url, outputDir = './reports') {
+  return path.join(outputDir, new URL(url).hostname.replace('www.', ''), 'trends', `${getTrendSlug(url)}.html`);
+}
+
+/**
+ * 整理单个URL的趋势数据
+ * 每条记录都与同设备更早的记录做统计回归检测，标记出退步的得分和指标
+ * @param {string} url - 网站URL
+ * @param {Array<object>} records - 按时间降序排列的历史记录，listHistory的返回值
+ * @param {object} options - 选项
+ * @param {object} options.budget - 性能预算 { scores, metrics }，未提供时使用最近一条记录保存的预算
+ * @param {object} options.regression - 回归检测参数，见regression.js的DEFAULT_OPTIONS
+ * @param {string} options.outputDir - 报告根目录，用于定位报告和截图
+ * @returns {object} { url, budget, devices, categories, metrics, points }
+ */
+function buildTrend(url, records, options = {}) {
+  const ordered = [...records].reverse();
+  const latestBudget = records.find(record => record.budget);
+  
+  const points = ordered.map((record, index) => {
+    const older = ordered.slice(0, index).reverse();
+    const regression = detectRegressions(record, older, options.regression);
+    return {
+      id: record.id,
+      time: new Date(record.timestamp).getTime(),
+      timestamp: record.timestamp,
+      date: record.date,
+      device: record.device || 'desktop',
+      release: record.release,
+      golden: record.golden,
+      scores: record.scores || {},
+      metrics: Object.fromEntries(
+        Object.entries(record.metrics || {})
+          .map(([key, metric]) => [key, toBaseUnit(metric)])
+          .filter(([, value]) => value)
+      ),
+      regressions: regression.regressions,
+      report: getArtifactPath(url, record, 'report', options),
+      screenshot: getArtifactPath(url, record, 'screenshot', options)
+    };
+  });
+  
+  // 按首次出现的顺序收集类别和指标
+  const categories = [...new Set(points.flatMap(point => Object.keys(point.scores)))];
+  const metrics = [...new Set(points.flatMap(point => Object.keys(point.metrics)))];
+  const metricTitles = {};
+  records.forEach(record => {
+    Object.entries(record.metrics || {}).forEach(([key, metric]) => {
+      if (!metricTitles[key] && metric && metric.title) metricTitles[key] = metric.title;
+    });
+  });
+  
+  return {
+    url,
+    budget: options.budget || (latestBudget ? latestBudget.budget : null),
+    devices: [...new Set(points.map(point => point.device))],
+    categories,
+    metrics,
+    metricTitles,
+    points
+  };
+}
+
+/**
+ * 生成X轴上的时间标签
+ * @param {number} time - 毫秒时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * 用内联SVG绘制折线图
+ * @param {object} chart - 图表数据
+ * @param {string} chart.title - 图表标题
+ * @param {Array<object>} chart.series - [{ name, points: [{ time, value, href, label, regression }] }]
+ * @param {string} chart.unit - 数值单位，'score'表示0-100的得分
+ * @param {number} chart.budget - 预算值，绘制为虚线
+ * @returns {string} SVG
+ */
+function renderLineChart(chart) {
+  const { width, height, padding } = CHART;
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const allPoints = chart.series.flatMap(series => series.points);
+  if (allPoints.length === 0) {
+    return '';
+  }
+  
+  // 得分固定为0-100，指标从0开始并为预算线留出空间
+  const isScore = chart.unit === 'score';
+  const maxValue = isScore ? 100 : Math.max(...allPoints.map(point => point.value), chart.budget || 0) * 1.1 || 1;
+  const minTime = Math.min(...allPoints.map(point => point.time));
+  const maxTime = Math.max(...allPoints.map(point => point.time));
+  const x = time => padding.left + (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+  const formatValue = value => (isScore ? value.toFixed(0) : formatMetricValue(value, chart.unit));
+  
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(ratio => {
+    const value = maxValue * ratio;
+    return `<line class="grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"/>` +
+      `<text class="axis" x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${escapeHtml(formatValue(value))}</text>`;
+  }).join('');
+  
+  const xLabels = [...new Set([minTime, maxTime])].map(time =>
+    `<text class="axis" x="${x(time)}" y="${height - padding.bottom + 18}" text-anchor="middle">${formatDay(time)}</text>`
+  ).join('');
+  
+  const budgetLine = typeof chart.budget === 'number' && chart.budget <= maxValue ?
+    `<line class="budget" x1="${padding.left}" x2="${width - padding.right}" y1="${y(chart.budget)}" y2="${y(chart.budget)}"/>` +
+    `<text class="budget-label" x="${width - padding.right}" y="${y(chart.budget) - 4}" text-anchor="end">预算 ${escapeHtml(formatValue(chart.budget))}</text>` : '';
+  
+  const lines = chart.series.map((series, index) => {
+    const color = SERIES_COLORS[index % SERIES_COLORS.length];
+    const sorted = [...series.points].sort((a, b) => a.time - b.time);
+    const polyline = sorted.length > 1 ?
+      `<polyline fill="none" stroke="${color}" stroke-width="2" points="${sorted.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ')}"/>` : '';
+    const dots = sorted.map(point => {
+      const circle = `<circle class="${point.regression ? 'regression' : 'point'}" cx="${x(point.time).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="${point.regression ? 6 : 4}" fill="${point.regression ? '#dc3545' : color}">` +
+        `<title>${escapeHtml(`${series.name}\n${point.label}\n${formatValue(point.value)}${point.regression ? '\n统计显著的退步' : ''}`)}</title></circle>`;
+      return point.href ? `<a href="${escapeHtml(point.href)}" target="_blank">${circle}</a>` : circle;
+    }).join('');
+    return polyline + dots;
+  }).join('');
+  
+  const legend = chart.series.length > 1 ? chart.series.map((series, index) =>
+    `<span class="legend-item"><span class="swatch" style="background:${SERIES_COLORS[index % SERIES_COLORS.length]}"></span>${escapeHtml(series.name)}</span>`
+  ).join('') : '';
+  
+  return `
+    <div class="chart">
+      <h3>${escapeHtml(chart.title)}</h3>
+      <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(chart.title)}">
+        ${grid}${xLabels}${budgetLine}${lines}
+      </svg>
+      ${legend ? `<div class="legend">${legend}</div>` : ''}
+    </div>`;
+}
+
+/**
+ * 将趋势数据中的某个得分或指标转换为折线
+ * @param {object} trend - buildTrend返回的趋势数据
+ * @param {string} type - 'score' 或 'metric'
+ * @param {string} key - 类别或指标ID
+ * @param {string} htmlPath - 报告文件路径，用于计算链接
+ * @param {string} [namePrefix] - 曲线名称前缀，多站点报告中使用网站URL
+ * @returns {object} { unit, series }
+ */
+function toSeries(trend, type, key, htmlPath, namePrefix) {
+  let unit = 'score';
+  const series = trend.devices.map(device => {
+    const points = trend.points
+      .filter(point => point.device === device)
+      .map(point => {
+        const entry = type === 'score' ? { value: point.scores[key] } : point.metrics[key];
+        if (!entry || typeof entry.value !== 'number') return null;
+        if (type === 'metric') unit = entry.unit;
+        return {
+          time: point.time,
+          value: entry.value,
+          href: relativeHref(htmlPath, point.report),
+          label: `${point.date || point.timestamp}${point.release ? ` (${point.release})` : ''}`,
+          regression: point.regressions.includes(key)
+        };
+      })
+      .filter(Boolean);
+    const name = [namePrefix, trend.devices.length > 1 || namePrefix ? device : null].filter(Boolean).join(' - ');
+    return { name: name || device, points };
+  }).filter(series => series.points.length > 0);
+  return { unit, series };
+}
+
+/**
+ * 获取某个得分或指标的预算值
+ * @param {object} budget - 性能预算
+ * @param {string} type - 'score' 或 'metric'
+ * @param {string} key - 类别或指标ID
+ * @returns {number|undefined} 预算值
+ */
+function getBudgetLimit(budget, type, key) {
+  if (!budget) return undefined;
+  const limits = type === 'score' ? budget.scores : budget.metrics;
+  return limits ? limits[key] : undefined;
+}
+
+// 趋势报告的页面样式
+const PAGE_STYLE = `
+      body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; color: #333; }
+      h1, h2, h3 { color: #2c3e50; }
+      .container { max-width: 1400px; margin: 0 auto; }
+      .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+      .charts { display: flex; flex-wrap: wrap; gap: 20px; }
+      .chart { background: white; border-radius: 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); padding: 10px 15px; }
+      .chart h3 { margin: 0 0 5px; font-size: 1em; }
+      .chart .grid { stroke: #e1e1e1; }
+      .chart .axis { font-size: 11px; fill: #6c757d; }
+      .chart .budget { stroke: #dc3545; stroke-dasharray: 6 4; }
+      .chart .budget-label { font-size: 11px; fill: #dc3545; }
+      .legend { font-size: 0.85em; }
+      .legend-item { margin-right: 12px; white-space: nowrap; }
+      .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+      table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+      th, td { padding: 8px 12px; text-align: left; border-bottom: 1px solid #e1e1e1; }
+      th { background-color: #f8f9fa; }
+      .degraded { color: #dc3545; }`;
+
+/**
+ * 生成单个URL的趋势报告HTML
+ * @param {object} trend - buildTrend返回的趋势数据
+ * @param {string} htmlPath - 报告文件路径，用于计算报告和截图的相对链接
+ * @returns {string} HTML
+ */
+function renderTrendHtml(trend, htmlPath) {
+  const scoreCharts = trend.categories.map(category => {
+    const { series } = toSeries(trend, 'score', category, htmlPath);
+    return renderLineChart({ title: `${category} 得分`, series, unit: 'score', budget: getBudgetLimit(trend.budget, 'score', category) });
+  }).join('');
+  
+  const metricCharts = trend.metrics.map(metric => {
+    const { unit, series } = toSeries(trend, 'metric', metric, htmlPath);
+    const direction = METRIC_DIRECTIONS[metric] === 'higher' ? '越大越好' : '越小越好';
+    return renderLineChart({
+      title: `${trend.metricTitles[metric] || metric} (${direction})`,
+      series,
+      unit,
+      budget: getBudgetLimit(trend.budget, 'metric', metric)
+    });
+  }).join('');
+  
+  const rows = [...trend.points].reverse().map(point => {
+    const report = relativeHref(htmlPath, point.report);
+    const screenshot = relativeHref(htmlPath, point.screenshot);
+    return `
+          <tr>
+            <td>${escapeHtml(point.date || point.timestamp)}</td>
+            <td>${escapeHtml(point.device)}</td>
+            <td>${point.release ? escapeHtml(point.release) : ''}${point.golden ? ' (黄金基准)' : ''}</td>
+            <td>${trend.categories.map(category => (typeof point.scores[category] === 'number' ? point.scores[category].toFixed(0) : '-')).join(' / ')}</td>
+            <td class="degraded">${point.regressions.map(escapeHtml).join(', ')}</td>
+            <td>${report ? `<a href="${escapeHtml(report)}" target="_blank">报告</a>` : ''} ${screenshot ? `<a href="${escapeHtml(screenshot)}" target="_blank">截图</a>` : ''}</td>
+          </tr>`;
+  }).join('');
+  
+  return `
+  <!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>性能趋势报告 - ${escapeHtml(trend.url)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>性能趋势报告</h1>
+        <p><strong>网站:</strong> ${escapeHtml(trend.url)}</p>
+        <p><strong>历史记录:</strong> ${trend.points.length} 条，设备: ${trend.devices.map(escapeHtml).join(', ')}</p>
+        <p>点击数据点打开对应的Lighthouse报告，红色数据点为统计显著的退步，红色虚线为性能预算。</p>
+      </div>
+      
+      <h2>类别得分</h2>
+      <div class="charts">${scoreCharts}</div>
+      
+      <h2>关键性能指标</h2>
+      <div class="charts">${metricCharts}</div>
+      
+      <h2>测试记录</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>测试时间</th>
+            <th>设备</th>
+            <th>发布版本</th>
+            <th>得分 (${trend.categories.map(escapeHtml).join(' / ')})</th>
+            <th>统计显著的退步</th>
+            <th>文件</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      
+      <div class="footer">
+        <p>报告生成时间: ${new Date().toLocaleString('zh-CN')}</p>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+/**
+ * 生成多个URL的趋势总览HTML，每个类别和指标的图表中叠加所有网站的曲线
+ * @param {Array<object>} trends - buildTrend返回的趋势数据
+ * @param {string} htmlPath - 总览文件路径，用于计算链接
+ * @param {object} trendPaths - { url: 单个URL趋势报告路径 }
+ * @returns {string} HTML
+ */
+function renderOverviewHtml(trends, htmlPath, trendPaths = {}) {
+  const categories = [...new Set(trends.flatMap(trend => trend.categories))];
+  const metrics = [...new Set(trends.flatMap(trend => trend.metrics))];
+  const metricTitles = Object.assign({}, ...trends.map(trend => trend.metricTitles));
+  
+  const renderCombined = (type, key, title) => {
+    let unit = 'score';
+    const series = trends.flatMap(trend => {
+      const result = toSeries(trend, type, key, htmlPath, trend.url);
+      if (result.series.length > 0 && type === 'metric') unit = result.unit;
+      return result.series;
+    });
+    return renderLineChart({ title, series, unit });
+  };
+  
+  const rows = trends.map(trend => {
+    const latest = trend.points[trend.points.length - 1];
+    const link = relativeHref(htmlPath, trendPaths[trend.url] && path.resolve(trendPaths[trend.url]));
+    return `
+          <tr>
+            <td>${link ? `<a href="${escapeHtml(link)}">${escapeHtml(trend.url)}</a>` : escapeHtml(trend.url)}</td>
+            <td>${trend.points.length}</td>
+            <td>${latest ? escapeHtml(latest.date || latest.timestamp) : ''}</td>
+            <td>${latest ? categories.map(category => (typeof latest.scores[category] === 'number' ? latest.scores[category].toFixed(0) : '-')).join(' / ') : ''}</td>
+            <td class="degraded">${latest ? latest.regressions.map(escapeHtml).join(', ') : ''}</td>
+          </tr>`;
+  }).join('');
+  
+  return `
+  <!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>性能趋势总览</title>
+    <style>${PAGE_STYLE}
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>性能趋势总览</h1>
+        <p><strong>网站数量:</strong> ${trends.length}</p>
+        <p>点击网站查看单独的趋势报告，点击数据点打开对应的Lighthouse报告，红色数据点为统计显著的退步。</p>
+      </div>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>网站</th>
+            <th>记录数</th>
+            <th>最近测试</th>
+            <th>最近得分 (${categories.map(escapeHtml).join(' / ')})</th>
+            <th>最近一次统计显著的退步</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      
+      <h2>类别得分</h2>
+      <div class="charts">${categories.map(category => renderCombined('score', category, `${category} 得分`)).join('')}</div>
+      
+      <h2>关键性能指标</h2>
+      <div class="charts">${metrics.map(metric => renderCombined('metric', metric, metricTitles[metric] || metric)).join('')}</div>
+      
+      <div class="footer">
+        <p>报告生成时间: ${new Date().toLocaleString('zh-CN')}</p>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+/**
+ * 生成趋势报告：每个URL一个报告，外加一个多站点总览
+ * @param {object} options - 选项
+ * @param {string} options.outputDir - 报告根目录 (默认: './reports')
+ * @param {Array<string>} options.urls - 只生成这些URL的报告，默认为报告目录中有历史记录的全部URL
+ * @param {object} options.budgets - { url: 性能预算 }，未提供的URL使用历史记录中保存的预算
+ * @param {object} options.regression - 回归检测参数
+ * @returns {object} { overviewPath, reports: [{ url, path, records }] }
+ */
+function generateTrendReport(options = {}) {
+  const outputDir = options.outputDir || './reports';
+  const urls = options.urls && options.urls.length > 0 ? options.urls : listHistoryUrls({ outputDir });
+  console.log(`生成趋势报告，共 ${urls.length} 个网站...`);
+  
+  const trends = [];
+  const reports = [];
+  const trendPaths = {};
+  urls.forEach(url => {
+    const records = listHistory(url, { outputDir });
+    if (records.length === 0) {
+      console.warn(`没有找到 ${url} 的历史记录，跳过`);
+      return;
+    }
+    
+    const trend = buildTrend(url, records, {
+      outputDir,
+      budget: options.budgets && options.budgets[url],
+      regression: options.regression
+    });
+    const trendPath = getTrendPath(url, outputDir);
+    fs.mkdirSync(path.dirname(trendPath), { recursive: true });
+    fs.writeFileSync(trendPath, renderTrendHtml(trend, trendPath));
+    console.log(`趋势报告已保存至: ${trendPath}`);
+    
+    trends.push(trend);
+    trendPaths[url] = trendPath;
+    reports.push({ url, path: trendPath, records: records.length });
+  });
+  
+  let overviewPath = null;
+  if (trends.length > 0) {
+    overviewPath = path.join(outputDir, 'trends.html');
+    fs.writeFileSync(overviewPath, renderOverviewHtml(trends, overviewPath, trendPaths));
+    console.log(`趋势总览已保存至: ${overviewPath}`);
+  }
+  
+  return { overviewPath, reports };
+}
+
+module.exports = {
+  getTrendPath,
+  buildTrend,
+  renderLineChart,
+  renderTrendHtml,
+  renderOverviewHtml,
+  generateTrendReport
+};
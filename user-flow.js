@@ -0,0 +1,275 @@
+/**
+ * Lighthouse用户流程测试
+ * 由Playwright执行用户操作步骤，Lighthouse的user-flow API为每个步骤记录导航、时间跨度或快照审计
+ */
+const puppeteer = require('puppeteer-core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { summarizeLhr } = require('./index.js');
+const { launchSharedBrowser } = require('./browser.js');
+const { runSetupScript } = require('./auth.js');
+const { getDevicePreset, toLighthouseSettings, toPlaywrightContextOptions } = require('./devices.js');
+
+const STEP_TYPES = ['navigate', 'timespan', 'snapshot'];
+
+// 配置文件中可用的声明式操作
+const ACTIONS = {
+  goto: (page, action) => page.goto(action.url, { waitUntil: action.waitUntil || 'load' }),
+  click: (page, action) => page.click(action.selector),
+  fill: (page, action) => page.fill(action.selector, action.value),
+  type: (page, action) => page.locator(action.selector).pressSequentially(action.value, { delay: action.delay }),
+  press: (page, action) => page.press(action.selector, action.key),
+  hover: (page, action) => page.hover(action.selector),
+  check: (page, action) => page.check(action.selector),
+  selectOption: (page, action) => page.selectOption(action.selector, action.value),
+  waitForSelector: (page, action) => page.waitForSelector(action.selector, { state: action.state }),
+  waitForURL: (page, action) => page.waitForURL(action.url),
+  waitForLoadState: (page, action) => page.waitForLoadState(action.state || 'load'),
+  waitForTimeout: (page, action) => page.waitForTimeout(action.timeout)
+};
+
+/**
+ * 加载用户流程定义
+ * 支持导出流程对象（或流程数组）的JS模块，以及包含flows字段的JSON配置文件
+ * @param {string} flowPath - 文件路径
+ * @returns {Array<object>} 流程定义列表
+ */
+function loadFlows(flowPath) {
+  const resolved = path.resolve(flowPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`用户流程文件不存在: ${flowPath}`);
+  }
+  
+  const data = resolved.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    : require(resolved);
+  const flows = Array.isArray(data) ? data : (data.flows || [data]);
+  
+  flows.forEach(validateFlow);
+  return flows;
+}
+
+/**
+ * 检查流程定义
+ * @param {object} flow - 流程定义
+ */
+function validateFlow(flow) {
+  if (!flow.name) {
+    throw new Error('用户流程缺少name');
+  }
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error(`用户流程 ${flow.name} 没有定义steps`);
+  }
+  
+  flow.steps.forEach((step, index) => {
+    const label = `用户流程 ${flow.name} 第 ${index + 1} 步`;
+    if (!STEP_TYPES.includes(step.type)) {
+      throw new Error(`${label}: 未知的步骤类型 ${step.type}，可选值: ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.type === 'navigate' && !step.url && !step.actions && !step.run) {
+      throw new Error(`${label}: navigate步骤需要url，或通过actions/run触发导航`);
+    }
+    (step.actions || []).forEach(action => {
+      if (typeof action !== 'function' && !ACTIONS[action.action]) {
+        throw new Error(`${label}: 未知的操作 ${action.action}，可选值: ${Object.keys(ACTIONS).join(', ')}`);
+      }
+    });
+  });
+}
+
+/**
+ * 依次执行步骤中的操作
+ * @param {object} page - Playwright页面
+ * @param {object} step - 步骤定义
+ */
+async function performActions(page, step) {
+  for (const action of step.actions || []) {
+    if (typeof action === 'function') {
+      await action({ page });
+    } else {
+      console.log(`  执行操作: ${action.action}${action.selector ? ` ${action.selector}` : ''}`);
+      await ACTIONS[action.action](page, action);
+    }
+  }
+  if (step.run) {
+    await step.run({ page });
+  }
+}
+
+/**
+ * 找到与Playwright页面对应的Puppeteer页面
+ * Lighthouse的user-flow API需要Puppeteer页面，两者通过同一个远程调试端口控制同一个标签页
+ * @param {object} ppBrowser - Puppeteer浏览器
+ * @param {object} page - Playwright页面
+ * @returns {Promise<object>} Puppeteer页面
+ */
+async function attachPuppeteerPage(ppBrowser, page) {
+  const marker = `about:blank#lighthouse-flow-${crypto.randomBytes(6).toString('hex')}`;
+  await page.goto(marker);
+  
+  const pages = await ppBrowser.pages();
+  const ppPage = pages.find(candidate => candidate.url() === marker);
+  if (!ppPage) {
+    throw new Error('无法通过远程调试端口找到Playwright页面');
+  }
+  return ppPage;
+}
+
+/**
+ * 运行用户流程测试
+ * @param {object} flow - 流程定义 { name, steps }
+ * @param {object} options - 测试选项
+ * @param {string} options.outputDir - 报告输出目录 (默认: './reports')
+ * @param {Array<string>} options.categories - 要测试的类别
+ * @param {string|object} options.device - 设备预设 (默认: 'desktop')
+ * @param {object} options.devicePresets - 自定义设备预设
+ * @param {string|Function} options.setup - 登录脚本，流程开始前运行
+ * @param {string} options.storageState - 已有的登录态文件路径
+ * @returns {Promise<object>} { name, reportPath, summaryPath, steps }
+ */
+async function runUserFlow(flow, options = {}) {
+  validateFlow(flow);
+  console.log(`开始用户流程测试: ${flow.name}`);
+  
+  const defaultOptions = {
+    outputDir: './reports',
+    categories: ['performance', 'accessibility', 'best-practices', 'seo'],
+    device: 'desktop'
+  };
+  const config = { ...defaultOptions, ...flow.options, ...options };
+  const device = getDevicePreset(config.device, config.devicePresets);
+  const deviceSettings = toLighthouseSettings(device);
+  
+  // 以第一个带URL的步骤的域名作为报告子目录
+  const firstUrl = (flow.steps.find(step => step.url) || {}).url || flow.url;
+  const siteName = firstUrl ? new URL(firstUrl).hostname.replace('www.', '') : 'flows';
+  const outputDir = path.join(config.outputDir, siteName, 'flows');
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  const sharedBrowser = await launchSharedBrowser();
+  let ppBrowser;
+  let authDir;
+  try {
+    // 登录态保存在临时目录中，流程结束后删除
+    let storageState = config.storageState;
+    if (config.setup) {
+      authDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lighthouse-auth-'));
+      storageState = await runSetupScript(config.setup, firstUrl, path.join(authDir, 'storage-state.json'), { sharedBrowser });
+    }
+    
+    const context = await sharedBrowser.browser.newContext({
+      ...toPlaywrightContextOptions(device),
+      storageState
+    });
+    const page = await context.newPage();
+    page.setDefaultTimeout(config.timeout || 60000);
+    
+    ppBrowser = await puppeteer.connect({
+      browserURL: `http://127.0.0.1:${sharedBrowser.port}`,
+      defaultViewport: null
+    });
+    const ppPage = await attachPuppeteerPage(ppBrowser, page);
+    
+    const { startFlow } = await import('lighthouse');
+    const lhFlow = await startFlow(ppPage, {
+      name: flow.name,
+      flags: {
+        onlyCategories: config.categories,
+        formFactor: deviceSettings.formFactor,
+        screenEmulation: deviceSettings.screenEmulation,
+        emulatedUserAgent: deviceSettings.emulatedUserAgent,
+        throttling: deviceSettings.throttling,
+        skipAudits: ['uses-http2'],
+        maxWaitForLoad: 60000,
+        // 已注入登录态时不能清除存储
+        disableStorageReset: Boolean(storageState)
+      }
+    });
+    
+    for (let i = 0; i < flow.steps.length; i++) {
+      const step = flow.steps[i];
+      const stepName = step.name || `${step.type} ${i + 1}`;
+      console.log(`\n[${i + 1}/${flow.steps.length}] ${step.type}: ${stepName}`);
+      
+      if (step.type === 'navigate') {
+        // 有操作时由Playwright触发导航，否则由Lighthouse直接导航到URL
+        const hasActions = (step.actions && step.actions.length > 0) || step.run;
+        const requestor = hasActions ? () => performActions(page, step) : step.url;
+        await lhFlow.navigate(requestor, { name: stepName });
+      } else if (step.type === 'timespan') {
+        await lhFlow.startTimespan({ name: stepName });
+        await performActions(page, step);
+        await lhFlow.endTimespan();
+      } else {
+        await performActions(page, step);
+        await lhFlow.snapshot({ name: stepName });
+      }
+    }
+    
+    // 保存流程报告和每个步骤的摘要
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileBase = `flow-${flow.name.replace(/[^\w一-龥-]+/g, '_')}-${timestamp}`;
+    const reportPath = path.join(outputDir, `${fileBase}.html`);
+    fs.writeFileSync(reportPath, await lhFlow.generateReport());
+    console.log(`\n用户流程报告已保存至: ${reportPath}`);
+    
+    const flowResult = await lhFlow.createFlowResult();
+    const steps = flowResult.steps.map(({ lhr, name }) => ({
+      name,
+      gatherMode: lhr.gatherMode,
+      url: lhr.finalDisplayedUrl,
+      ...summarizeLhr(lhr)
+    }));
+    
+    steps.forEach(step => {
+      const scoreText = Object.entries(step.scores)
+        .map(([category, score]) => `${category} ${score.toFixed(1)}`)
+        .join(', ');
+      console.log(`- ${step.name} (${step.gatherMode}): ${scoreText || '无得分'}`);
+    });
+    
+    const summaryPath = path.join(outputDir, `${fileBase}.json`);
+    fs.writeFileSync(summaryPath, JSON.stringify({
+      name: flow.name,
+      device: device.name,
+      timestamp,
+      steps: steps.map(step => ({
+        ...step,
+        accessibilityIssues: step.accessibilityIssues.map(issue => ({
+          title: issue.title,
+          description: issue.description,
+          impact: issue.details?.items?.length || 0
+        }))
+      }))
+    }, null, 2));
+    console.log(`步骤摘要已保存至: ${summaryPath}`);
+    
+    await context.close();
+    return {
+      name: flow.name,
+      device: device.name,
+      reportPath,
+      summaryPath,
+      steps
+    };
+  } finally {
+    if (ppBrowser) {
+      await ppBrowser.disconnect();
+    }
+    await sharedBrowser.close();
+    if (authDir) {
+      fs.rmSync(authDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  loadFlows,
+  validateFlow,
+  runUserFlow
+};
@@ -0,0 +1,408 @@
+/**
+ * 视觉回归测试
+ * 为每个URL和视口保存一张基准截图，每次测试的新截图与基准逐像素比较：
+ * 在YIQ色彩空间中计算颜色差异，超过阈值的像素计为差异，识别并默认忽略抗锯齿造成的边缘差异，
+ * 差异像素比例不超过允许值时通过，并生成标出差异位置的对比图
+ *
+ * 颜色差异和抗锯齿判断（colorDelta、hasManySiblings、isAntiAliased及YIQ系数）移植自pixelmatch
+ * https://github.com/mapbox/pixelmatch ，按其ISC许可证保留以下版权和许可声明:
+ *
+ * ISC License
+ *
+ * Copyright (c) 2019, Mapbox
+ *
+ * Permission to use, copy, modify, and/or distribute this software for any purpose
+ * with or without fee is hereby granted, provided that the above copyright notice
+ * and this permission notice appear in all copies.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+ * REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY AND
+ * FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+ * INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM LOSS
+ * OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR OTHER
+ * TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR PERFORMANCE OF
+ * THIS SOFTWARE.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { decodePng, encodePng } = require('./png.js');
+
+// 视觉回归测试的默认选项
+const DEFAULT_VISUAL_OPTIONS = {
+  threshold: 0.1,             // 单个像素的颜色差异阈值 (0-1)，越小越敏感
+  maxDiffPercent: 0.1,        // 允许的差异像素百分比
+  includeAntiAliasing: false, // 是否把抗锯齿像素计为差异
+  strictSize: false,          // 截图尺寸不同时是否总是未通过
+  mask: []                    // 截图时遮盖的元素选择器，用于时间、广告等动态内容
+};
+
+// YIQ颜色差异的最大值，即黑色与白色之间的差异
+const MAX_YIQ_DELTA = 35215;
+
+/**
+ * 解析视觉回归测试选项
+ * @param {object|undefined} value - 测试选项中的visualRegression
+ * @returns {object|null} 合并默认值后的选项，未启用时返回null
+ */
+function resolveVisualOptions(value) {
+  if (!value || value.enabled === false) return null;
+  const { enabled, ...options } = value;
+  return { ...DEFAULT_VISUAL_OPTIONS, ...options };
+}
+
+/**
+ * 获取基准截图的保存路径
+ * 每个URL和视口一张基准截图，文件名包含路径、URL哈希、设备预设名称和视口尺寸
+ * @param {string} url - 网页URL
+ * @param {object} device - 设备预设
+ * @param {string} baselineDir - 基准截图目录
+ * @returns {string} 文件路径
+ */
+function getBaselinePath(url, device, baselineDir) {
+  const parsedUrl = new URL(url);
+  const siteName = parsedUrl.hostname.replace('www.', '');
+  const slug = `${parsedUrl.pathname}${parsedUrl.search}`
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'index';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  const viewport = device.screen ? `-${device.screen.width}x${device.screen.height}` : '';
+  return path.join(baselineDir, siteName, `${slug}-${hash}-${device.name}${viewport}.png`);
+}
+
+/**
+ * 将颜色与白色背景按透明度混合
+ * @param {number} channel - 颜色通道值
+ * @param {number} alpha - 透明度 (0-1)
+ * @returns {number} 混合后的值
+ */
+function blend(channel, alpha) {
+  return 255 + (channel - 255) * alpha;
+}
+
+const rgb2y = (r, g, b) => r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+const rgb2i = (r, g, b) => r * 0.59597799 - g * 0.27417610 - b * 0.32180189;
+const rgb2q = (r, g, b) => r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+
+/**
+ * 计算两个像素在YIQ色彩空间中的差异
+ * @param {Buffer} image1 - 第一张图像的RGBA像素
+ * @param {Buffer} image2 - 第二张图像的RGBA像素
+ * @param {number} k - 第一张图像中的像素偏移
+ * @param {number} m - 第二张图像中的像素偏移
+ * @param {boolean} yOnly - 只比较亮度
+ * @returns {number} 差异值，第一个像素更亮时为负数
+ */
+function colorDelta(image1, image2, k, m, yOnly) {
+  let r1 = image1[k];
+  let g1 = image1[k + 1];
+  let b1 = image1[k + 2];
+  let a1 = image1[k + 3];
+  let r2 = image2[m];
+  let g2 = image2[m + 1];
+  let b2 = image2[m + 2];
+  let a2 = image2[m + 3];
+  
+  if (a1 === a2 && r1 === r2 && g1 === g2 && b1 === b2) return 0;
+  
+  // 半透明像素先与白色背景混合
+  if (a1 < 255) {
+    a1 /= 255;
+    r1 = blend(r1, a1);
+    g1 = blend(g1, a1);
+    b1 = blend(b1, a1);
+  }
+  if (a2 < 255) {
+    a2 /= 255;
+    r2 = blend(r2, a2);
+    g2 = blend(g2, a2);
+    b2 = blend(b2, a2);
+  }
+  
+  const y1 = rgb2y(r1, g1, b1);
+  const y2 = rgb2y(r2, g2, b2);
+  const y = y1 - y2;
+  if (yOnly) return y;
+  
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2);
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+  return y1 > y2 ? -delta : delta;
+}
+
+/**
+ * 判断像素周围是否有超过2个颜色完全相同的像素
+ * @param {Buffer} data - RGBA像素
+ * @param {number} x1 - 横坐标
+ * @param {number} y1 - 纵坐标
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @returns {boolean} 是否处于纯色区域中
+ */
+function hasManySiblings(data, x1, y1, width, height) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  // 位于图像边缘的像素邻居更少，预先计入一个
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const pos2 = (y * width + x) * 4;
+      if (data[pos] === data[pos2] && data[pos + 1] === data[pos2 + 1] &&
+        data[pos + 2] === data[pos2 + 2] && data[pos + 3] === data[pos2 + 3]) {
+        zeroes++;
+      }
+      if (zeroes > 2) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 判断像素是否为抗锯齿像素
+ * 抗锯齿像素的亮度介于相邻的最亮和最暗像素之间，且这两个像素在两张图像中都处于纯色区域
+ * @param {Buffer} data - 要检查的图像
+ * @param {number} x1 - 横坐标
+ * @param {number} y1 - 纵坐标
+ * @param {number} width - 图像宽度
+ * @param {number} height - 图像高度
+ * @param {Buffer} other - 另一张图像
+ * @returns {boolean} 是否为抗锯齿像素
+ */
+function isAntiAliased(data, x1, y1, width, height, other) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const pos = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  let min = 0;
+  let max = 0;
+  let minX;
+  let minY;
+  let maxX;
+  let maxY;
+  
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) continue;
+      const delta = colorDelta(data, data, pos, (y * width + x) * 4, true);
+      
+      if (delta === 0) {
+        // 超过2个相同的邻居说明不在边缘上
+        zeroes++;
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta;
+        minX = x;
+        minY = y;
+      } else if (delta > max) {
+        max = delta;
+        maxX = x;
+        maxY = y;
+      }
+    }
+  }
+  
+  // 没有更暗或更亮的邻居，不是两种颜色之间的过渡
+  if (min === 0 || max === 0) return false;
+  
+  return (hasManySiblings(data, minX, minY, width, height) && hasManySiblings(other, minX, minY, width, height)) ||
+    (hasManySiblings(data, maxX, maxY, width, height) && hasManySiblings(other, maxX, maxY, width, height));
+}
+
+/**
+ * 将图像放到指定尺寸的透明画布左上角
+ * @param {object} image - { width, height, data }
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @returns {Buffer} 画布的RGBA像素
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image.data;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  return data;
+}
+
+/**
+ * 逐像素比较两张图像
+ * 尺寸不同时在两者中较大的画布上比较，超出任一图像范围的像素都计为差异
+ * @param {object} baseline - 基准图像 { width, height, data }
+ * @param {object} current - 新图像 { width, height, data }
+ * @param {object} options - 选项
+ * @param {number} options.threshold - 颜色差异阈值 (0-1)
+ * @param {boolean} options.includeAntiAliasing - 是否把抗锯齿像素计为差异
+ * @returns {object} { width, height, diffPixels, antiAliasedPixels, totalPixels, mismatchPercent, sizeChanged, diff }
+ */
+function compareImages(baseline, current, options = {}) {
+  const { threshold, includeAntiAliasing } = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const overlapWidth = Math.min(baseline.width, current.width);
+  const overlapHeight = Math.min(baseline.height, current.height);
+  const image1 = padImage(baseline, width, height);
+  const image2 = padImage(current, width, height);
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  
+  // 对比图: 相同的像素以淡化的灰度显示新截图，差异为红色，抗锯齿为黄色
+  const diff = Buffer.alloc(width * height * 4);
+  const paint = (pos, r, g, b) => {
+    diff[pos] = r;
+    diff[pos + 1] = g;
+    diff[pos + 2] = b;
+    diff[pos + 3] = 255;
+  };
+  
+  let diffPixels = 0;
+  let antiAliasedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pos = (y * width + x) * 4;
+      
+      if (x >= overlapWidth || y >= overlapHeight) {
+        diffPixels++;
+        paint(pos, 255, 0, 0);
+        continue;
+      }
+      
+      const delta = colorDelta(image1, image2, pos, pos, false);
+      if (Math.abs(delta) > maxDelta) {
+        if (!includeAntiAliasing &&
+          (isAntiAliased(image1, x, y, width, height, image2) || isAntiAliased(image2, x, y, width, height, image1))) {
+          antiAliasedPixels++;
+          paint(pos, 255, 255, 0);
+        } else {
+          diffPixels++;
+          paint(pos, 255, 0, 0);
+        }
+      } else {
+        const gray = blend(rgb2y(image2[pos], image2[pos + 1], image2[pos + 2]), 0.1 * image2[pos + 3] / 255);
+        paint(pos, gray, gray, gray);
+      }
+    }
+  }
+  
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    diffPixels,
+    antiAliasedPixels,
+    totalPixels,
+    mismatchPercent: totalPixels > 0 ? Math.round(diffPixels / totalPixels * 1e6) / 1e4 : 0,
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    diff: { width, height, data: diff }
+  };
+}
+
+/**
+ * 将新截图与基准截图比较
+ * 没有基准截图时以新截图作为基准；比较出错时返回error状态，不影响Lighthouse测试
+ * @param {string} url - 网页URL
+ * @param {string} screenshotPath - 新截图路径
+ * @param {object} options - 选项，同DEFAULT_VISUAL_OPTIONS
+ * @param {object} options.device - 设备预设
+ * @param {string} options.baselineDir - 基准截图目录
+ * @param {string} options.outputDir - 对比图输出目录
+ * @param {string} options.timestamp - 对比图文件名中的时间
+ * @returns {object} { status, mismatchPercent, diffPixels, totalPixels, threshold, maxDiffPercent, sizeChanged, baselinePath, diffPath, error }
+ *   status为passed、failed、new（已创建基准截图）或error
+ */
+function compareScreenshot(url, screenshotPath, options) {
+  const { threshold, maxDiffPercent, includeAntiAliasing, strictSize } = { ...DEFAULT_VISUAL_OPTIONS, ...options };
+  const baselinePath = getBaselinePath(url, options.device, options.baselineDir);
+  const result = { status: 'new', threshold, maxDiffPercent, baselinePath, diffPath: null };
+  
+  try {
+    if (!fs.existsSync(baselinePath)) {
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.copyFileSync(screenshotPath, baselinePath);
+      return result;
+    }
+    
+    const comparison = compareImages(
+      decodePng(fs.readFileSync(baselinePath)),
+      decodePng(fs.readFileSync(screenshotPath)),
+      { threshold, includeAntiAliasing }
+    );
+    
+    // 有差异像素时保存对比图，即使差异在允许范围内
+    let diffPath = null;
+    if (comparison.diffPixels > 0) {
+      diffPath = path.join(options.outputDir, `visual-diff-${options.timestamp}.png`);
+      fs.writeFileSync(diffPath, encodePng(comparison.diff));
+    }
+    
+    // 尺寸变化造成的差异像素已计入差异比例，只有strictSize时才直接判为未通过
+    const sizeFailed = strictSize && comparison.sizeChanged;
+    return {
+      ...result,
+      status: !sizeFailed && comparison.mismatchPercent <= maxDiffPercent ? 'passed' : 'failed',
+      mismatchPercent: comparison.mismatchPercent,
+      diffPixels: comparison.diffPixels,
+      totalPixels: comparison.totalPixels,
+      sizeChanged: comparison.sizeChanged || undefined,
+      diffPath
+    };
+  } catch (error) {
+    return { ...result, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * 把测试记录中的截图设为基准截图
+ * @param {ResultStore} store - 结果存储
+ * @param {object} record - 测试记录，需要启用了视觉回归测试
+ * @returns {string} 基准截图路径
+ */
+function acceptBaseline(store, record) {
+  const baselinePath = store.resolveArtifact(record, 'baseline');
+  if (!record.visual || !baselinePath) {
+    throw new Error(`测试记录 ${record.id} 没有视觉回归测试结果`);
+  }
+  const screenshotPath = store.resolveArtifact(record, 'screenshot');
+  if (!screenshotPath || !fs.existsSync(screenshotPath)) {
+    throw new Error(`测试记录 ${record.id} 的截图文件不存在: ${screenshotPath || '未保存截图'}`);
+  }
+  
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.copyFileSync(screenshotPath, baselinePath);
+  store.update(record.id, { visual: { ...record.visual, acceptedAt: new Date().toISOString() } });
+  return baselinePath;
+}
+
+/**
+ * 格式化视觉回归测试结果
+ * @param {object} visual - compareScreenshot返回的结果
+ * @returns {string} 如 '通过 (差异 0.02%)'、'未通过 (差异 3.5%，允许 0.1%)'
+ */
+function formatVisualResult(visual) {
+  switch (visual.status) {
+    case 'new':
+      return '已创建基准截图';
+    case 'error':
+      return `出错: ${visual.error}`;
+    case 'passed':
+      return `通过 (差异 ${visual.mismatchPercent}%)`;
+    default:
+      return `未通过 (差异 ${visual.mismatchPercent}%，允许 ${visual.maxDiffPercent}%${visual.sizeChanged ? '，截图尺寸不同' : ''})`;
+  }
+}
+
+module.exports = {
+  DEFAULT_VISUAL_OPTIONS,
+  resolveVisualOptions,
+  getBaselinePath,
+  compareImages,
+  compareScreenshot,
+  acceptBaseline,
+  formatVisualResult
+};